@@ -0,0 +1,198 @@
+import { readFile } from 'fs/promises'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { COLORI, MATERIALI, TIPI_PRODOTTO, GENERI, FASCE_ETA, VALUTE, canonico, normalizzaMarca } from './vocabolario.js'
+import { normalizzaTaglia, parolaCanonica, VALUTA_DEFAULT } from './prodotto.js'
+
+// catalogo prodotti: applica i filtri estratti dal messaggio e ordina i risultati per rilevanza.
+// Se nessun prodotto rispetta tutti i filtri, li rilassa uno alla volta in questo ordine
+// (prima i dettagli, per ultimo il tipo di prodotto) e dice quali ha tolto.
+// Le esclusioni ("non nero", "niente Nike") non vengono mai rilassate
+export const ORDINE_RILASSAMENTO = ['materiale', 'marche', 'colori', 'taglie', 'prezzo', 'fasciaEta', 'genere', 'tipoProdotto']
+
+export const CATALOGO_DEFAULT = path.join(path.dirname(fileURLToPath(import.meta.url)), 'catalogo.json')
+
+// peso di ogni filtro nel punteggio di rilevanza
+const PESI = { tipoProdotto: 4, colori: 2, taglie: 2, marche: 2, prezzo: 1.5, materiale: 1, genere: 1, fasciaEta: 1 }
+
+// somiglianza di una parola scritta in modo un po' diverso (errori di battitura)
+const SOMIGLIANZA_APPROSSIMATA = 0.8
+
+// ==== confronto approssimato ====
+
+function distanza(a, b) {
+    // distanza di Levenshtein, con una sola riga della matrice
+    let riga = Array.from({ length: b.length + 1 }, (_, j) => j)
+    for (let i = 1; i <= a.length; i++) {
+        const nuova = [i]
+        for (let j = 1; j <= b.length; j++) {
+            nuova[j] = Math.min(riga[j] + 1, nuova[j - 1] + 1, riga[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1))
+        }
+        riga = nuova
+    }
+    return riga[b.length]
+}
+
+// 1 se le parole sono uguali, SOMIGLIANZA_APPROSSIMATA se differiscono per poche lettere, altrimenti 0.
+// Le parole corte devono essere uguali ("blu" e "bl" non sono la stessa cosa)
+function somiglianza(a, b) {
+    if (a === b) return 1
+    const tolleranza = Math.min(a.length, b.length) >= 8 ? 2 : Math.min(a.length, b.length) >= 4 ? 1 : 0
+    return tolleranza > 0 && distanza(a, b) <= tolleranza ? SOMIGLIANZA_APPROSSIMATA : 0
+}
+
+// confronta il valore cercato con un valore canonico e con tutti i suoi sinonimi
+// ("bianka" è vicino a "bianca", che è un sinonimo di white).
+// Una parola del vocabolario invece deve corrispondere esattamente: "shirt" non è "t-shirt"
+function somiglianzaVoce(vocabolario, cercato, valore) {
+    const conosciuto = canonico(vocabolario, cercato)
+    if (conosciuto) return Number(conosciuto === valore)
+    const parole = [valore, ...(Object.hasOwn(vocabolario, valore) ? vocabolario[valore] : [])]
+    return Math.max(...parole.map((parola) => somiglianza(cercato, parola)))
+}
+
+function migliore(valori) {
+    return valori.length ? Math.max(...valori) : 0
+}
+
+// ==== filtri ====
+// un filtro è indicato se il messaggio gli dà un valore (gli elenchi vuoti non contano)
+function indicato(valore) {
+    return Array.isArray(valore) ? valore.length > 0 : valore !== null && valore !== undefined && valore !== ''
+}
+
+// per ogni filtro indicato: quanto il prodotto lo rispetta, da 0 a 1
+const CONFRONTI = {
+    tipoProdotto: (filtri, prodotto) => somiglianzaVoce(TIPI_PRODOTTO, filtri.tipoProdotto, prodotto.tipo),
+    colori: (filtri, prodotto) => migliore(filtri.colori.flatMap((colore) => prodotto.colori.map((c) => somiglianzaVoce(COLORI, colore, c)))),
+    taglie: (filtri, prodotto) => Number(filtri.taglie.some((t) => prodotto.taglie.some((p) => p.sistema === t.sistema && p.valore === t.valore))),
+    materiale: (filtri, prodotto) => prodotto.materiale ? somiglianzaVoce(MATERIALI, filtri.materiale, prodotto.materiale) : 0,
+    marche: (filtri, prodotto) => migliore(filtri.marche.map((marca) => somiglianza(marca, normalizzaMarca(prodotto.marca)))),
+    prezzo: (filtri, prodotto) => {
+        const { min, max, valuta } = filtri.prezzo
+        return Number(prodotto.valuta === valuta && (min === null || prodotto.prezzo >= min) && (max === null || prodotto.prezzo <= max))
+    },
+    // un prodotto unisex va bene per tutti
+    genere: (filtri, prodotto) => Number(prodotto.genere === filtri.genere || prodotto.genere === 'unisex' || filtri.genere === 'unisex'),
+    fasciaEta: (filtri, prodotto) => Number(prodotto.fasciaEta === filtri.fasciaEta)
+}
+
+const arrotonda = (numero) => Math.round(numero * 1000) / 1000
+
+function escluso(filtri, prodotto) {
+    return prodotto.colori.some((colore) => filtri.coloriEsclusi.includes(colore)) ||
+        filtri.marcheEscluse.includes(normalizzaMarca(prodotto.marca))
+}
+
+// ==== caricamento ====
+
+// le taglie nel file si scrivono come "M", "48", "EU 42" o "US 9.5"
+function leggiTaglia(taglia) {
+    const scarpe = String(taglia).trim().match(/^(eu|us)\s*(.+)$/i)
+    if (scarpe) return normalizzaTaglia({ sistema: scarpe[1].toLowerCase(), valore: scarpe[2] })
+    return normalizzaTaglia({ sistema: 'lettere', valore: String(taglia) })
+}
+
+// porto i valori del catalogo allo stesso vocabolario dei filtri ("bianco" -> white)
+function normalizzaVoce(voce) {
+    return {
+        ...voce,
+        tipo: parolaCanonica(TIPI_PRODOTTO, voce.tipo),
+        colori: (voce.colori || []).map((colore) => parolaCanonica(COLORI, colore)),
+        taglie: (voce.taglie || []).map(leggiTaglia),
+        materiale: voce.materiale ? parolaCanonica(MATERIALI, voce.materiale) : null,
+        marca: voce.marca || '',
+        valuta: voce.valuta ? canonico(VALUTE, voce.valuta) || voce.valuta.toUpperCase() : VALUTA_DEFAULT,
+        genere: voce.genere ? canonico(GENERI, voce.genere) : null,
+        fasciaEta: voce.fasciaEta ? canonico(FASCE_ETA, voce.fasciaEta) : null
+    }
+}
+
+export function createCatalogo(voci) {
+    const prodotti = voci.map(normalizzaVoce)
+
+    // cerca i prodotti che rispettano i filtri di un prodotto (un elemento di richiesta.prodotti).
+    // Restituisce { prodotti, totale, rilassati }: i primi `limite` prodotti con il loro punteggio,
+    // quanti sono in tutto e quali filtri sono stati tolti per trovarli.
+    // similarita (id -> similarità del coseno con il messaggio, vedi indice.js) entra nel punteggio
+    // con peso pesoSemantico: conta soprattutto quando i filtri dicono poco ("qualcosa di leggero per correre")
+    function cerca(filtri, { limite = 10, similarita = null, pesoSemantico = 0.3 } = {}) {
+        const indicati = ORDINE_RILASSAMENTO.filter((nome) => indicato(filtri[nome]))
+        const valutati = prodotti
+            .filter((prodotto) => !escluso(filtri, prodotto))
+            .map((prodotto) => ({
+                prodotto,
+                somiglianze: Object.fromEntries(indicati.map((nome) => [nome, CONFRONTI[nome](filtri, prodotto)]))
+            }))
+
+        let attivi = [...indicati]
+        const rilassati = []
+        // un tipo che il catalogo non ha proprio (es. "abbigliamento" o "cappello") lo tolgo subito,
+        // senza togliere prima tutti gli altri filtri
+        if (attivi.includes('tipoProdotto') && !valutati.some(({ somiglianze }) => somiglianze.tipoProdotto > 0)) {
+            attivi = attivi.filter((nome) => nome !== 'tipoProdotto')
+            rilassati.push('tipoProdotto')
+        }
+        const rispettaTutti = ({ somiglianze }) => attivi.every((nome) => somiglianze[nome] > 0)
+        let trovati = valutati.filter(rispettaTutti)
+        while (trovati.length === 0 && attivi.length > 0) {
+            rilassati.push(attivi.shift())
+            trovati = valutati.filter(rispettaTutti)
+        }
+
+        // il punteggio tiene conto anche dei filtri rilassati: tra i prodotti trovati
+        // vengono prima quelli che ci si avvicinano di più
+        const pesoTotale = indicati.reduce((somma, nome) => somma + PESI[nome], 0)
+        // i filtri rilassati non dicono niente: in quel caso conta solo la similarità
+        const pesoFiltri = rilassati.length === indicati.length ? 0 : 1 - pesoSemantico
+        const risultati = trovati
+            .map(({ prodotto, somiglianze }) => {
+                const punti = indicati.reduce((somma, nome) => somma + PESI[nome] * somiglianze[nome], 0)
+                let punteggio = pesoTotale ? punti / pesoTotale : 0
+                if (similarita) {
+                    const simile = Math.max(0, similarita.get(prodotto.id) || 0)
+                    punteggio = pesoFiltri ? pesoFiltri * punteggio + pesoSemantico * simile : simile
+                    return { ...prodotto, punteggio: arrotonda(punteggio), similarita: arrotonda(simile) }
+                }
+                return { ...prodotto, punteggio: arrotonda(punteggio) }
+            })
+            .sort((a, b) => b.punteggio - a.punteggio || a.prezzo - b.prezzo)
+
+        return { prodotti: risultati.slice(0, limite), totale: risultati.length, rilassati }
+    }
+
+    // una ricerca per ogni prodotto della richiesta ("una camicia e dei jeans")
+    function cercaRichiesta(richiesta, opzioni) {
+        return richiesta.prodotti.map((filtri) => ({ filtri, ...cerca(filtri, opzioni) }))
+    }
+
+    return { cerca, cercaRichiesta, prodotti: () => prodotti }
+}
+
+// carica il catalogo da un file JSON con l'elenco dei prodotti
+export async function caricaCatalogo(percorso) {
+    const voci = JSON.parse(await readFile(percorso, 'utf8'))
+    if (!Array.isArray(voci)) {
+        throw new Error(`Catalog file ${percorso} must contain an array of products`)
+    }
+    return createCatalogo(voci)
+}
+
+const NOMI_FILTRI = {
+    materiale: 'materiale', marche: 'marca', colori: 'colore', taglie: 'taglia',
+    prezzo: 'prezzo', fasciaEta: 'fascia d\'età', genere: 'genere', tipoProdotto: 'tipo di prodotto'
+}
+
+// risposta in italiano per l'utente, a partire dai risultati di cercaRichiesta
+export function descriviRisultati(ricerche) {
+    return ricerche.map(({ filtri, prodotti, totale, rilassati }) => {
+        if (totale === 0) {
+            return `Non ho trovato prodotti per "${filtri.tipoProdotto}".`
+        }
+        let frase = `Per "${filtri.tipoProdotto}" ho trovato ${totale} ${totale === 1 ? 'prodotto' : 'prodotti'}`
+        if (rilassati.length) {
+            frase += ` ignorando ${rilassati.map((nome) => NOMI_FILTRI[nome]).join(', ')}`
+        }
+        return `${frase}: ${prodotti.slice(0, 3).map((p) => `${p.nome} (${p.marca}, ${p.prezzo} ${p.valuta})`).join('; ')}.`
+    }).join('\n')
+}
@@ -0,0 +1,87 @@
+// test della ricerca nel catalogo: filtri, rilassamento e ordine dei risultati (node --test)
+import { test } from 'node:test'
+import assert from 'node:assert'
+import { createCatalogo, descriviRisultati } from './catalogo.js'
+import { normalizzaProdotto } from './prodotto.js'
+
+const catalogo = createCatalogo([
+    { id: 'm1', nome: 'T-shirt bianca', tipo: 'maglietta', colori: ['bianco'], taglie: ['S', 'M', 'L'], materiale: 'cotone', marca: 'Nike', prezzo: 25, genere: 'uomo' },
+    { id: 'm2', nome: 'T-shirt bianca e nera', tipo: 'maglietta', colori: ['bianco', 'nero'], taglie: ['M'], materiale: 'cotone', marca: 'Adidas', prezzo: 30, genere: 'unisex' },
+    { id: 'm3', nome: 'T-shirt rossa', tipo: 'maglietta', colori: ['rosso'], taglie: ['L'], materiale: 'poliestere', marca: 'Puma', prezzo: 20, genere: 'donna' },
+    { id: 'j1', nome: 'Jeans slim', tipo: 'jeans', colori: ['blu'], taglie: ['32', '34'], materiale: 'denim', marca: 'Levi\'s', prezzo: 90 },
+    { id: 's1', nome: 'Scarpe da corsa', tipo: 'scarpe', colori: ['nero'], taglie: ['EU 42', 'EU 43'], marca: 'Nike', prezzo: 110 }
+])
+
+// filtri di un prodotto: solo i campi indicati, il resto vuoto
+function filtri(campi) {
+    return normalizzaProdotto({
+        tipoProdotto: '', colori: [], coloriEsclusi: [], taglie: [], materiale: null,
+        marche: [], marcheEscluse: [], prezzo: null, genere: null, fasciaEta: null,
+        ...campi
+    })
+}
+
+const ids = (risultato) => risultato.prodotti.map((p) => p.id)
+
+test('trova i prodotti che rispettano tutti i filtri, senza rilassarne nessuno', () => {
+    const risultato = catalogo.cerca(filtri({ tipoProdotto: 'maglietta', colori: ['bianca'], taglie: [{ sistema: 'lettere', valore: 'L' }] }))
+    assert.deepStrictEqual(ids(risultato), ['m1'])
+    assert.strictEqual(risultato.totale, 1)
+    assert.deepStrictEqual(risultato.rilassati, [])
+    assert.strictEqual(risultato.prodotti[0].punteggio, 1)
+})
+
+test('rilassa i filtri nell\'ordine: prima il materiale, poi la marca', () => {
+    const risultato = catalogo.cerca(filtri({ tipoProdotto: 'maglietta', colori: ['rosso'], materiale: 'lana', marche: ['Nike'] }))
+    assert.deepStrictEqual(risultato.rilassati, ['materiale', 'marche'])
+    assert.deepStrictEqual(ids(risultato), ['m3'])
+})
+
+test('un tipo di prodotto che il catalogo non ha viene tolto subito, senza togliere gli altri filtri', () => {
+    const risultato = catalogo.cerca(filtri({ tipoProdotto: 'cappello', colori: ['nero'] }))
+    assert.deepStrictEqual(risultato.rilassati, ['tipoProdotto'])
+    assert.deepStrictEqual(ids(risultato).sort(), ['m2', 's1'])
+})
+
+test('le esclusioni non vengono mai rilassate', () => {
+    // nessuna maglietta va bene: rilassando il tipo restano solo i prodotti non esclusi
+    const richiesta = filtri({ tipoProdotto: 'maglietta', coloriEsclusi: ['bianco'], marcheEscluse: ['puma'] })
+    const risultato = catalogo.cerca(richiesta)
+    assert.deepStrictEqual(risultato.rilassati, ['tipoProdotto'])
+    assert.deepStrictEqual(ids(risultato), ['j1', 's1'])
+    assert.match(descriviRisultati([{ filtri: richiesta, ...risultato }]), /^Per "t-shirt" ho trovato 2 prodotti ignorando tipo di prodotto: Jeans slim/)
+})
+
+test('ordina per punteggio e, a parità, per prezzo', () => {
+    // m1 e m2 rispettano tutti i filtri con lo stesso punteggio: prima la più economica
+    const risultato = catalogo.cerca(filtri({ tipoProdotto: 'maglietta', marche: ['Nike', 'Adidas'] }))
+    assert.deepStrictEqual(ids(risultato), ['m1', 'm2'])
+    const economiche = catalogo.cerca(filtri({ tipoProdotto: 'maglietta' }))
+    assert.deepStrictEqual(ids(economiche), ['m3', 'm1', 'm2'])
+})
+
+test('con il filtro rilassato vengono prima i prodotti che ci si avvicinano', () => {
+    const risultato = catalogo.cerca(filtri({ tipoProdotto: 'maglietta', colori: ['bianco'], marche: ['Puma'] }))
+    assert.deepStrictEqual(risultato.rilassati, ['marche'])
+    assert.deepStrictEqual(ids(risultato), ['m1', 'm2'])
+})
+
+test('accetta piccoli errori di battitura nelle parole lunghe', () => {
+    const risultato = catalogo.cerca(filtri({ tipoProdotto: 'maglietta', marche: ['Adiddas'] }))
+    assert.deepStrictEqual(ids(risultato), ['m2'])
+    assert.ok(risultato.prodotti[0].punteggio < 1)
+})
+
+test('il prezzo conta solo nella stessa valuta e dentro la fascia', () => {
+    const risultato = catalogo.cerca(filtri({ prezzo: { min: 80, max: 100, valuta: 'euro' } }))
+    assert.deepStrictEqual(ids(risultato), ['j1'])
+    assert.deepStrictEqual(catalogo.cerca(filtri({ prezzo: { min: 80, max: 100, valuta: 'USD' } })).rilassati, ['prezzo'])
+})
+
+test('la similarità con il messaggio entra nel punteggio con il suo peso', () => {
+    const similarita = new Map([['m3', 1], ['m1', 0], ['m2', 0]])
+    const risultato = catalogo.cerca(filtri({ tipoProdotto: 'maglietta' }), { similarita, pesoSemantico: 0.5 })
+    assert.deepStrictEqual(ids(risultato), ['m3', 'm1', 'm2'])
+    assert.strictEqual(risultato.prodotti[0].punteggio, 1)
+    assert.strictEqual(risultato.prodotti[1].punteggio, 0.5)
+})
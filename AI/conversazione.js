@@ -0,0 +1,130 @@
+import { chiediAlModello } from './filtri.js'
+import { modificheSchema, riassuntoSchema } from './prodotto.js'
+import { applicaModifiche } from './modifiche.js'
+import { descriviRisultati } from './catalogo.js'
+
+// conversazioni con l'assistente: ogni sessione ricorda i messaggi e i filtri attuali,
+// così "anzi blu, e anche Puma" modifica la ricerca precedente invece di ricominciare da capo
+
+const ISTRUZIONI = `Sei un assistente in un e-commerce di abbigliamento e stai aiutando l'utente a trovare dei prodotti.
+            Ti do i filtri di ricerca attuali: in base al nuovo messaggio dell'utente dimmi come cambiarli.
+            "anche ..." aggiunge, "anzi ..." o "invece ..." sostituisce, "niente più ..." o "togli ..." rimuove.
+            Se l'utente cerca un prodotto diverso da quelli attuali aggiungilo con prodotto null.
+            Quando modifichi un prodotto attuale lascia tipoProdotto vuoto se il tipo non cambia`
+
+const ISTRUZIONI_RIASSUNTO = `Riassumi questa conversazione tra un utente e l'assistente di un e-commerce di abbigliamento.
+            Tieni solo quello che serve per continuarla: cosa cerca l'utente, cosa gli piace e cosa no`
+
+// stima grossolana dei token di un testo: circa 4 caratteri per token
+export function stimaToken(testo) {
+    return Math.ceil(testo.length / 4)
+}
+
+// - budgetToken: oltre questa stima i messaggi vecchi vengono riassunti
+// - messaggiRecenti: quanti messaggi tenere sempre per intero
+// - durata: dopo quanto tempo senza messaggi una sessione viene dimenticata (ms)
+// - maxSessioni: oltre questo numero viene dimenticata la sessione usata meno di recente
+export function createConversazioni({ provider, catalogo, budgetToken = 1500, messaggiRecenti = 4, durata = 30 * 60 * 1000, maxSessioni = 1000 }) {
+    const sessioni = new Map()
+
+    function pulisci() {
+        const scadenza = Date.now() - durata
+        for (const [id, sessione] of sessioni) {
+            if (sessione.aggiornata < scadenza) sessioni.delete(id)
+        }
+    }
+
+    function prendi(id) {
+        pulisci()
+        let sessione = sessioni.get(id)
+        if (sessione) {
+            // la rimetto in fondo: la Map resta ordinata dalla meno usata alla più usata
+            sessioni.delete(id)
+        } else {
+            if (sessioni.size >= maxSessioni) {
+                sessioni.delete(sessioni.keys().next().value)
+            }
+            sessione = { id, messaggi: [], riassunto: null, filtri: { prodotti: [] }, aggiornata: Date.now(), inCorso: Promise.resolve() }
+        }
+        sessioni.set(id, sessione)
+        return sessione
+    }
+
+    function contesto(sessione) {
+        return [
+            ISTRUZIONI,
+            `Filtri attuali: ${JSON.stringify(sessione.filtri.prodotti)}`,
+            sessione.riassunto && `Riassunto della conversazione fin qui: ${sessione.riassunto}`
+        ].filter(Boolean).join('\n\n')
+    }
+
+    function tokenUsati(sessione) {
+        return stimaToken(sessione.riassunto || '') + sessione.messaggi.reduce((totale, m) => totale + stimaToken(m.content), 0)
+    }
+
+    // se la conversazione supera il budget, riassumo tutto tranne gli ultimi messaggi
+    async function compatta(sessione) {
+        if (tokenUsati(sessione) <= budgetToken || sessione.messaggi.length <= messaggiRecenti) return
+        const vecchi = sessione.messaggi.slice(0, -messaggiRecenti)
+        const testo = [
+            sessione.riassunto && `Riassunto precedente: ${sessione.riassunto}`,
+            ...vecchi.map((m) => `${m.role === 'user' ? 'Utente' : 'Assistente'}: ${m.content}`)
+        ].filter(Boolean).join('\n')
+        try {
+            const { riassunto } = await chiediAlModello(provider, [
+                { role: 'system', content: ISTRUZIONI_RIASSUNTO },
+                { role: 'user', content: testo }
+            ], riassuntoSchema, 'riassunto')
+            sessione.riassunto = riassunto
+        } catch (error) {
+            // senza riassunto tengo la fine del testo, al massimo metà del budget:
+            // i filtri attuali sono comunque nel contesto
+            console.error('Conversation summary failed:', error.message)
+            sessione.riassunto = testo.slice(-budgetToken * 2)
+        }
+        sessione.messaggi = sessione.messaggi.slice(-messaggiRecenti)
+    }
+
+    async function esegui(sessione, messaggio, opzioni) {
+        const { modifiche } = await chiediAlModello(provider, [
+            { role: 'system', content: contesto(sessione) },
+            ...sessione.messaggi,
+            { role: 'user', content: messaggio }
+        ], modificheSchema, 'modifiche')
+
+        const { filtri, differenze } = applicaModifiche(sessione.filtri, modifiche)
+        const ricerche = catalogo.cercaRichiesta(filtri, opzioni)
+        const risposta = ricerche.length ? descriviRisultati(ricerche) : 'Dimmi che cosa stai cercando.'
+
+        sessione.filtri = filtri
+        sessione.messaggi.push({ role: 'user', content: messaggio }, { role: 'assistant', content: risposta })
+        sessione.aggiornata = Date.now()
+        await compatta(sessione)
+        return { filtri, differenze, risposta, ricerche }
+    }
+
+    // un turno della conversazione: restituisce { filtri, differenze, risposta, ricerche }.
+    // opzioni sono quelle della ricerca nel catalogo (limite, similarita, pesoSemantico: vedi catalogo.js).
+    // Se il modello non risponde la sessione resta com'era
+    function turno(id, messaggio, opzioni) {
+        const sessione = prendi(id)
+        // un turno alla volta per sessione: i messaggi arrivati insieme vengono messi in fila
+        const risultato = sessione.inCorso.then(() => esegui(sessione, messaggio, opzioni))
+        sessione.inCorso = risultato.catch(() => {})
+        return risultato
+    }
+
+    function stato(id) {
+        pulisci()
+        const sessione = sessioni.get(id)
+        if (!sessione) return null
+        const { messaggi, riassunto, filtri } = sessione
+        return { id, messaggi, riassunto, filtri }
+    }
+
+    function elimina(id) {
+        return sessioni.delete(id)
+    }
+
+    return { turno, stato, elimina }
+}
@@ -0,0 +1,110 @@
+import OpenAi from 'openai'
+
+// un provider di embeddings trasforma dei testi in vettori:
+// incorpora(testi) -> [[numeri], ...], uno per testo, tutti lunghi `dimensioni`.
+// `modello` identifica i vettori: un indice costruito con un modello non si può
+// interrogare con un altro
+
+// numero di testi mandati insieme al servizio
+const TESTI_PER_RICHIESTA = 64
+
+// OpenAI, oppure un server compatibile (Ollama, LM Studio, ...) indicando baseURL
+export function createOpenAiEmbedder({ apiKey, model = 'text-embedding-3-small', baseURL } = {}) {
+    const client = new OpenAi({
+        apiKey,
+        baseURL
+    })
+
+    async function incorpora(testi) {
+        const vettori = []
+        for (let i = 0; i < testi.length; i += TESTI_PER_RICHIESTA) {
+            const response = await client.embeddings.create({ model, input: testi.slice(i, i + TESTI_PER_RICHIESTA) })
+            // le risposte hanno l'indice del testo: le rimetto in ordine
+            for (const dato of response.data.sort((a, b) => a.index - b.index)) {
+                vettori.push(normalizza(dato.embedding))
+            }
+        }
+        return vettori
+    }
+
+    return { nome: baseURL ? 'local' : 'openai', modello: model, incorpora }
+}
+
+// embedder locale per i test e per lavorare offline: nessun servizio, stessi vettori
+// per lo stesso testo. Ogni parola e ogni gruppo di 3 lettere finisce, tramite un hash,
+// in una posizione del vettore: testi con parole simili ("leggero", "leggera") hanno vettori vicini.
+// Non conosce i sinonimi, ma basta per provare la ricerca
+export function createHashEmbedder({ dimensioni = 256 } = {}) {
+    function vettore(testo) {
+        const v = new Array(dimensioni).fill(0)
+        for (const parola of parole(testo)) {
+            aggiungi(v, `w:${parola}`, 1)
+            const conBordi = `_${parola}_`
+            for (let i = 0; i + 3 <= conBordi.length; i++) {
+                aggiungi(v, `t:${conBordi.slice(i, i + 3)}`, 0.5)
+            }
+        }
+        return normalizza(v)
+    }
+
+    function aggiungi(v, elemento, peso) {
+        const hash = fnv1a(elemento)
+        // un bit dell'hash sceglie il segno, così le collisioni tendono ad annullarsi
+        v[hash % dimensioni] += hash & 0x80000000 ? -peso : peso
+    }
+
+    async function incorpora(testi) {
+        return testi.map(vettore)
+    }
+
+    return { nome: 'hash', modello: `hash-${dimensioni}`, incorpora }
+}
+
+// parole troppo comuni per dire qualcosa del testo
+const PAROLE_VUOTE = new Set(['che', 'con', 'per', 'una', 'uno', 'del', 'della', 'dei', 'delle', 'gli', 'the', 'and', 'for', 'with'])
+
+// parole di almeno 3 lettere, in minuscolo e senza accenti
+function parole(testo) {
+    return testo.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .split(/[^a-z0-9]+/)
+        .filter((parola) => parola.length >= 3 && !PAROLE_VUOTE.has(parola))
+}
+
+// hash FNV-1a a 32 bit
+function fnv1a(testo) {
+    let hash = 0x811c9dc5
+    for (let i = 0; i < testo.length; i++) {
+        hash ^= testo.charCodeAt(i)
+        hash = Math.imul(hash, 0x01000193)
+    }
+    return hash >>> 0
+}
+
+// vettore di lunghezza 1: la similarità del coseno diventa un prodotto scalare
+function normalizza(v) {
+    const lunghezza = Math.hypot(...v)
+    return lunghezza ? v.map((x) => x / lunghezza) : v
+}
+
+// sceglie l'embedder in base alla configurazione, come createProvider in llm.js
+// - hash: locale, il default
+// - openai: serve apiKey
+// - local: un server compatibile con OpenAI su baseURL
+export function createEmbedder({ tipo = 'hash', apiKey, model, baseURL } = {}) {
+    switch (tipo) {
+        case 'hash':
+            return createHashEmbedder()
+        case 'openai':
+            if (!apiKey) {
+                throw new Error('OPENAI_API_KEY is required for the openai embeddings provider')
+            }
+            return createOpenAiEmbedder({ apiKey, model })
+        case 'local':
+            if (!baseURL) {
+                throw new Error('EMBEDDINGS_BASE_URL is required for the local embeddings provider')
+            }
+            return createOpenAiEmbedder({ apiKey: apiKey || 'local', model, baseURL })
+        default:
+            throw new Error(`Unknown embeddings provider: ${tipo} (use hash, openai or local)`)
+    }
+}
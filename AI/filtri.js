@@ -0,0 +1,62 @@
+import { richiestaSchema, normalizzaRichiesta } from './prodotto.js'
+
+// errore con un codice leggibile da un programma e lo status HTTP da restituire
+export class FiltriError extends Error {
+    constructor(statusCode, code, message, details) {
+        super(message)
+        this.name = 'FiltriError'
+        this.statusCode = statusCode
+        this.code = code
+        this.details = details
+    }
+}
+
+const ISTRUZIONI = `Sei un assistente in un e-commerce di abbigliamento.
+            Creami dei filtri per il seguente messaggio.
+            Se l'utente chiede più prodotti (es. "una camicia e dei jeans") crea un elemento per ognuno.
+            Metti in coloriEsclusi e marcheEscluse quello che l'utente non vuole (es. "non nero", "niente Nike").
+            Lascia vuoti o null i campi che l'utente non indica, senza inventare valori`
+
+// manda i messaggi al modello e controlla che la risposta rispetti lo schema.
+// Lancia FiltriError se il modello si rifiuta, se la risposta non rispetta lo schema
+// o se il provider non risponde
+export async function chiediAlModello(provider, messaggi, schema, nomeSchema) {
+    let risposta
+    try {
+        risposta = await provider.completa({ messaggi, schema, nomeSchema })
+    } catch (error) {
+        console.error('LLM provider error:', error.message)
+        throw new FiltriError(502, 'provider_error', 'The language model is not available')
+    }
+
+    // il modello può rifiutarsi di rispondere (es. richiesta non pertinente)
+    if (risposta.rifiuto) {
+        throw new FiltriError(422, 'refusal', 'The language model refused the request', { refusal: risposta.rifiuto })
+    }
+
+    let json
+    try {
+        json = JSON.parse(risposta.contenuto)
+    } catch (error) {
+        throw new FiltriError(502, 'invalid_json', 'The language model did not return valid JSON')
+    }
+
+    // anche con lo schema nella richiesta la risposta va controllata:
+    // un server locale potrebbe ignorarlo, oppure la risposta potrebbe essere troncata
+    const risultato = schema.safeParse(json)
+    if (!risultato.success) {
+        throw new FiltriError(502, 'schema_mismatch', 'The language model response does not match the filter schema', {
+            issues: risultato.error.issues.map((issue) => ({ path: issue.path.join('.'), message: issue.message }))
+        })
+    }
+    return risultato.data
+}
+
+// trasforma il messaggio dell'utente nei filtri di ricerca, usando il provider LLM
+export async function estraiFiltri(provider, message) {
+    const richiesta = await chiediAlModello(provider, [
+        { role: 'system', content: ISTRUZIONI },
+        { role: 'user', content: `Creami dei filtri per il seguente messaggio: "${message}"` }
+    ], richiestaSchema, 'richiesta')
+    return normalizzaRichiesta(richiesta)
+}
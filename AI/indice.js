@@ -0,0 +1,70 @@
+import { readFile, writeFile, rename, mkdir } from 'fs/promises'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { COLORI, MATERIALI, TIPI_PRODOTTO } from './vocabolario.js'
+
+// indice vettoriale locale: un vettore per ogni prodotto del catalogo, salvato in un file JSON.
+// Si ricostruisce con `node indicizza.js` ogni volta che cambia il catalogo o l'embedder
+
+export const INDICE_DEFAULT = path.join(path.dirname(fileURLToPath(import.meta.url)), 'data', 'indice.json')
+
+// decimali tenuti nel file: bastano per la similarità e il file resta piccolo
+const DECIMALI = 6
+
+// testo da cui si calcola il vettore di un prodotto (già normalizzato dal catalogo):
+// ai valori canonici aggiungo le parole italiane del vocabolario, così "maglietta" trova le t-shirt
+export function testoProdotto(prodotto) {
+    const conSinonimi = (vocabolario, valore) => [valore, ...(Object.hasOwn(vocabolario, valore) ? vocabolario[valore] : [])]
+    return [
+        prodotto.nome,
+        prodotto.descrizione,
+        ...conSinonimi(TIPI_PRODOTTO, prodotto.tipo),
+        ...prodotto.colori.flatMap((colore) => conSinonimi(COLORI, colore)),
+        ...(prodotto.materiale ? conSinonimi(MATERIALI, prodotto.materiale) : []),
+        prodotto.marca
+    ].filter(Boolean).join('. ')
+}
+
+export async function costruisciIndice(prodotti, embedder) {
+    const vettori = await embedder.incorpora(prodotti.map(testoProdotto))
+    const fattore = 10 ** DECIMALI
+    return createIndice({
+        modello: embedder.modello,
+        creato: new Date().toISOString(),
+        voci: prodotti.map((prodotto, i) => ({
+            id: prodotto.id,
+            vettore: vettori[i].map((x) => Math.round(x * fattore) / fattore)
+        }))
+    })
+}
+
+export function createIndice({ modello, creato, voci }) {
+    // similarità del coseno tra il vettore e ogni prodotto: i vettori sono già di lunghezza 1
+    function similarita(vettore) {
+        return new Map(voci.map((voce) => [voce.id, voce.vettore.reduce((somma, x, i) => somma + x * vettore[i], 0)]))
+    }
+
+    // gli id del catalogo che non sono nell'indice (prodotti aggiunti dopo l'ultima indicizzazione)
+    function mancanti(ids) {
+        const presenti = new Set(voci.map((voce) => voce.id))
+        return ids.filter((id) => !presenti.has(id))
+    }
+
+    return { modello, creato, dimensione: voci.length, similarita, mancanti, esporta: () => ({ modello, creato, voci }) }
+}
+
+export async function caricaIndice(percorso = INDICE_DEFAULT) {
+    const dati = JSON.parse(await readFile(percorso, 'utf8'))
+    if (!dati || typeof dati.modello !== 'string' || !Array.isArray(dati.voci)) {
+        throw new Error(`Index file ${percorso} is not valid, rebuild it with: node indicizza.js`)
+    }
+    return createIndice(dati)
+}
+
+// scrivo su un file temporaneo e poi lo rinomino, così il server non legge mai un indice a metà
+export async function salvaIndice(indice, percorso = INDICE_DEFAULT) {
+    await mkdir(path.dirname(percorso), { recursive: true })
+    const temporaneo = `${percorso}.tmp`
+    await writeFile(temporaneo, JSON.stringify(indice.esporta()))
+    await rename(temporaneo, percorso)
+}
@@ -0,0 +1,57 @@
+// test dell'embedder locale e dell'indice vettoriale (node --test)
+import { test } from 'node:test'
+import assert from 'node:assert'
+import { mkdtemp, rm } from 'fs/promises'
+import os from 'os'
+import path from 'path'
+import { createHashEmbedder } from './embeddings.js'
+import { costruisciIndice, salvaIndice, caricaIndice, createIndice } from './indice.js'
+import { createCatalogo } from './catalogo.js'
+
+const catalogo = createCatalogo([
+    { id: 'corsa', nome: 'T-shirt sportiva', descrizione: 'Maglietta tecnica leggera per correre', tipo: 'maglietta', colori: ['nero'], marca: 'Puma', prezzo: 35 },
+    { id: 'lana', nome: 'Maglione invernale', descrizione: 'Maglione pesante e caldo per l\'inverno', tipo: 'maglione', colori: ['grigio'], materiale: 'lana', marca: 'Zara', prezzo: 60 }
+])
+const embedder = createHashEmbedder()
+
+test('l\'embedder hash dà lo stesso vettore di lunghezza 1 allo stesso testo', async () => {
+    const [a, b] = await embedder.incorpora(['maglietta leggera', 'maglietta leggera'])
+    assert.deepStrictEqual(a, b)
+    assert.strictEqual(a.length, 256)
+    assert.ok(Math.abs(Math.hypot(...a) - 1) < 1e-9)
+})
+
+test('il messaggio è più simile al prodotto che ne parla', async () => {
+    const indice = await costruisciIndice(catalogo.prodotti(), embedder)
+    const [vettore] = await embedder.incorpora(['qualcosa di leggero per correre'])
+    const similarita = indice.similarita(vettore)
+    assert.ok(similarita.get('corsa') > similarita.get('lana'))
+})
+
+test('la similarità entra nel punteggio della ricerca senza filtri', async () => {
+    const indice = await costruisciIndice(catalogo.prodotti(), embedder)
+    const [vettore] = await embedder.incorpora(['un maglione caldo per l\'inverno'])
+    const vuoti = { tipoProdotto: '', colori: [], coloriEsclusi: [], taglie: [], materiale: null, marche: [], marcheEscluse: [], prezzo: null, genere: null, fasciaEta: null }
+    const { prodotti } = catalogo.cerca(vuoti, { similarita: indice.similarita(vettore) })
+    assert.strictEqual(prodotti[0].id, 'lana')
+})
+
+test('l\'indice salvato si ricarica uguale', async () => {
+    const cartella = await mkdtemp(path.join(os.tmpdir(), 'indice-'))
+    try {
+        const file = path.join(cartella, 'data', 'indice.json')
+        const indice = await costruisciIndice(catalogo.prodotti(), embedder)
+        await salvaIndice(indice, file)
+        const caricato = await caricaIndice(file)
+        assert.strictEqual(caricato.modello, 'hash-256')
+        assert.strictEqual(caricato.dimensione, 2)
+        assert.deepStrictEqual(caricato.esporta(), indice.esporta())
+    } finally {
+        await rm(cartella, { recursive: true, force: true })
+    }
+})
+
+test('mancanti indica i prodotti aggiunti dopo l\'indicizzazione', () => {
+    const indice = createIndice({ modello: 'hash-256', creato: null, voci: [{ id: 'corsa', vettore: [] }] })
+    assert.deepStrictEqual(indice.mancanti(['corsa', 'lana']), ['lana'])
+})
@@ -0,0 +1,39 @@
+import { parseArgs } from 'util'
+import { caricaCatalogo, CATALOGO_DEFAULT } from './catalogo.js'
+import { createEmbedder } from './embeddings.js'
+import { costruisciIndice, salvaIndice, INDICE_DEFAULT } from './indice.js'
+
+// ricostruisce l'indice vettoriale del catalogo:
+// node indicizza.js [--catalog catalogo.json] [--output data/indice.json]
+// l'embedder si sceglie con EMBEDDINGS_PROVIDER (hash, openai o local), come per il server
+
+const { values } = parseArgs({
+    options: {
+        catalog: { type: 'string', default: process.env.CATALOG_FILE || CATALOGO_DEFAULT },
+        output: { type: 'string', default: process.env.INDEX_FILE || INDICE_DEFAULT },
+        help: { type: 'boolean', short: 'h', default: false }
+    }
+})
+
+if (values.help) {
+    console.log('Usage: node indicizza.js [--catalog <file.json>] [--output <index.json>]')
+    process.exit(0)
+}
+
+try {
+    const embedder = createEmbedder({
+        tipo: process.env.EMBEDDINGS_PROVIDER,
+        apiKey: process.env.OPENAI_API_KEY,
+        model: process.env.EMBEDDINGS_MODEL,
+        baseURL: process.env.EMBEDDINGS_BASE_URL
+    })
+    const catalogo = await caricaCatalogo(values.catalog)
+    const prodotti = catalogo.prodotti()
+    const inizio = Date.now()
+    const indice = await costruisciIndice(prodotti, embedder)
+    await salvaIndice(indice, values.output)
+    console.log(`Indexed ${prodotti.length} products with ${embedder.modello} in ${Date.now() - inizio} ms: ${values.output}`)
+} catch (error) {
+    console.error('Index build failed:', error.message)
+    process.exitCode = 1
+}
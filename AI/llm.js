@@ -0,0 +1,75 @@
+import OpenAi from 'openai'
+import { zodResponseFormat } from 'openai/helpers/zod'
+import { rispostaDaParoleChiave } from './mock.js'
+
+// un provider LLM sa fare una sola cosa:
+// completa({ messaggi, schema, nomeSchema }) -> { rifiuto, contenuto }
+// - rifiuto: il testo con cui il modello si è rifiutato di rispondere, oppure null
+// - contenuto: la risposta del modello (JSON come stringa), da validare con lo schema
+// la validazione la fa chi chiama, così è la stessa per tutti i provider
+
+// OpenAI, oppure qualsiasi server compatibile con le sue API (Ollama, LM Studio, vLLM, ...)
+// indicando baseURL
+export function createOpenAiProvider({ apiKey, model = 'gpt-4o-mini', baseURL } = {}) {
+    // creo il client per la comunicazione con il BE di openAI
+    const client = new OpenAi({
+        apiKey,
+        baseURL
+    })
+
+    async function completa({ messaggi, schema, nomeSchema }) {
+        const response = await client.chat.completions.create({
+            model,
+            messages: messaggi,
+            // chiedo al modello di rispondere con un JSON che rispetti lo schema
+            response_format: zodResponseFormat(schema, nomeSchema)
+        })
+        const message = response.choices[0].message
+        return {
+            rifiuto: message.refusal || null,
+            contenuto: message.content
+        }
+    }
+
+    return { nome: baseURL ? 'local' : 'openai', completa }
+}
+
+// provider finto per i test: non chiama nessun servizio e risponde sempre
+// allo stesso modo allo stesso messaggio.
+// rispondi(testoUtente, nomeSchema) deve restituire l'oggetto da mandare come risposta,
+// oppure { rifiuto: '...' } per simulare un rifiuto (di default: le parole chiave di mock.js)
+export function createMockProvider({ rispondi = rispostaDaParoleChiave } = {}) {
+    async function completa({ messaggi, nomeSchema }) {
+        const ultimo = messaggi.filter((m) => m.role === 'user').at(-1)
+        const risposta = rispondi(ultimo ? ultimo.content : '', nomeSchema)
+        if (risposta && risposta.rifiuto) {
+            return { rifiuto: risposta.rifiuto, contenuto: null }
+        }
+        return { rifiuto: null, contenuto: JSON.stringify(risposta) }
+    }
+
+    return { nome: 'mock', completa }
+}
+
+// sceglie il provider in base alla configurazione:
+// - openai: serve apiKey
+// - local: un server compatibile con OpenAI su baseURL (la chiave spesso non serve)
+// - mock: per i test
+export function createProvider({ tipo = 'openai', apiKey, model, baseURL } = {}) {
+    switch (tipo) {
+        case 'openai':
+            if (!apiKey) {
+                throw new Error('OPENAI_API_KEY is required for the openai provider')
+            }
+            return createOpenAiProvider({ apiKey, model })
+        case 'local':
+            if (!baseURL) {
+                throw new Error('LLM_BASE_URL is required for the local provider')
+            }
+            return createOpenAiProvider({ apiKey: apiKey || 'local', model, baseURL })
+        case 'mock':
+            return createMockProvider()
+        default:
+            throw new Error(`Unknown LLM provider: ${tipo} (use openai, local or mock)`)
+    }
+}
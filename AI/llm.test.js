@@ -0,0 +1,63 @@
+// test del provider finto e dell'estrazione dei filtri (node --test)
+import { test } from 'node:test'
+import assert from 'node:assert'
+import { createMockProvider, createProvider } from './llm.js'
+import { estraiFiltri, FiltriError } from './filtri.js'
+
+// risposta del provider finto allo schema delle modifiche, in forma compatta
+async function modifiche(testo) {
+    const { contenuto } = await createMockProvider().completa({ messaggi: [{ role: 'user', content: testo }], nomeSchema: 'modifiche' })
+    return JSON.parse(contenuto).modifiche.map(({ azione, prodotto, filtri }) => ({ azione, prodotto, colori: filtri.colori, marche: filtri.marche }))
+}
+
+test('estrae i filtri di più prodotti da un messaggio', async () => {
+    const filtri = await estraiFiltri(createMockProvider(), 'Voglio una maglietta bianca taglia grande di cotone e dei jeans non neri sotto i 50 euro')
+    assert.strictEqual(filtri.prodotti.length, 2)
+    const [maglietta, jeans] = filtri.prodotti
+    assert.strictEqual(maglietta.tipoProdotto, 't-shirt')
+    assert.deepStrictEqual(maglietta.colori, ['white'])
+    assert.deepStrictEqual(maglietta.taglie, [{ sistema: 'lettere', valore: 'L' }])
+    assert.strictEqual(maglietta.materiale, 'cotton')
+    assert.strictEqual(jeans.tipoProdotto, 'jeans')
+    assert.deepStrictEqual(jeans.coloriEsclusi, ['black'])
+    assert.deepStrictEqual(jeans.prezzo, { min: null, max: 50, valuta: 'EUR' })
+})
+
+test('"anzi" sostituisce e "anche" aggiunge nello stesso messaggio', async () => {
+    assert.deepStrictEqual(await modifiche('anzi blu, e anche puma'), [
+        { azione: 'sostituisci', prodotto: 0, colori: ['blu'], marche: [] },
+        { azione: 'aggiungi', prodotto: 0, colori: [], marche: ['puma'] }
+    ])
+})
+
+test('dopo "togli" anche la parte con "anche" toglie', async () => {
+    assert.deepStrictEqual((await modifiche('togli il nero e anche il rosso')).map((m) => m.azione), ['rimuovi', 'rimuovi'])
+})
+
+test('il rifiuto del modello diventa un FiltriError', async () => {
+    const provider = createMockProvider({ rispondi: () => ({ rifiuto: 'non posso' }) })
+    await assert.rejects(estraiFiltri(provider, 'ciao'), (error) => error instanceof FiltriError && error.code === 'refusal' && error.statusCode === 422)
+})
+
+test('una risposta che non rispetta lo schema diventa un FiltriError', async () => {
+    const provider = createMockProvider({ rispondi: () => ({ prodotti: [{ tipoProdotto: 'maglietta' }] }) })
+    await assert.rejects(estraiFiltri(provider, 'ciao'), (error) => error instanceof FiltriError && error.code === 'schema_mismatch')
+})
+
+test('un provider che non risponde diventa un FiltriError provider_error', async () => {
+    const provider = { nome: 'rotto', completa: async () => { throw new Error('connessione rifiutata') } }
+    const errori = console.error
+    console.error = () => {}
+    try {
+        await assert.rejects(estraiFiltri(provider, 'ciao'), (error) => error.code === 'provider_error' && error.statusCode === 502)
+    } finally {
+        console.error = errori
+    }
+})
+
+test('createProvider chiede la chiave per openai e il baseURL per local', () => {
+    assert.throws(() => createProvider({ tipo: 'openai' }), /OPENAI_API_KEY/)
+    assert.throws(() => createProvider({ tipo: 'local' }), /LLM_BASE_URL/)
+    assert.throws(() => createProvider({ tipo: 'altro' }), /Unknown LLM provider/)
+    assert.strictEqual(createProvider({ tipo: 'mock' }).nome, 'mock')
+})
@@ -0,0 +1,151 @@
+import { COLORI, MATERIALI, TIPI_PRODOTTO, GENERI, FASCE_ETA } from './vocabolario.js'
+
+// risposte del provider finto (LLM_PROVIDER=mock, vedi createMockProvider in llm.js):
+// servono ai test e a provare il server senza un modello, non al servizio vero.
+// Capiscono solo poche parole chiave, quanto basta per frasi come quelle dei test
+
+// filtri: cerca alcune parole nel messaggio.
+// Ogni prodotto nominato apre un nuovo "pezzo" di frase, e colori, taglie, marche
+// e prezzo trovati in quel pezzo valgono per quel prodotto
+const MARCHE = ['adidas', 'nike', 'puma', 'levis', 'zara', 'diesel']
+const TAGLIE = { 'molto piccola': 'XS', 'piccola': 'S', 'media': 'M', 'molto grande': 'XL', 'grande': 'L' }
+const NEGAZIONE = '\\b(?:non|no|niente|tranne|senza)\\s+(?:\\w+\\s+)?'
+
+const escape = (parola) => parola.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+// tutte le parole di un vocabolario, le più lunghe prima ("blu scuro" prima di "blu")
+function paroleDi(vocabolario) {
+    return Object.values(vocabolario).flat().sort((a, b) => b.length - a.length)
+}
+
+// parole trovate nel testo, divise tra richieste ed escluse ("non nero")
+function cerca(testo, parole) {
+    const trovate = []
+    const escluse = []
+    let resto = testo
+    for (const parola of parole) {
+        const regex = new RegExp(`(${NEGAZIONE})?\\b${escape(parola)}\\b`, 'g')
+        for (const match of resto.matchAll(regex)) {
+            (match[1] ? escluse : trovate).push(parola)
+        }
+        // tolgo le parole già trovate, così "blu" non conta di nuovo dentro "blu scuro"
+        resto = resto.replace(regex, ' ')
+    }
+    return { trovate, escluse }
+}
+
+function tagliaDa(testo) {
+    const nome = Object.keys(TAGLIE).find((nome) => testo.includes(`taglia ${nome}`))
+    if (nome) return [{ sistema: 'lettere', valore: TAGLIE[nome] }]
+    const lettere = testo.match(/\btaglia (xxs|xs|s|m|l|xl|xxl)\b/)
+    if (lettere) return [{ sistema: 'lettere', valore: lettere[1] }]
+    const numero = testo.match(/\b(?:taglia|numero) (\d+(?:[.,]5)?)( us)?\b/)
+    if (numero) {
+        const sistema = numero[2] ? 'us' : testo.includes('numero') ? 'eu' : 'numerica'
+        return [{ sistema, valore: numero[1] }]
+    }
+    return []
+}
+
+function prezzoDa(testo) {
+    const valuta = testo.match(/(euro|€|dollari|\$|sterline|£)/)?.[1] || null
+    const tra = testo.match(/tra (?:i )?(\d+) e (?:i )?(\d+)/)
+    if (tra) return { min: Number(tra[1]), max: Number(tra[2]), valuta }
+    const max = testo.match(/(?:sotto (?:i )?|meno di |massimo |entro (?:i )?)(\d+)/)
+    const min = testo.match(/(?:sopra (?:i )?|più di |almeno )(\d+)/)
+    if (!max && !min) return null
+    return { min: min ? Number(min[1]) : null, max: max ? Number(max[1]) : null, valuta }
+}
+
+function prodottoDa(tipoProdotto, testo) {
+    const colori = cerca(testo, paroleDi(COLORI))
+    const marche = cerca(testo, MARCHE)
+    return {
+        tipoProdotto,
+        colori: colori.trovate,
+        coloriEsclusi: colori.escluse,
+        taglie: tagliaDa(testo),
+        materiale: cerca(testo, paroleDi(MATERIALI).filter((m) => m !== 'jeans')).trovate[0] || null,
+        marche: marche.trovate,
+        marcheEscluse: marche.escluse,
+        prezzo: prezzoDa(testo),
+        genere: cerca(testo, paroleDi(GENERI)).trovate[0] || null,
+        fasciaEta: cerca(testo, paroleDi(FASCE_ETA)).trovate[0] || null
+    }
+}
+
+function filtriDaParoleChiave(testo) {
+    const minuscolo = testo.toLowerCase()
+    const prodotti = paroleDi(TIPI_PRODOTTO)
+    const regex = new RegExp(`\\b(${prodotti.map(escape).join('|')})\\b`, 'g')
+    const menzioni = [...minuscolo.matchAll(regex)]
+    if (menzioni.length === 0) {
+        return { prodotti: [prodottoDa('abbigliamento', minuscolo)] }
+    }
+    // il testo prima del primo prodotto vale per il primo ("voglio una bianca maglietta")
+    return {
+        prodotti: menzioni.map((menzione, i) => {
+            const inizio = i === 0 ? 0 : menzione.index
+            const fine = i + 1 < menzioni.length ? menzioni[i + 1].index : minuscolo.length
+            return prodottoDa(menzione[1], minuscolo.slice(inizio, fine))
+        })
+    }
+}
+
+// in una conversazione: "anzi ..." sostituisce, "togli ..." rimuove, il resto aggiunge.
+// Un messaggio senza tipo di prodotto ("anche in blu") si riferisce al primo prodotto
+// e lascia tipoProdotto vuoto, così il tipo non cambia
+const SOSTITUISCI = /\b(anzi|invece|piuttosto|in realtà)/
+const RIMUOVI = /\b(togli|rimuovi|niente più|non più)/
+// "anche ..." apre una parte nuova della frase che aggiunge: "anzi blu, e anche puma"
+// sostituisce i colori e aggiunge puma alle marche; dopo "togli" invece toglie anche quella
+const ANCHE = /\banche\b/
+
+function azioneDi(parte, precedente) {
+    if (RIMUOVI.test(parte)) return 'rimuovi'
+    if (SOSTITUISCI.test(parte)) return 'sostituisci'
+    return precedente === 'rimuovi' ? 'rimuovi' : 'aggiungi'
+}
+
+function modificheDi(parte, azione) {
+    const rimuovi = azione === 'rimuovi'
+    return filtriDaParoleChiave(parte).prodotti.map(({ tipoProdotto, ...filtri }) => {
+        const generico = tipoProdotto === 'abbigliamento'
+        return {
+            azione,
+            prodotto: generico ? 0 : null,
+            filtri: {
+                ...filtri,
+                tipoProdotto: generico ? '' : tipoProdotto,
+                // "niente più nero" toglie il nero dai colori, non lo esclude
+                ...(rimuovi && {
+                    colori: [...filtri.colori, ...filtri.coloriEsclusi],
+                    coloriEsclusi: [],
+                    marche: [...filtri.marche, ...filtri.marcheEscluse],
+                    marcheEscluse: []
+                })
+            }
+        }
+    })
+}
+
+function modificheDaParoleChiave(testo) {
+    const modifiche = []
+    let azione = null
+    for (const parte of testo.toLowerCase().split(ANCHE)) {
+        azione = azioneDi(parte, azione)
+        if (parte.trim()) modifiche.push(...modificheDi(parte, azione))
+    }
+    return { modifiche }
+}
+
+export function rispostaDaParoleChiave(testo, nomeSchema) {
+    switch (nomeSchema) {
+        case 'modifiche':
+            return modificheDaParoleChiave(testo)
+        case 'riassunto':
+            return { riassunto: `Riassunto di ${testo.split('\n').length} messaggi` }
+        default:
+            return filtriDaParoleChiave(testo)
+    }
+}
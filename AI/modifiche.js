@@ -0,0 +1,133 @@
+import { normalizzaProdotto } from './prodotto.js'
+
+// applica ai filtri attuali le modifiche chieste dal modello in un turno della conversazione
+// e restituisce i nuovi filtri con l'elenco delle differenze, una per ogni valore cambiato:
+// { azione: 'aggiungi' | 'rimuovi' | 'sostituisci', prodotto, tipoProdotto, campo, valore, precedente? }
+// prodotto è la posizione nei filtri all'inizio del turno (i prodotti nuovi vanno in fondo),
+// campo è null quando viene aggiunto o tolto un intero prodotto
+
+const LISTE = ['colori', 'coloriEsclusi', 'taglie', 'marche', 'marcheEscluse']
+const VALORI = ['materiale', 'prezzo', 'genere', 'fasciaEta']
+
+// le liste da tenere coerenti: un colore richiesto non può essere anche escluso
+const OPPOSTE = { colori: 'coloriEsclusi', coloriEsclusi: 'colori', marche: 'marcheEscluse', marcheEscluse: 'marche' }
+
+// le taglie sono oggetti: le confronto come stringhe
+const chiave = (valore) => JSON.stringify(valore)
+const uguali = (a, b) => chiave(a) === chiave(b)
+
+function vuoto(filtri) {
+    return LISTE.every((campo) => filtri[campo].length === 0) && VALORI.every((campo) => filtri[campo] === null)
+}
+
+export function applicaModifiche(attuali, modifiche) {
+    // copio i prodotti: quelli tolti li segno e li elimino alla fine,
+    // così le posizioni indicate dal modello restano valide per tutto il turno
+    const prodotti = attuali.prodotti.map((prodotto) => ({ ...prodotto, tolto: false }))
+    const differenze = []
+
+    function registra(azione, indice, campo, valore, precedente) {
+        differenze.push({
+            azione,
+            prodotto: indice,
+            tipoProdotto: prodotti[indice].tipoProdotto,
+            campo,
+            valore,
+            ...(precedente !== undefined && { precedente })
+        })
+    }
+
+    function aggiungiValori(indice, campo, valori) {
+        const prodotto = prodotti[indice]
+        for (const valore of valori) {
+            if (prodotto[campo].some((v) => uguali(v, valore))) continue
+            prodotto[campo] = [...prodotto[campo], valore]
+            registra('aggiungi', indice, campo, valore)
+            const opposta = OPPOSTE[campo]
+            if (opposta && prodotto[opposta].includes(valore)) {
+                prodotto[opposta] = prodotto[opposta].filter((v) => v !== valore)
+                registra('rimuovi', indice, opposta, valore)
+            }
+        }
+    }
+
+    function togliValori(indice, campo, valori) {
+        const prodotto = prodotti[indice]
+        for (const valore of valori) {
+            if (!prodotto[campo].some((v) => uguali(v, valore))) continue
+            prodotto[campo] = prodotto[campo].filter((v) => !uguali(v, valore))
+            registra('rimuovi', indice, campo, valore)
+        }
+    }
+
+    function impostaValore(indice, campo, valore) {
+        const precedente = prodotti[indice][campo]
+        if (uguali(precedente, valore)) return
+        prodotti[indice][campo] = valore
+        if (valore === null) registra('rimuovi', indice, campo, precedente)
+        else if (precedente === null) registra('aggiungi', indice, campo, valore)
+        else registra('sostituisci', indice, campo, valore, precedente)
+    }
+
+    // la posizione indicata dal modello, oppure un prodotto attuale dello stesso tipo
+    function trovaProdotto(indice, tipoProdotto) {
+        if (Number.isInteger(indice) && indice >= 0 && indice < attuali.prodotti.length && !prodotti[indice].tolto) {
+            return indice
+        }
+        const stessoTipo = prodotti.findIndex((p) => !p.tolto && p.tipoProdotto === tipoProdotto)
+        return stessoTipo === -1 ? null : stessoTipo
+    }
+
+    for (const modifica of modifiche) {
+        const filtri = normalizzaProdotto(modifica.filtri)
+        const indice = trovaProdotto(modifica.prodotto, filtri.tipoProdotto)
+
+        if (indice === null) {
+            // un prodotto nuovo; togliere un prodotto che non c'è non fa niente,
+            // e nemmeno aggiungerne uno senza tipo e senza filtri (es. "anzi" da solo)
+            if (modifica.azione !== 'rimuovi' && !(vuoto(filtri) && !filtri.tipoProdotto)) {
+                prodotti.push({ ...filtri, tolto: false })
+                registra('aggiungi', prodotti.length - 1, null, filtri)
+            }
+            continue
+        }
+
+        if (modifica.azione === 'rimuovi') {
+            if (vuoto(filtri)) {
+                prodotti[indice].tolto = true
+                registra('rimuovi', indice, null, attuali.prodotti[indice])
+                continue
+            }
+            for (const campo of LISTE) togliValori(indice, campo, filtri[campo])
+            for (const campo of VALORI) {
+                if (filtri[campo] !== null) impostaValore(indice, campo, null)
+            }
+            continue
+        }
+
+        if (modifica.azione === 'sostituisci') {
+            // tipoProdotto vuoto: il tipo resta quello attuale
+            if (filtri.tipoProdotto) impostaValore(indice, 'tipoProdotto', filtri.tipoProdotto)
+            for (const campo of LISTE) {
+                if (filtri[campo].length === 0) continue
+                const precedente = prodotti[indice][campo]
+                if (uguali(precedente, filtri[campo])) continue
+                prodotti[indice][campo] = filtri[campo]
+                registra('sostituisci', indice, campo, filtri[campo], precedente)
+                // "anzi nero" toglie il nero dai colori esclusi
+                const opposta = OPPOSTE[campo]
+                if (opposta) togliValori(indice, opposta, filtri[campo])
+            }
+        } else {
+            for (const campo of LISTE) aggiungiValori(indice, campo, filtri[campo])
+        }
+        for (const campo of VALORI) {
+            if (filtri[campo] !== null) impostaValore(indice, campo, filtri[campo])
+        }
+    }
+
+    return {
+        filtri: { prodotti: prodotti.filter((p) => !p.tolto).map(({ tolto, ...prodotto }) => prodotto) },
+        differenze
+    }
+}
@@ -0,0 +1,102 @@
+// test delle modifiche ai filtri in una conversazione (node --test)
+import { test } from 'node:test'
+import assert from 'node:assert'
+import { applicaModifiche } from './modifiche.js'
+import { createConversazioni } from './conversazione.js'
+import { createCatalogo } from './catalogo.js'
+import { createMockProvider } from './llm.js'
+
+// filtri di un prodotto: solo i campi indicati, il resto vuoto
+function prodotto(campi) {
+    return {
+        tipoProdotto: '', colori: [], coloriEsclusi: [], taglie: [], materiale: null,
+        marche: [], marcheEscluse: [], prezzo: null, genere: null, fasciaEta: null,
+        ...campi
+    }
+}
+
+const maglietta = prodotto({ tipoProdotto: 't-shirt', colori: ['white'], marche: ['nike'], coloriEsclusi: ['black'] })
+
+test('"anche" aggiunge ai valori attuali', () => {
+    const { filtri, differenze } = applicaModifiche({ prodotti: [maglietta] }, [
+        { azione: 'aggiungi', prodotto: 0, filtri: prodotto({ marche: ['Puma'], colori: ['bianca'] }) }
+    ])
+    assert.deepStrictEqual(filtri.prodotti[0].marche, ['nike', 'puma'])
+    assert.deepStrictEqual(filtri.prodotti[0].colori, ['white'])
+    assert.deepStrictEqual(differenze, [
+        { azione: 'aggiungi', prodotto: 0, tipoProdotto: 't-shirt', campo: 'marche', valore: 'puma' }
+    ])
+})
+
+test('"anzi" sostituisce la lista e toglie il valore dalle esclusioni', () => {
+    const { filtri, differenze } = applicaModifiche({ prodotti: [maglietta] }, [
+        { azione: 'sostituisci', prodotto: 0, filtri: prodotto({ colori: ['nero'] }) }
+    ])
+    assert.deepStrictEqual(filtri.prodotti[0].colori, ['black'])
+    assert.deepStrictEqual(filtri.prodotti[0].coloriEsclusi, [])
+    assert.deepStrictEqual(differenze, [
+        { azione: 'sostituisci', prodotto: 0, tipoProdotto: 't-shirt', campo: 'colori', valore: ['black'], precedente: ['white'] },
+        { azione: 'rimuovi', prodotto: 0, tipoProdotto: 't-shirt', campo: 'coloriEsclusi', valore: 'black' }
+    ])
+})
+
+test('"togli" rimuove un valore, o tutto il prodotto se non indica filtri', () => {
+    const jeans = prodotto({ tipoProdotto: 'jeans' })
+    const { filtri, differenze } = applicaModifiche({ prodotti: [maglietta, jeans] }, [
+        { azione: 'rimuovi', prodotto: 0, filtri: prodotto({ marche: ['nike'] }) },
+        { azione: 'rimuovi', prodotto: null, filtri: prodotto({ tipoProdotto: 'jeans' }) }
+    ])
+    assert.deepStrictEqual(filtri.prodotti, [{ ...maglietta, marche: [] }])
+    assert.deepStrictEqual(differenze.map(({ azione, prodotto, campo }) => [azione, prodotto, campo]), [
+        ['rimuovi', 0, 'marche'],
+        ['rimuovi', 1, null]
+    ])
+})
+
+test('un prodotto di un tipo nuovo va in fondo', () => {
+    const { filtri, differenze } = applicaModifiche({ prodotti: [maglietta] }, [
+        { azione: 'aggiungi', prodotto: null, filtri: prodotto({ tipoProdotto: 'pantaloni', colori: ['blu'] }) }
+    ])
+    assert.deepStrictEqual(filtri.prodotti.map((p) => p.tipoProdotto), ['t-shirt', 'trousers'])
+    assert.deepStrictEqual(differenze[0].prodotto, 1)
+    assert.strictEqual(differenze[0].campo, null)
+})
+
+test('i valori singoli vengono impostati, cambiati o tolti', () => {
+    const { filtri, differenze } = applicaModifiche({ prodotti: [prodotto({ tipoProdotto: 't-shirt', materiale: 'cotton' })] }, [
+        { azione: 'aggiungi', prodotto: 0, filtri: prodotto({ materiale: 'lino', genere: 'donna' }) }
+    ])
+    assert.strictEqual(filtri.prodotti[0].materiale, 'linen')
+    assert.deepStrictEqual(differenze.map(({ azione, campo, precedente }) => [azione, campo, precedente]), [
+        ['sostituisci', 'materiale', 'cotton'],
+        ['aggiungi', 'genere', undefined]
+    ])
+})
+
+test('un prodotto senza tipo e senza filtri non viene aggiunto', () => {
+    const { filtri, differenze } = applicaModifiche({ prodotti: [] }, [
+        { azione: 'sostituisci', prodotto: 0, filtri: prodotto({}) }
+    ])
+    assert.deepStrictEqual(filtri.prodotti, [])
+    assert.deepStrictEqual(differenze, [])
+})
+
+test('in una conversazione "anzi" da solo non cambia niente', async () => {
+    const catalogo = createCatalogo([
+        { id: 'm1', nome: 'T-shirt bianca', tipo: 'maglietta', colori: ['bianco'], marca: 'Nike', prezzo: 25 }
+    ])
+    const conversazioni = createConversazioni({ provider: createMockProvider(), catalogo })
+    const turno = await conversazioni.turno('prova', 'anzi', { limite: 5 })
+    assert.deepStrictEqual(turno.filtri, { prodotti: [] })
+    assert.deepStrictEqual(turno.differenze, [])
+    assert.strictEqual(turno.risposta, 'Dimmi che cosa stai cercando.')
+})
+
+test('in una conversazione "anzi blu, e anche puma" sostituisce il colore e aggiunge la marca', async () => {
+    const catalogo = createCatalogo([])
+    const conversazioni = createConversazioni({ provider: createMockProvider(), catalogo })
+    await conversazioni.turno('prova', 'voglio una maglietta bianca nike', { limite: 5 })
+    const { filtri } = await conversazioni.turno('prova', 'anzi blu, e anche puma', { limite: 5 })
+    assert.deepStrictEqual(filtri.prodotti[0].colori, ['blue'])
+    assert.deepStrictEqual(filtri.prodotti[0].marche, ['nike', 'puma'])
+})
@@ -0,0 +1,118 @@
+import { z } from 'zod/v3'
+import { COLORI, MATERIALI, TIPI_PRODOTTO, TAGLIE_LETTERE, GENERI, FASCE_ETA, VALUTE, canonico, normalizzaMarca } from './vocabolario.js'
+
+// sistemi di taglia: lettere (S, M, L), numerica (es. 48 per una giacca o 32 per i jeans),
+// numero di scarpe europeo (42) o americano (9.5)
+export const SISTEMI_TAGLIA = ['lettere', 'numerica', 'eu', 'us']
+
+// valuta usata se il messaggio indica un prezzo senza dire in che valuta
+export const VALUTA_DEFAULT = 'EUR'
+
+const elenco = (vocabolario) => Object.keys(vocabolario).join(', ')
+
+// nello schema per il modello sono tutti campi obbligatori (al massimo nullable),
+// perché gli structured output di OpenAI non accettano campi opzionali
+const tagliaSchema = z.object({
+    sistema: z.enum(SISTEMI_TAGLIA).describe('lettere per XS..XXL, numerica per taglie come 48 o 32, eu/us per i numeri di scarpe'),
+    valore: z.string().describe(`la taglia, es. ${elenco(TAGLIE_LETTERE)} oppure un numero come 42 o 9.5`)
+})
+
+const prezzoSchema = z.object({
+    min: z.number().nullable().describe('il prezzo minimo, se indicato'),
+    max: z.number().nullable().describe('il prezzo massimo, se indicato'),
+    valuta: z.string().nullable().describe(`la valuta, come codice ISO (${elenco(VALUTE)})`)
+})
+
+// filtri di ricerca di un singolo prodotto
+export const prodottoSchema = z.object({
+    tipoProdotto: z.string().describe(`il tipo di prodotto che sta cercando l'utente, uno tra: ${elenco(TIPI_PRODOTTO)}`),
+    colori: z.array(z.string()).describe(`i colori ricercati, in inglese (${elenco(COLORI)})`),
+    coloriEsclusi: z.array(z.string()).describe('i colori che l\'utente non vuole, es. "non nero" -> black'),
+    taglie: z.array(tagliaSchema).describe('le taglie ricercate, vuoto se l\'utente non indica la taglia'),
+    materiale: z.string().nullable().describe(`il materiale del prodotto ricercato, in inglese (${elenco(MATERIALI)})`),
+    marche: z.array(z.string()).describe('l\'elenco delle marche ricercate'),
+    marcheEscluse: z.array(z.string()).describe('le marche che l\'utente non vuole'),
+    prezzo: prezzoSchema.nullable().describe('la fascia di prezzo, null se non indicata'),
+    genere: z.string().nullable().describe(`per chi è il prodotto: ${elenco(GENERI)}`),
+    fasciaEta: z.string().nullable().describe(`la fascia d'età: ${elenco(FASCE_ETA)}`)
+})
+
+// la richiesta dell'utente può contenere più prodotti ("una camicia e dei jeans")
+export const richiestaSchema = z.object({
+    prodotti: z.array(prodottoSchema).describe('un elemento per ogni prodotto richiesto')
+})
+
+// in una conversazione il modello non riscrive tutti i filtri, ma dice come cambiarli
+// rispetto a quelli attuali ("anzi blu", "anche Puma", "niente più Nike")
+export const AZIONI = ['aggiungi', 'rimuovi', 'sostituisci']
+
+export const modificheSchema = z.object({
+    modifiche: z.array(z.object({
+        azione: z.enum(AZIONI).describe('aggiungi: unisce i valori a quelli attuali (o crea un nuovo prodotto); rimuovi: toglie i valori indicati (senza valori toglie il prodotto); sostituisci: i valori indicati prendono il posto di quelli attuali'),
+        prodotto: z.number().int().nullable().describe('la posizione (da 0) del prodotto nei filtri attuali, null per un prodotto nuovo'),
+        filtri: prodottoSchema.describe('solo i valori da aggiungere, togliere o sostituire: gli altri campi vuoti o null')
+    })).describe('le modifiche ai filtri attuali, vuoto se il messaggio non li cambia')
+})
+
+// riassunto dei messaggi vecchi di una conversazione
+export const riassuntoSchema = z.object({
+    riassunto: z.string().describe('il riassunto della conversazione, in poche frasi')
+})
+
+// ==== normalizzazione ====
+// il modello non sempre usa il vocabolario richiesto: riporto ogni valore alla forma
+// canonica ("grande" -> L, "bianca" -> white). Le parole sconosciute restano, in minuscolo
+
+export function parolaCanonica(vocabolario, parola) {
+    return canonico(vocabolario, parola) || parola.trim().toLowerCase()
+}
+
+function senzaDuplicati(valori) {
+    return [...new Set(valori.filter(Boolean))]
+}
+
+export function normalizzaTaglia({ sistema, valore }) {
+    const testo = valore.trim()
+    const lettere = canonico(TAGLIE_LETTERE, testo)
+    if (lettere) return { sistema: 'lettere', valore: lettere }
+    // "42,5" -> "42.5"; una taglia numerica indicata come lettere la correggo
+    const numero = Number(testo.replace(',', '.'))
+    if (testo && Number.isFinite(numero)) {
+        return { sistema: sistema === 'lettere' ? 'numerica' : sistema, valore: String(numero) }
+    }
+    return { sistema, valore: testo.toUpperCase() }
+}
+
+function normalizzaPrezzo(prezzo) {
+    if (!prezzo) return null
+    let { min, max } = prezzo
+    if (min === null && max === null) return null
+    if (min !== null && max !== null && min > max) {
+        [min, max] = [max, min]
+    }
+    const valuta = prezzo.valuta ? canonico(VALUTE, prezzo.valuta) || prezzo.valuta.trim().toUpperCase() : VALUTA_DEFAULT
+    return { min, max, valuta }
+}
+
+export function normalizzaProdotto(prodotto) {
+    const coloriEsclusi = senzaDuplicati(prodotto.coloriEsclusi.map((c) => parolaCanonica(COLORI, c)))
+    const marcheEscluse = senzaDuplicati(prodotto.marcheEscluse.map(normalizzaMarca))
+    const taglie = prodotto.taglie.map(normalizzaTaglia)
+    return {
+        tipoProdotto: parolaCanonica(TIPI_PRODOTTO, prodotto.tipoProdotto),
+        // un colore o una marca sia richiesto sia escluso vale come escluso
+        colori: senzaDuplicati(prodotto.colori.map((c) => parolaCanonica(COLORI, c))).filter((c) => !coloriEsclusi.includes(c)),
+        coloriEsclusi,
+        taglie: taglie.filter((t, i) => taglie.findIndex((altra) => altra.sistema === t.sistema && altra.valore === t.valore) === i),
+        materiale: prodotto.materiale ? parolaCanonica(MATERIALI, prodotto.materiale) : null,
+        marche: senzaDuplicati(prodotto.marche.map(normalizzaMarca)).filter((m) => !marcheEscluse.includes(m)),
+        marcheEscluse,
+        prezzo: normalizzaPrezzo(prodotto.prezzo),
+        genere: prodotto.genere ? canonico(GENERI, prodotto.genere) : null,
+        fasciaEta: prodotto.fasciaEta ? canonico(FASCE_ETA, prodotto.fasciaEta) : null
+    }
+}
+
+export function normalizzaRichiesta(richiesta) {
+    return { prodotti: richiesta.prodotti.map(normalizzaProdotto) }
+}
@@ -1,39 +1,270 @@
-import OpenAi from 'openai'
-import { zodResponseFormat } from 'openai/helpers/zod'
-import { z } from 'zod/v3'
+import http from 'http'
+import { createProvider } from './llm.js'
+import { estraiFiltri, FiltriError } from './filtri.js'
+import { caricaCatalogo, descriviRisultati, CATALOGO_DEFAULT } from './catalogo.js'
+import { createConversazioni } from './conversazione.js'
+import { createEmbedder } from './embeddings.js'
+import { caricaIndice, INDICE_DEFAULT } from './indice.js'
 
-const key = ""
+// servizio HTTP che trasforma una frase dell'utente nei filtri di ricerca:
+// POST /filters { "message": "Voglio una maglietta bianca, taglia grande, ..." }
+// e che cerca i prodotti corrispondenti nel catalogo:
+// POST /search { "message": "...", "limit": 5 }
+// e che porta avanti una conversazione, raffinando i filtri a ogni messaggio:
+// POST /chat/:sessionId { "message": "anzi blu, e anche Puma" }
+// GET /chat/:sessionId (stato della sessione), DELETE /chat/:sessionId (ricomincia da capo)
 
-// creo il client per la comunicazione con il BE di openAI
-const client = new OpenAi({
-    apiKey: key
+const PORT = Number(process.env.AI_PORT) || 3335
+// dimensione massima del body (in byte)
+const MAX_BODY_SIZE = 16 * 1024
+// lunghezza massima del messaggio dell'utente
+const MAX_MESSAGE_LENGTH = 2000
+// numero massimo di prodotti restituiti per ogni prodotto richiesto
+const MAX_RESULTS = 50
+// file JSON con i prodotti e indice vettoriale (si crea con `node indicizza.js`)
+const CATALOG_FILE = process.env.CATALOG_FILE || CATALOGO_DEFAULT
+const INDEX_FILE = process.env.INDEX_FILE || INDICE_DEFAULT
+// quanto conta la similarità con il messaggio rispetto ai filtri, da 0 a 1
+const SEMANTIC_WEIGHT = process.env.SEMANTIC_WEIGHT === undefined ? 0.3 : Number(process.env.SEMANTIC_WEIGHT)
+if (!(SEMANTIC_WEIGHT >= 0 && SEMANTIC_WEIGHT <= 1)) {
+    throw new Error('SEMANTIC_WEIGHT must be a number between 0 and 1')
+}
+
+// la chiave non va scritta nel codice: si passa con OPENAI_API_KEY.
+// LLM_PROVIDER sceglie il provider: openai (default), local (es. Ollama su LLM_BASE_URL) o mock
+const provider = createProvider({
+    tipo: process.env.LLM_PROVIDER || 'openai',
+    apiKey: process.env.OPENAI_API_KEY,
+    model: process.env.LLM_MODEL,
+    baseURL: process.env.LLM_BASE_URL
+})
+
+const catalogo = await caricaCatalogo(CATALOG_FILE)
+
+// EMBEDDINGS_PROVIDER sceglie l'embedder: hash (default, locale), openai o local (EMBEDDINGS_BASE_URL).
+// Deve essere lo stesso usato per costruire l'indice
+const embedder = createEmbedder({
+    tipo: process.env.EMBEDDINGS_PROVIDER,
+    apiKey: process.env.OPENAI_API_KEY,
+    model: process.env.EMBEDDINGS_MODEL,
+    baseURL: process.env.EMBEDDINGS_BASE_URL
 })
+const indice = await caricaIndiceSemantico()
+
+// senza indice (o con un indice di un altro embedder) la ricerca usa solo i filtri
+async function caricaIndiceSemantico() {
+    let indice
+    try {
+        indice = await caricaIndice(INDEX_FILE)
+    } catch (error) {
+        console.warn(`Semantic search disabled (${error.code === 'ENOENT' ? 'no index' : error.message}): run node indicizza.js`)
+        return null
+    }
+    if (indice.modello !== embedder.modello) {
+        console.warn(`Semantic search disabled: the index was built with ${indice.modello}, not ${embedder.modello}. Run node indicizza.js`)
+        return null
+    }
+    const mancanti = indice.mancanti(catalogo.prodotti().map((p) => p.id))
+    if (mancanti.length) {
+        console.warn(`The index is out of date (${mancanti.length} products missing): run node indicizza.js`)
+    }
+    return indice
+}
+
+// similarità tra il messaggio e ogni prodotto; se l'embedder non risponde si cerca solo con i filtri
+async function similaritaPer(message) {
+    if (!indice || SEMANTIC_WEIGHT === 0) return null
+    try {
+        const [vettore] = await embedder.incorpora([message])
+        return indice.similarita(vettore)
+    } catch (error) {
+        console.error('Embeddings provider error:', error.message)
+        return null
+    }
+}
 
-const prodottoSchema = z.object({
-    tipoProdotto: z.string().describe('il tipo di prodotto che sta cercando l\'utente, potrebbe essere maglietta, pantaloni ecc'),
-    colore: z.string().nullable().describe('il colore del prodotto ricercato'),
-    taglia: z.enum(['XS', 'S', 'M', 'L', 'XL']),
-    materiale: z.string().nullable().describe('il materiale del prodotto ricercato'),
-    marche: z.array(z.string()).describe('l\'elenco delle marche ricercate')
+// CHAT_TOKEN_BUDGET: oltre questa stima di token i messaggi vecchi di una conversazione vengono riassunti
+const conversazioni = createConversazioni({
+    provider,
+    catalogo,
+    budgetToken: Number(process.env.CHAT_TOKEN_BUDGET) || undefined
 })
 
-const response = await client.chat.completions.parse({
-    model: 'gpt-4o-mini',
-    messages: [
-        {
-            role: 'system',
-            content: `Sei un assistente in un e-commerce di abbigliamento.
-            Creami dei filtri per il seguente messaggio`
-        },
-        {
-            role: 'user',
-            content: `Creami dei filtri per il seguente messaggio: 
-                "Voglio una maglietta bianca, taglia grande, marca adidas o nike, in cotone"`,
+// nomi delle azioni nelle differenze restituite da /chat
+const OPERAZIONI = { aggiungi: 'add', rimuovi: 'remove', sostituisci: 'replace' }
+
+function sendJSON(res, statusCode, data) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' })
+    res.end(JSON.stringify(data))
+}
+
+function sendError(res, error) {
+    sendJSON(res, error.statusCode, {
+        success: false,
+        error: error.message,
+        code: error.code,
+        ...(error.details && { details: error.details })
+    })
+}
+
+// legge il body JSON della richiesta, con un limite di dimensione
+function readJSONBody(req) {
+    return new Promise((resolve, reject) => {
+        const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase()
+        if (contentType !== 'application/json') {
+            return reject(new FiltriError(415, 'unsupported_media_type', 'Body must be JSON'))
+        }
+        const chunks = []
+        let size = 0
+        let tooLarge = false
+        req.on('data', (chunk) => {
+            if (tooLarge) return // scarto il resto del body
+            size += chunk.length
+            if (size > MAX_BODY_SIZE) {
+                tooLarge = true
+                chunks.length = 0
+                reject(new FiltriError(413, 'payload_too_large', 'Body too large'))
+                return
+            }
+            chunks.push(chunk)
+        })
+        req.on('end', () => {
+            if (tooLarge) return
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString()))
+            } catch (error) {
+                reject(new FiltriError(400, 'invalid_json', 'Invalid JSON'))
+            }
+        })
+        req.on('error', reject)
+    })
+}
+
+// controlla il messaggio dell'utente nel body
+function readMessage(body) {
+    const message = body && body.message
+    if (typeof message !== 'string' || !message.trim()) {
+        throw new FiltriError(400, 'message_required', 'message is required')
+    }
+    if (message.length > MAX_MESSAGE_LENGTH) {
+        throw new FiltriError(400, 'message_too_long', `message must be at most ${MAX_MESSAGE_LENGTH} characters`)
+    }
+    return message.trim()
+}
+
+// numero di prodotti da restituire per ogni prodotto richiesto
+function readLimit(body) {
+    const limit = body.limit === undefined ? 10 : body.limit
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_RESULTS) {
+        throw new FiltriError(400, 'invalid_limit', `limit must be an integer between 1 and ${MAX_RESULTS}`)
+    }
+    return limit
+}
+
+async function handleFilters(req, res) {
+    const body = await readJSONBody(req)
+    const filters = await estraiFiltri(provider, readMessage(body))
+    sendJSON(res, 200, { success: true, filters })
+}
+
+async function handleSearch(req, res) {
+    const body = await readJSONBody(req)
+    const message = readMessage(body)
+    const limit = readLimit(body)
+    const [filters, similarita] = await Promise.all([estraiFiltri(provider, message), similaritaPer(message)])
+    const ricerche = catalogo.cercaRichiesta(filters, { limite: limit, similarita, pesoSemantico: SEMANTIC_WEIGHT })
+    sendJSON(res, 200, {
+        success: true,
+        filters,
+        semantic: similarita !== null,
+        answer: descriviRisultati(ricerche),
+        results: formatResults(ricerche)
+    })
+}
+
+function formatResults(ricerche) {
+    return ricerche.map((ricerca) => ({
+        filters: ricerca.filtri,
+        products: ricerca.prodotti,
+        total: ricerca.totale,
+        relaxed: ricerca.rilassati
+    }))
+}
+
+async function handleChat(req, res, sessionId) {
+    if (req.method === 'GET') {
+        const session = conversazioni.stato(sessionId)
+        if (!session) {
+            throw new FiltriError(404, 'session_not_found', 'Session not found')
+        }
+        return sendJSON(res, 200, { success: true, sessionId, filters: session.filtri, summary: session.riassunto, messages: session.messaggi })
+    }
+    if (req.method === 'DELETE') {
+        conversazioni.elimina(sessionId)
+        return sendJSON(res, 200, { success: true, sessionId })
+    }
+    if (req.method !== 'POST') {
+        throw new FiltriError(405, 'method_not_allowed', 'Method not allowed')
+    }
+    const body = await readJSONBody(req)
+    const message = readMessage(body)
+    const limit = readLimit(body)
+    // come /search: la similarità con il messaggio entra nel punteggio dei prodotti
+    const similarita = await similaritaPer(message)
+    const turno = await conversazioni.turno(sessionId, message, { limite: limit, similarita, pesoSemantico: SEMANTIC_WEIGHT })
+    sendJSON(res, 200, {
+        success: true,
+        sessionId,
+        filters: turno.filtri,
+        semantic: similarita !== null,
+        changes: turno.differenze.map(({ azione, prodotto, tipoProdotto, campo, valore, precedente }) => ({
+            op: OPERAZIONI[azione],
+            product: prodotto,
+            productType: tipoProdotto,
+            field: campo,
+            value: valore,
+            ...(precedente !== undefined && { previous: precedente })
+        })),
+        answer: turno.risposta,
+        results: formatResults(turno.ricerche)
+    })
+}
+
+const server = http.createServer(async (req, res) => {
+    const pathname = new URL(req.url, 'http://localhost').pathname
+    try {
+        if (req.method === 'POST' && pathname === '/filters') {
+            return await handleFilters(req, res)
         }
-    ],
-    response_format: zodResponseFormat(prodottoSchema, 'prodotto')
+        if (req.method === 'POST' && pathname === '/search') {
+            return await handleSearch(req, res)
+        }
+        const chat = pathname.match(/^\/chat\/([^/]+)$/)
+        if (chat) {
+            const sessionId = chat[1]
+            if (!/^[\w-]{1,64}$/.test(sessionId)) {
+                throw new FiltriError(400, 'invalid_session_id', 'sessionId must be 1-64 letters, digits, "_" or "-"')
+            }
+            return await handleChat(req, res, sessionId)
+        }
+        if (req.method === 'GET' && pathname === '/health') {
+            return sendJSON(res, 200, {
+                status: 'ok',
+                provider: provider.nome,
+                products: catalogo.prodotti().length,
+                semanticIndex: indice && { model: indice.modello, products: indice.dimensione, createdAt: indice.creato }
+            })
+        }
+        sendJSON(res, 404, { success: false, error: 'Not found', code: 'not_found' })
+    } catch (error) {
+        if (error instanceof FiltriError) {
+            return sendError(res, error)
+        }
+        console.error('Unexpected error:', error)
+        sendJSON(res, 500, { success: false, error: 'Internal server error', code: 'internal_error' })
+    }
+})
+
+server.listen(PORT, () => {
+    console.log(`AI server running on http://localhost:${PORT} (provider: ${provider.nome})`)
 })
-console.log(response)
-console.log(response.choices)
-console.log(response.choices[0])
-console.log(response.output_text)
\ No newline at end of file
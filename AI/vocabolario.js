@@ -0,0 +1,89 @@
+// vocabolario canonico dei filtri: il modello (o l'utente) può scrivere "bianca",
+// "bianchi" o "white", ma nei filtri finisce sempre "white".
+// Ogni voce è: valore canonico -> parole che lo indicano (minuscole)
+
+export const COLORI = {
+    white: ['bianco', 'bianca', 'bianchi', 'bianche', 'white'],
+    black: ['nero', 'nera', 'neri', 'nere', 'black'],
+    grey: ['grigio', 'grigia', 'grigi', 'grigie', 'grey', 'gray'],
+    red: ['rosso', 'rossa', 'rossi', 'rosse', 'red'],
+    blue: ['blu', 'azzurro', 'azzurra', 'azzurri', 'azzurre', 'blue'],
+    navy: ['blu scuro', 'blu navy', 'navy'],
+    green: ['verde', 'verdi', 'green'],
+    yellow: ['giallo', 'gialla', 'gialli', 'gialle', 'yellow'],
+    orange: ['arancione', 'arancioni', 'orange'],
+    pink: ['rosa', 'pink'],
+    purple: ['viola', 'purple'],
+    brown: ['marrone', 'marroni', 'brown'],
+    beige: ['beige', 'crema'],
+}
+
+export const MATERIALI = {
+    cotton: ['cotone', 'cotton'],
+    wool: ['lana', 'wool'],
+    linen: ['lino', 'linen'],
+    silk: ['seta', 'silk'],
+    leather: ['pelle', 'cuoio', 'leather'],
+    denim: ['denim', 'jeans'],
+    polyester: ['poliestere', 'polyester'],
+    cashmere: ['cashmere', 'cachemire'],
+}
+
+export const TIPI_PRODOTTO = {
+    't-shirt': ['maglietta', 'magliette', 't-shirt', 'tshirt', 'maglia', 'maglie'],
+    shirt: ['camicia', 'camicie', 'shirt'],
+    sweatshirt: ['felpa', 'felpe', 'sweatshirt', 'hoodie'],
+    sweater: ['maglione', 'maglioni', 'sweater'],
+    trousers: ['pantalone', 'pantaloni', 'trousers', 'pants'],
+    jeans: ['jeans'],
+    shorts: ['pantaloncini', 'bermuda', 'shorts'],
+    skirt: ['gonna', 'gonne', 'skirt'],
+    dress: ['vestito', 'vestiti', 'abito', 'dress'],
+    jacket: ['giacca', 'giacche', 'giubbotto', 'giubbotti', 'jacket'],
+    coat: ['cappotto', 'cappotti', 'coat'],
+    shoes: ['scarpe', 'scarpa', 'shoes'],
+    sneakers: ['sneakers', 'scarpe da ginnastica', 'scarpe sportive'],
+}
+
+// taglie a lettere, dalla più piccola
+export const TAGLIE_LETTERE = {
+    XXS: ['xxs'],
+    XS: ['xs', 'molto piccola', 'extra small'],
+    S: ['s', 'piccola', 'small'],
+    M: ['m', 'media', 'medium'],
+    L: ['l', 'grande', 'large'],
+    XL: ['xl', 'molto grande', 'extra large'],
+    XXL: ['xxl', '2xl', 'extra extra large'],
+}
+
+export const GENERI = {
+    men: ['uomo', 'maschile', 'men', 'male'],
+    women: ['donna', 'femminile', 'women', 'female'],
+    unisex: ['unisex'],
+}
+
+export const FASCE_ETA = {
+    adult: ['adulto', 'adulti', 'adult'],
+    teen: ['ragazzo', 'ragazza', 'ragazzi', 'adolescente', 'teen'],
+    kids: ['bambino', 'bambina', 'bambini', 'kids', 'child'],
+    baby: ['neonato', 'neonata', 'neonati', 'baby'],
+}
+
+// codici ISO 4217
+export const VALUTE = {
+    EUR: ['eur', 'euro', '€'],
+    USD: ['usd', 'dollaro', 'dollari', 'dollar', 'dollars', '$'],
+    GBP: ['gbp', 'sterlina', 'sterline', 'pound', 'pounds', '£'],
+}
+
+// le marche si confrontano senza maiuscole, spazi e punteggiatura ("Levi's" -> "levis")
+export function normalizzaMarca(marca) {
+    return marca.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9]/g, '')
+}
+
+// valore canonico di una parola, oppure null se il vocabolario non la conosce
+export function canonico(vocabolario, parola) {
+    const minuscola = parola.trim().toLowerCase()
+    const voce = Object.entries(vocabolario).find(([valore, parole]) => valore.toLowerCase() === minuscola || parole.includes(minuscola))
+    return voce ? voce[0] : null
+}
@@ -0,0 +1,98 @@
+// ============================================
+// CLIENT HTTP MINIMALE
+// Utilizza solo moduli built-in di Node.js (nessun package esterno)
+// ============================================
+
+const http = require("http"); // Per le richieste verso server locali (es. nei test)
+const https = require("https"); // Per le richieste verso Google e altri provider
+const { URL } = require("url");
+
+// ============================================
+// FUNZIONE: Scarica un documento JSON
+// ============================================
+// Fa una richiesta GET e restituisce status, header e body già parsato.
+// Sceglie http o https in base al protocollo dell'URL, così possiamo
+// puntare a un server locale che finge di essere Google.
+function getJSON(url) {
+  return new Promise((resolve, reject) => {
+    const client = new URL(url).protocol === "http:" ? http : https;
+    client
+      .get(url, (res) => {
+        let data = "";
+        res.on("data", (chunk) => (data += chunk));
+        res.on("end", () => {
+          if (res.statusCode < 200 || res.statusCode >= 300) {
+            return reject(
+              new Error(`Request to ${url} failed with status ${res.statusCode}`)
+            );
+          }
+          try {
+            resolve({
+              statusCode: res.statusCode,
+              headers: res.headers,
+              body: JSON.parse(data),
+            });
+          } catch (error) {
+            reject(error);
+          }
+        });
+        res.on("error", reject);
+      })
+      .on("error", reject);
+  });
+}
+
+// ============================================
+// FUNZIONE: Invia un form e legge la risposta JSON
+// ============================================
+// Fa una richiesta POST con body application/x-www-form-urlencoded,
+// il formato richiesto dagli endpoint OAuth (es. token endpoint).
+function postForm(url, params) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === "http:" ? http : https;
+    const body = new URLSearchParams(params).toString();
+
+    const req = client.request(
+      target,
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/x-www-form-urlencoded",
+          "Content-Length": Buffer.byteLength(body),
+          Accept: "application/json",
+        },
+      },
+      (res) => {
+        let data = "";
+        res.on("data", (chunk) => (data += chunk));
+        res.on("end", () => {
+          let json;
+          try {
+            json = JSON.parse(data);
+          } catch (error) {
+            return reject(error);
+          }
+          if (res.statusCode < 200 || res.statusCode >= 300) {
+            // Gli endpoint OAuth descrivono l'errore nel campo "error"
+            return reject(
+              new Error(
+                `Request to ${url} failed with status ${res.statusCode}: ${json.error || "unknown error"}`
+              )
+            );
+          }
+          resolve({
+            statusCode: res.statusCode,
+            headers: res.headers,
+            body: json,
+          });
+        });
+        res.on("error", reject);
+      }
+    );
+    req.on("error", reject);
+    req.end(body);
+  });
+}
+
+module.exports = { getJSON, postForm };
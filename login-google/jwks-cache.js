@@ -0,0 +1,119 @@
+// ============================================
+// CACHE DELLE CHIAVI PUBBLICHE (JWKS)
+// Utilizza solo moduli built-in di Node.js (nessun package esterno)
+// ============================================
+// Scaricare le chiavi di Google a ogni login è lento e rende il login
+// dipendente dalla disponibilità di googleapis.com. Questa cache:
+// 1. Rispetta l'header Cache-Control: max-age della risposta JWKS
+// 2. Riscarica le chiavi una volta se il token usa un kid sconosciuto
+//    (Google ruota periodicamente le sue chiavi)
+// 3. Fa una sola richiesta alla volta anche se arrivano molti login insieme
+// 4. Continua a usare le chiavi vecchie se il rinnovo fallisce
+
+const { getJSON } = require("./http-client");
+
+// Durata di default della cache se la risposta non indica un max-age (in secondi)
+const DEFAULT_MAX_AGE = 60 * 60;
+
+// Intervallo minimo tra due download (in millisecondi). Evita che token con kid
+// inventati o un provider irraggiungibile ci facciano scaricare le chiavi a ogni richiesta.
+const MIN_REFRESH_INTERVAL = 30 * 1000;
+
+// ============================================
+// FUNZIONE: Legge il max-age dall'header Cache-Control
+// ============================================
+// Esempio di header di Google: "public, max-age=19882, must-revalidate, no-transform"
+// Se presente, sottrae l'header Age (tempo già passato in una cache intermedia).
+function parseMaxAge(headers) {
+  const cacheControl = headers["cache-control"] || "";
+  if (/no-store|no-cache/i.test(cacheControl)) {
+    return 0;
+  }
+  const match = /max-age=(\d+)/i.exec(cacheControl);
+  if (!match) {
+    return DEFAULT_MAX_AGE;
+  }
+  const age = parseInt(headers["age"], 10) || 0;
+  return Math.max(parseInt(match[1], 10) - age, 0);
+}
+
+// ============================================
+// FUNZIONE: Crea una cache per un endpoint JWKS
+// ============================================
+// Restituisce un oggetto con:
+// - getKey(kid): la chiave con quel kid, oppure null se non esiste
+// - getKeys(): tutte le chiavi valide al momento
+function createJwksCache(url, options = {}) {
+  const minRefreshInterval =
+    options.minRefreshInterval !== undefined
+      ? options.minRefreshInterval
+      : MIN_REFRESH_INTERVAL;
+
+  let keys = null; // Ultime chiavi scaricate con successo
+  let expiresAt = 0; // Quando le chiavi vanno considerate scadute (ms)
+  let lastFetchAt = 0; // Ultimo tentativo di download (ms)
+  let pending = null; // Download in corso (single-flight)
+
+  // Scarica le chiavi. Se un download è già in corso, restituisce quello
+  // invece di farne partire un altro.
+  function refresh() {
+    if (pending) {
+      return pending;
+    }
+    lastFetchAt = Date.now();
+    pending = getJSON(url)
+      .then(({ headers, body }) => {
+        if (!body || !Array.isArray(body.keys)) {
+          throw new Error("Invalid JWKS response");
+        }
+        keys = body.keys;
+        expiresAt = Date.now() + parseMaxAge(headers) * 1000;
+        return keys;
+      })
+      .finally(() => {
+        pending = null;
+      });
+    return pending;
+  }
+
+  // Prova a rinnovare le chiavi; se il download fallisce ma abbiamo
+  // chiavi vecchie, continua a usare quelle.
+  async function refreshOrStale() {
+    try {
+      return await refresh();
+    } catch (error) {
+      if (!keys) {
+        throw error;
+      }
+      console.warn(`JWKS refresh failed, using stale keys: ${error.message}`);
+      // Ritenta non prima di minRefreshInterval
+      expiresAt = Date.now() + minRefreshInterval;
+      return keys;
+    }
+  }
+
+  async function getKeys() {
+    if (keys && Date.now() < expiresAt) {
+      return keys;
+    }
+    return refreshOrStale();
+  }
+
+  async function getKey(kid) {
+    let current = await getKeys();
+    let key = current.find((k) => k.kid === kid);
+
+    // kid sconosciuto: forse il provider ha appena ruotato le chiavi.
+    // Riscarica una volta sola (rispettando l'intervallo minimo).
+    if (!key && Date.now() - lastFetchAt >= minRefreshInterval) {
+      current = await refreshOrStale();
+      key = current.find((k) => k.kid === kid);
+    }
+
+    return key || null;
+  }
+
+  return { getKey, getKeys };
+}
+
+module.exports = { createJwksCache, parseMaxAge };
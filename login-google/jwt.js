@@ -0,0 +1,330 @@
+// ============================================
+// FUNZIONI DI SUPPORTO PER I TOKEN JWT
+// Utilizza solo moduli built-in di Node.js (nessun package esterno)
+// ============================================
+// Queste funzioni servono sia per leggere i token di Google
+// sia per firmare i token emessi dal nostro server.
+
+const crypto = require("crypto");
+
+// ============================================
+// ERRORE: Token non valido
+// ============================================
+// Oltre al messaggio, ogni errore ha un "code" leggibile da un programma
+// (es. "token_expired"), che il server restituisce nella risposta 401.
+class JWTError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "JWTError";
+    this.code = code;
+  }
+}
+
+// Algoritmi di firma che sappiamo verificare.
+// Per ognuno: il tipo di chiave (kty) richiesto, l'hash da usare e, per le
+// curve ellittiche, il formato della firma usato nei JWT (r || s).
+const ALGORITHMS = {
+  RS256: { kty: "RSA", hash: "sha256" },
+  ES256: { kty: "EC", hash: "sha256", dsaEncoding: "ieee-p1363" },
+  EdDSA: { kty: "OKP", hash: null }, // Ed25519: l'hash è incluso nell'algoritmo
+};
+
+// Politica di validazione di default: ogni servizio la può personalizzare
+const DEFAULT_POLICY = {
+  algorithms: ["RS256"], // Algoritmi accettati (mai "none")
+  clockTolerance: 60, // Secondi di tolleranza per orologi non sincronizzati
+  requireExp: true, // Un token senza scadenza viene rifiutato
+  maxAge: null, // Età massima del token in secondi (dal claim iat), null = nessun limite
+  issuers: null, // Issuer accettati, array o funzione (null = nessun controllo)
+  audiences: null, // Audience accettate (null = nessun controllo)
+  allowedHostedDomains: null, // Domini G Suite/Workspace accettati (claim hd)
+  requireEmailVerified: false, // Richiede email_verified === true
+  nonce: null, // Valore atteso del claim nonce (flusso authorization code)
+};
+
+// ============================================
+// FUNZIONE: Decodifica una stringa base64url
+// ============================================
+// I token JWT usano base64url (variante di base64 con caratteri URL-safe).
+// Questa funzione converte base64url in base64 standard e poi in Buffer.
+function base64UrlDecode(str) {
+  // Sostituisce i caratteri URL-safe con quelli standard base64
+  let base64 = str.replace(/-/g, "+").replace(/_/g, "/");
+  // Aggiunge padding se necessario (base64 richiede lunghezza multipla di 4)
+  while (base64.length % 4) {
+    base64 += "=";
+  }
+  // Converte la stringa base64 in un Buffer binario
+  return Buffer.from(base64, "base64");
+}
+
+// ============================================
+// FUNZIONE: Codifica in base64url
+// ============================================
+// Operazione inversa di base64UrlDecode: serve quando firmiamo i nostri token.
+function base64UrlEncode(input) {
+  const buffer = Buffer.isBuffer(input) ? input : Buffer.from(input);
+  return buffer
+    .toString("base64")
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+// Sapete che cosa è un token JWT?
+// Un token JWT è un token di sicurezza che viene usato per autenticare un utente.
+// Il token JWT è composto da 3 parti: header, payload e signature.
+// Il header contiene informazioni sul tipo di token e algoritmo.
+// Il payload contiene i dati dell'utente.
+// La signature è la parte che viene usata per verificare che il token sia autentico.
+// Il token JWT viene usato per autenticare un utente in modo sicuro.
+
+// Oggetto JSON vero e proprio (non null, non un array)
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+// ============================================
+// FUNZIONE: Parsa un token JWT
+// ============================================
+// Questa funzione separa le parti e decodifica header e payload.
+function parseJWT(token) {
+  // Divide il token nelle sue 3 parti
+  const parts = token.split(".");
+  if (parts.length !== 3) {
+    throw new Error("Invalid JWT format");
+  }
+
+  // Decodifica l'header (contiene informazioni sul tipo di token e algoritmo)
+  const header = JSON.parse(base64UrlDecode(parts[0]).toString());
+  // Decodifica il payload (contiene i dati dell'utente)
+  const payload = JSON.parse(base64UrlDecode(parts[1]).toString());
+  // Header e payload devono essere oggetti JSON: "null", un numero o un array
+  // farebbero fallire più avanti i controlli su alg, exp, ...
+  if (!isPlainObject(header) || !isPlainObject(payload)) {
+    throw new JWTError("malformed_token", "JWT header and payload must be JSON objects");
+  }
+  // La firma rimane codificata (verrà verificata dopo)
+  const signature = parts[2];
+
+  return { header, payload, signature, raw: parts };
+}
+
+// ============================================
+// FUNZIONE: Firma un token JWT
+// ============================================
+// Costruisce "header.payload" in base64url e ci aggiunge la firma.
+// Algoritmi supportati:
+// - RS256: RSA con SHA-256 (lo stesso usato da Google)
+// - EdDSA: Ed25519 (chiavi e firme più piccole)
+function signJWT(header, payload, privateKey) {
+  const encodedHeader = base64UrlEncode(JSON.stringify(header));
+  const encodedPayload = base64UrlEncode(JSON.stringify(payload));
+  const dataToSign = `${encodedHeader}.${encodedPayload}`;
+
+  let signature;
+  if (header.alg === "RS256") {
+    signature = crypto.sign("sha256", Buffer.from(dataToSign), privateKey);
+  } else if (header.alg === "EdDSA") {
+    // Con Ed25519 l'algoritmo di hash è incluso nella firma: si passa null
+    signature = crypto.sign(null, Buffer.from(dataToSign), privateKey);
+  } else {
+    throw new Error(`Unsupported JWT algorithm: ${header.alg}`);
+  }
+
+  return `${dataToSign}.${base64UrlEncode(signature)}`;
+}
+
+// ============================================
+// FUNZIONE: Converte una chiave JWK in chiave pubblica Node.js
+// ============================================
+// Prende solo i campi che descrivono la chiave: kid, alg, use ecc. non servono.
+function jwkToPublicKey(jwk) {
+  const fields =
+    jwk.kty === "RSA"
+      ? { kty: jwk.kty, n: jwk.n, e: jwk.e } // Modulo ed esponente RSA
+      : jwk.kty === "EC"
+        ? { kty: jwk.kty, crv: jwk.crv, x: jwk.x, y: jwk.y } // Punto sulla curva
+        : { kty: jwk.kty, crv: jwk.crv, x: jwk.x }; // Chiave Ed25519
+  return crypto.createPublicKey({ key: fields, format: "jwk" });
+}
+
+// ============================================
+// FUNZIONE: Verifica un token JWT
+// ============================================
+// Questa è la funzione principale di sicurezza. Verifica, nell'ordine:
+// 1. Che l'algoritmo sia tra quelli permessi dalla politica
+// 2. Che la firma crittografica sia valida (con la chiave indicata dal kid)
+// 3. Le date: scadenza (exp), "non prima di" (nbf), emissione (iat)
+// 4. Che il token sia stato emesso per noi (aud) dall'issuer atteso (iss)
+// 5. Le regole opzionali su dominio (hd), email verificata e nonce
+//
+// Opzioni:
+// - getKey(kid): funzione async che restituisce la chiave JWK (o null)
+// - policy: regole di validazione (vedi DEFAULT_POLICY)
+async function verifyJWT(token, { getKey, policy }) {
+  const rules = { ...DEFAULT_POLICY, ...policy };
+
+  // Parsa il token nelle sue componenti
+  let parsed;
+  try {
+    parsed = parseJWT(String(token));
+  } catch (error) {
+    throw new JWTError("malformed_token", "Invalid JWT format");
+  }
+  const { header, payload, signature, raw } = parsed;
+
+  // VERIFICA 1: L'algoritmo deve essere tra quelli permessi.
+  // Senza questo controllo un attaccante potrebbe scegliere l'algoritmo
+  // (es. "none", cioè nessuna firma).
+  const algorithm = ALGORITHMS[header.alg];
+  if (!algorithm || !rules.algorithms.includes(header.alg)) {
+    throw new JWTError(
+      "algorithm_not_allowed",
+      `Algorithm not allowed: ${header.alg}`
+    );
+  }
+
+  // VERIFICA 2: Verifica la firma crittografica
+  // Trova la chiave pubblica corrispondente al kid (key ID) nell'header.
+  let key;
+  try {
+    key = await getKey(header.kid);
+  } catch (error) {
+    throw new JWTError(
+      "keys_unavailable",
+      `Unable to fetch public keys: ${error.message}`
+    );
+  }
+  if (!key) {
+    throw new JWTError("key_not_found", "Public key not found");
+  }
+
+  // La chiave deve essere del tipo giusto per l'algoritmo (es. RSA per RS256)
+  // e, se lo dichiara, destinata a quell'algoritmo e alle firme
+  if (
+    key.kty !== algorithm.kty ||
+    (key.alg && key.alg !== header.alg) ||
+    (key.use && key.use !== "sig")
+  ) {
+    throw new JWTError(
+      "key_type_mismatch",
+      "Public key does not match token algorithm"
+    );
+  }
+
+  // Prepara i dati per la verifica della firma
+  const signatureBuffer = base64UrlDecode(signature); // Decodifica la firma
+  const dataToVerify = `${raw[0]}.${raw[1]}`; // Header + Payload (senza firma)
+
+  // Se la firma è valida, significa che il token è autentico e non è stato modificato
+  const isValid = crypto.verify(
+    algorithm.hash,
+    Buffer.from(dataToVerify),
+    { key: jwkToPublicKey(key), dsaEncoding: algorithm.dsaEncoding },
+    signatureBuffer
+  );
+  if (!isValid) {
+    throw new JWTError("invalid_signature", "Invalid token signature");
+  }
+
+  // VERIFICA 3: Controlla le date del token
+  // clockTolerance permette qualche secondo di differenza tra gli orologi
+  const now = Math.floor(Date.now() / 1000); // Timestamp attuale in secondi
+  const tolerance = rules.clockTolerance;
+
+  if (payload.exp === undefined) {
+    if (rules.requireExp) {
+      throw new JWTError("missing_exp", "Token has no expiration");
+    }
+  } else if (typeof payload.exp !== "number") {
+    throw new JWTError("invalid_exp", "Invalid exp claim");
+  } else if (payload.exp + tolerance <= now) {
+    throw new JWTError("token_expired", "Token has expired");
+  }
+
+  if (payload.nbf !== undefined) {
+    if (typeof payload.nbf !== "number") {
+      throw new JWTError("invalid_nbf", "Invalid nbf claim");
+    }
+    if (payload.nbf - tolerance > now) {
+      throw new JWTError("token_not_yet_valid", "Token is not yet valid");
+    }
+  }
+
+  if (payload.iat !== undefined) {
+    if (typeof payload.iat !== "number") {
+      throw new JWTError("invalid_iat", "Invalid iat claim");
+    }
+    if (payload.iat - tolerance > now) {
+      throw new JWTError("token_issued_in_future", "Token issued in the future");
+    }
+  }
+
+  // Età massima: quanto tempo è passato dall'emissione del token
+  if (rules.maxAge) {
+    if (typeof payload.iat !== "number") {
+      throw new JWTError("missing_iat", "Token has no issued-at time");
+    }
+    if (now - payload.iat > rules.maxAge + tolerance) {
+      throw new JWTError("token_too_old", "Token is too old");
+    }
+  }
+
+  // VERIFICA 4: Controlla audience e issuer
+  // L'audience può essere una stringa o un array di stringhe
+  if (rules.audiences) {
+    const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+    if (!audiences.some((aud) => rules.audiences.includes(aud))) {
+      throw new JWTError("audience_mismatch", "Token audience mismatch");
+    }
+  }
+
+  // issuers può essere un array oppure una funzione (payload) => boolean,
+  // utile quando l'issuer dipende dal token (es. tenant Microsoft).
+  // null (o assente) = nessun controllo, come le altre regole opzionali
+  if (rules.issuers) {
+    const issuerAllowed =
+      typeof rules.issuers === "function"
+        ? rules.issuers(payload)
+        : rules.issuers.includes(payload.iss);
+    if (!issuerAllowed) {
+      throw new JWTError("issuer_mismatch", "Invalid token issuer");
+    }
+  }
+
+  // VERIFICA 5: Regole opzionali sull'account
+  // hd è il dominio dell'organizzazione (es. "scuola.it") per gli account Workspace
+  if (
+    rules.allowedHostedDomains &&
+    !rules.allowedHostedDomains.includes(payload.hd)
+  ) {
+    throw new JWTError(
+      "hosted_domain_not_allowed",
+      "Hosted domain not allowed"
+    );
+  }
+
+  if (rules.requireEmailVerified && payload.email_verified !== true) {
+    throw new JWTError("email_not_verified", "Email is not verified");
+  }
+
+  // Il nonce lega l'ID token alla richiesta di login che abbiamo avviato noi:
+  // impedisce di riusare un token ottenuto in un altro login
+  if (rules.nonce && payload.nonce !== rules.nonce) {
+    throw new JWTError("nonce_mismatch", "Token nonce mismatch");
+  }
+
+  // Se tutte le verifiche sono passate, restituisce il payload con i dati utente
+  return payload;
+}
+
+module.exports = {
+  JWTError,
+  DEFAULT_POLICY,
+  base64UrlDecode,
+  base64UrlEncode,
+  parseJWT,
+  signJWT,
+  verifyJWT,
+};
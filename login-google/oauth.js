@@ -0,0 +1,120 @@
+// ============================================
+// FLUSSO OAUTH "AUTHORIZATION CODE" CON PKCE
+// Utilizza solo moduli built-in di Node.js (nessun package esterno)
+// ============================================
+// Alternativa al popup / One Tap di Google Identity Services, che non
+// funziona dove sono bloccati i cookie di terze parti o lo script GSI.
+// Il flusso è gestito interamente dal server:
+// 1. /auth/start: il server genera state, nonce e code_verifier e
+//    reindirizza il browser alla pagina di login del provider
+// 2. Il provider rimanda il browser su /auth/callback con un "code"
+// 3. Il server scambia il code con i token presso il token endpoint,
+//    dimostrando con il code_verifier di essere chi ha iniziato il login (PKCE)
+// 4. Il server verifica l'ID token (incluso il nonce) e crea la sessione
+//
+// - state: protegge dal CSRF (il callback deve arrivare dal login che abbiamo avviato)
+// - nonce: lega l'ID token a questo login (non si può riusare un token vecchio)
+// - PKCE: se qualcuno intercetta il code non può usarlo senza il code_verifier
+
+const crypto = require("crypto");
+const { postForm } = require("./http-client");
+
+// Genera una stringa casuale sicura in formato base64url
+function randomString() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+// code_challenge = base64url(SHA-256(code_verifier)) (metodo "S256")
+function createCodeChallenge(codeVerifier) {
+  return crypto.createHash("sha256").update(codeVerifier).digest("base64url");
+}
+
+// ============================================
+// FUNZIONE: Crea il gestore del flusso authorization code
+// ============================================
+// Opzioni:
+// - redirectUri: URL di /auth/callback registrato presso il provider
+// - pendingTtl: secondi entro cui l'utente deve completare il login
+function createAuthCodeFlow(options) {
+  const pendingTtl = options.pendingTtl || 10 * 60; // 10 minuti
+
+  // Login avviati e non ancora completati: state -> dati del login
+  const pending = new Map();
+
+  function pruneExpired() {
+    const now = Date.now();
+    for (const [state, login] of pending) {
+      if (login.expiresAt < now) {
+        pending.delete(state);
+      }
+    }
+  }
+
+  // Avvia un login: restituisce lo state e l'URL a cui mandare il browser
+  async function start(provider, returnTo) {
+    const metadata = await provider.getMetadata();
+    if (!metadata.authorization_endpoint || !provider.clientSecret) {
+      throw new Error(
+        `Provider ${provider.name} is not configured for the authorization code flow`
+      );
+    }
+
+    pruneExpired();
+    const state = randomString();
+    const nonce = randomString();
+    const codeVerifier = randomString();
+    pending.set(state, {
+      providerName: provider.name,
+      nonce,
+      codeVerifier,
+      returnTo,
+      expiresAt: Date.now() + pendingTtl * 1000,
+    });
+
+    const url = new URL(metadata.authorization_endpoint);
+    url.search = new URLSearchParams({
+      response_type: "code",
+      client_id: provider.clientId,
+      redirect_uri: options.redirectUri,
+      scope: provider.scope,
+      state,
+      nonce,
+      code_challenge: createCodeChallenge(codeVerifier),
+      code_challenge_method: "S256",
+    }).toString();
+
+    return { state, url: url.toString() };
+  }
+
+  // Recupera (e rimuove) il login associato allo state.
+  // Ogni state si può usare una volta sola.
+  function consume(state) {
+    const login = pending.get(state);
+    if (!login) {
+      return null;
+    }
+    pending.delete(state);
+    return login.expiresAt < Date.now() ? null : login;
+  }
+
+  // Scambia il code con i token presso il token endpoint del provider
+  async function exchangeCode(provider, code, codeVerifier) {
+    const metadata = await provider.getMetadata();
+    const { body } = await postForm(metadata.token_endpoint, {
+      grant_type: "authorization_code",
+      code,
+      redirect_uri: options.redirectUri,
+      client_id: provider.clientId,
+      client_secret: provider.clientSecret,
+      code_verifier: codeVerifier,
+    });
+    if (!body.id_token) {
+      throw new Error("Token response has no id_token");
+    }
+    return body;
+  }
+
+  return { start, consume, exchangeCode };
+}
+
+module.exports = { createAuthCodeFlow, createCodeChallenge };
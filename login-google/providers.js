@@ -0,0 +1,246 @@
+// ============================================
+// PROVIDER DI LOGIN (GOOGLE, MICROSOFT, OIDC GENERICO)
+// Utilizza solo moduli built-in di Node.js (nessun package esterno)
+// ============================================
+// Google, Microsoft e molti altri servizi seguono lo standard OpenID Connect:
+// danno all'utente un ID token (un JWT firmato) che noi verifichiamo con le
+// loro chiavi pubbliche. Cambiano solo pochi dettagli:
+// - issuer: chi emette il token (claim iss)
+// - URL delle chiavi pubbliche (JWKS), spesso scoperto tramite il documento
+//   /.well-known/openid-configuration ("discovery")
+// - audience: il nostro client ID presso quel provider
+// - come i claim del token diventano il nostro oggetto userInfo
+
+const { getJSON } = require("./http-client");
+const { createJwksCache } = require("./jwks-cache");
+const { verifyJWT } = require("./jwt");
+
+// ============================================
+// FUNZIONE: Mappatura standard dei claim OpenID Connect
+// ============================================
+// Trasforma il payload del token nel formato userInfo usato dal server.
+function mapStandardClaims(payload) {
+  return {
+    id: payload.sub, // ID univoco dell'utente presso il provider
+    email: payload.email, // Email dell'utente
+    name: payload.name, // Nome completo
+    picture: payload.picture, // URL dell'avatar
+    emailVerified: payload.email_verified === true, // Se l'email è verificata
+  };
+}
+
+// ============================================
+// FUNZIONE: Crea un provider
+// ============================================
+// Opzioni:
+// - name: nome del provider, usato nella route /login/:provider
+// - issuers: issuer accettati (array, oppure funzione (payload) => boolean)
+// - clientId / clientSecret: le nostre credenziali presso il provider
+// - audiences: client ID accettati (default: [clientId])
+// - jwksUri: URL delle chiavi pubbliche. Se manca usa la discovery
+// - discoveryUrl: URL del documento openid-configuration
+//   (default: <issuer>/.well-known/openid-configuration)
+// - authorizationEndpoint / tokenEndpoint: endpoint OAuth per il flusso
+//   authorization code (se mancano vengono presi dalla discovery)
+// - policy: regole di validazione aggiuntive (vedi DEFAULT_POLICY in jwt.js)
+// - mapClaims(payload): trasforma il payload in userInfo
+function createProvider(config) {
+  const issuer = Array.isArray(config.issuers) ? config.issuers[0] : null;
+  const discoveryUrl =
+    config.discoveryUrl ||
+    (issuer && `${issuer.replace(/\/$/, "")}/.well-known/openid-configuration`);
+  const mapClaims = config.mapClaims || mapStandardClaims;
+
+  let metadata = null; // Promise con il documento di discovery
+  let keys = null; // Promise con la cache JWKS (creata dopo la discovery)
+
+  // Scarica (una volta sola) il documento di discovery del provider.
+  // Se il download fallisce, al prossimo tentativo si riprova.
+  // I valori indicati nella configurazione hanno la precedenza.
+  function getMetadata() {
+    if (!metadata) {
+      const discovery = config.jwksUri
+        ? Promise.resolve({ issuer })
+        : getJSON(discoveryUrl).then(({ body }) => body);
+      metadata = discovery.then((body) => ({
+        ...body,
+        jwks_uri: config.jwksUri || body.jwks_uri,
+        authorization_endpoint:
+          config.authorizationEndpoint || body.authorization_endpoint,
+        token_endpoint: config.tokenEndpoint || body.token_endpoint,
+      }));
+      metadata.catch(() => {
+        metadata = null;
+      });
+    }
+    return metadata;
+  }
+
+  function getKey(kid) {
+    if (!keys) {
+      keys = getMetadata().then((meta) => createJwksCache(meta.jwks_uri));
+      keys.catch(() => {
+        keys = null;
+      });
+    }
+    return keys.then((cache) => cache.getKey(kid));
+  }
+
+  const policy = {
+    ...config.policy,
+    issuers: config.issuers,
+    audiences: config.audiences || [config.clientId],
+  };
+
+  // Verifica il token e restituisce il payload.
+  // extraPolicy permette regole legate alla singola richiesta (es. il nonce).
+  function verify(token, extraPolicy) {
+    return verifyJWT(token, { getKey, policy: { ...policy, ...extraPolicy } });
+  }
+
+  // Trasforma il payload verificato in userInfo, aggiungendo il provider
+  function toUserInfo(payload) {
+    return { ...mapClaims(payload), provider: config.name };
+  }
+
+  return {
+    name: config.name,
+    clientId: config.clientId,
+    clientSecret: config.clientSecret,
+    scope: config.scope || "openid email profile",
+    verify,
+    toUserInfo,
+    getMetadata,
+  };
+}
+
+// ============================================
+// PROVIDER: Google
+// ============================================
+function googleProvider(options) {
+  return createProvider({
+    name: "google",
+    issuers: ["https://accounts.google.com", "accounts.google.com"],
+    clientId: options.clientId,
+    clientSecret: options.clientSecret,
+    jwksUri: options.jwksUri || "https://www.googleapis.com/oauth2/v3/certs",
+    authorizationEndpoint:
+      options.authorizationEndpoint ||
+      "https://accounts.google.com/o/oauth2/v2/auth",
+    tokenEndpoint: options.tokenEndpoint || "https://oauth2.googleapis.com/token",
+    policy: {
+      algorithms: ["RS256"], // Google firma i suoi ID token solo con RS256
+      ...options.policy,
+    },
+  });
+}
+
+// ============================================
+// FUNZIONE: Email verificata in un token Microsoft
+// ============================================
+// Microsoft non manda email_verified. Due claim opzionali (da attivare
+// nella registrazione dell'app) dicono però se l'email è affidabile:
+// - xms_edov: il dominio dell'email (claim email) è verificato dal tenant
+// - verified_primary_email: le email primarie verificate dell'utente
+// Senza questi claim l'email non è verificata e l'account non viene
+// collegato ad altri account con la stessa email (vedi users.js).
+function microsoftEmailVerified(payload) {
+  const email = payload.email || payload.preferred_username;
+  if (!email) {
+    return false;
+  }
+  const verifiedEmails = [].concat(payload.verified_primary_email || []);
+  if (verifiedEmails.some((v) => String(v).toLowerCase() === email.toLowerCase())) {
+    return true;
+  }
+  // xms_edov vale solo per il claim email, non per preferred_username
+  return Boolean(payload.email) && (payload.xms_edov === true || payload.xms_edov === "1");
+}
+
+// ============================================
+// PROVIDER: Microsoft (Entra ID / account personali)
+// ============================================
+// Con i tenant "common", "organizations" e "consumers" l'issuer contiene
+// l'ID del tenant dell'utente (claim tid), quindi non è un valore fisso.
+function microsoftProvider(options) {
+  const tenant = options.tenant || "common";
+  const multiTenant = ["common", "organizations", "consumers"].includes(tenant);
+  const issuers = multiTenant
+    ? (payload) =>
+        /^[0-9a-f-]{36}$/.test(payload.tid) &&
+        payload.iss === `https://login.microsoftonline.com/${payload.tid}/v2.0`
+    : [`https://login.microsoftonline.com/${tenant}/v2.0`];
+
+  return createProvider({
+    name: "microsoft",
+    issuers,
+    clientId: options.clientId,
+    clientSecret: options.clientSecret,
+    discoveryUrl: `https://login.microsoftonline.com/${tenant}/v2.0/.well-known/openid-configuration`,
+    policy: {
+      algorithms: ["RS256"],
+      ...options.policy,
+      // Microsoft non include email_verified nei suoi token: va dopo la policy
+      // comune, che altrimenti richiederebbe un claim che non arriva mai.
+      // La verifica dell'email la fa mapClaims (vedi microsoftEmailVerified)
+      requireEmailVerified: false,
+    },
+    mapClaims: (payload) => ({
+      id: payload.oid || payload.sub, // oid è lo stesso in tutte le app del tenant
+      email: payload.email || payload.preferred_username,
+      name: payload.name,
+      picture: undefined, // La foto si ottiene solo tramite Microsoft Graph
+      emailVerified: microsoftEmailVerified(payload),
+    }),
+  });
+}
+
+// ============================================
+// PROVIDER: OpenID Connect generico
+// ============================================
+// Qualsiasi provider conforme (Keycloak, Auth0, un issuer finto per i test...)
+// Le chiavi vengono trovate tramite la discovery, a meno di indicare jwksUri.
+function oidcProvider(options) {
+  return createProvider({
+    name: options.name || "oidc",
+    issuers: [options.issuer],
+    clientId: options.clientId,
+    clientSecret: options.clientSecret,
+    jwksUri: options.jwksUri,
+    authorizationEndpoint: options.authorizationEndpoint,
+    tokenEndpoint: options.tokenEndpoint,
+    policy: {
+      algorithms: ["RS256", "ES256", "EdDSA"],
+      ...options.policy,
+    },
+  });
+}
+
+// ============================================
+// FUNZIONE: Crea il registro dei provider
+// ============================================
+function createProviderRegistry() {
+  const providers = new Map();
+
+  return {
+    register(provider) {
+      providers.set(provider.name, provider);
+      return provider;
+    },
+    get(name) {
+      return providers.get(name) || null;
+    },
+    names() {
+      return [...providers.keys()];
+    },
+  };
+}
+
+module.exports = {
+  createProvider,
+  createProviderRegistry,
+  googleProvider,
+  microsoftProvider,
+  oidcProvider,
+  mapStandardClaims,
+};
@@ -0,0 +1,221 @@
+// ============================================
+// SICUREZZA DEL SERVER HTTP
+// Utilizza solo moduli built-in di Node.js (nessun package esterno)
+// ============================================
+// - CORS con lista di origini permesse (invece di "*")
+// - Header di sicurezza standard su tutte le risposte
+// - Limite di dimensione e controllo del Content-Type sul body
+// - Limite di richieste per IP (rate limiting)
+
+// ============================================
+// ERRORE: Richiesta HTTP non valida
+// ============================================
+// Porta con sé lo status code da restituire (es. 413, 415)
+// e un codice leggibile da un programma.
+class HttpError extends Error {
+  constructor(statusCode, code, message) {
+    super(message);
+    this.name = "HttpError";
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+// ============================================
+// FUNZIONE: Crea la politica CORS
+// ============================================
+// Il browser permette a una pagina di leggere le nostre risposte solo se
+// rimandiamo la sua origine in Access-Control-Allow-Origin.
+// Con "*" i cookie non vengono mai inviati: per le sessioni serve
+// l'origine esatta più Access-Control-Allow-Credentials: true.
+function createCorsPolicy(allowedOrigins) {
+  function isAllowed(origin) {
+    return Boolean(origin) && allowedOrigins.includes(origin);
+  }
+
+  // Imposta gli header CORS sulla risposta se l'origine è permessa.
+  // Restituisce false se la richiesta arriva da un'origine non permessa.
+  function apply(req, res) {
+    const origin = req.headers.origin;
+    // La risposta cambia in base all'origine: le cache devono saperlo
+    res.setHeader("Vary", "Origin");
+    if (!origin) {
+      return true; // Richiesta non cross-origin (es. curl, stesso sito)
+    }
+    if (!isAllowed(origin)) {
+      return false;
+    }
+    res.setHeader("Access-Control-Allow-Origin", origin);
+    res.setHeader("Access-Control-Allow-Credentials", "true");
+    return true;
+  }
+
+  // Risponde alla richiesta preflight (OPTIONS)
+  function handlePreflight(req, res) {
+    if (!apply(req, res) || !req.headers.origin) {
+      res.writeHead(403);
+      return res.end();
+    }
+    res.writeHead(204, {
+      "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+      "Access-Control-Allow-Headers": "Content-Type, Authorization",
+      "Access-Control-Max-Age": "600", // Il browser può ricordarlo per 10 minuti
+    });
+    res.end();
+  }
+
+  return { apply, handlePreflight };
+}
+
+// ============================================
+// FUNZIONE: Imposta gli header di sicurezza
+// ============================================
+// Il server restituisce solo JSON e redirect, quindi possiamo essere restrittivi.
+function applySecurityHeaders(res, options = {}) {
+  // Il browser non deve "indovinare" il tipo di contenuto
+  res.setHeader("X-Content-Type-Options", "nosniff");
+  // Le nostre risposte non vanno mai mostrate dentro un iframe
+  res.setHeader("X-Frame-Options", "DENY");
+  // Nessuno script, immagine, ecc. può essere caricato da una risposta JSON
+  res.setHeader(
+    "Content-Security-Policy",
+    "default-src 'none'; frame-ancestors 'none'"
+  );
+  // Non inviare l'URL (che può contenere code/state) ad altri siti
+  res.setHeader("Referrer-Policy", "no-referrer");
+  // Le risposte con dati utente non vanno salvate nelle cache
+  res.setHeader("Cache-Control", "no-store");
+  // HSTS: solo quando il server è servito in HTTPS
+  if (options.hsts) {
+    res.setHeader(
+      "Strict-Transport-Security",
+      "max-age=31536000; includeSubDomains"
+    );
+  }
+}
+
+// ============================================
+// FUNZIONE: Legge un body JSON con limite di dimensione
+// ============================================
+// Restituisce l'oggetto parsato, oppure null se il JSON non è valido.
+// Lancia HttpError:
+// - 415 se il Content-Type non è application/json
+// - 413 se il body supera il limite (in byte)
+function readJSONBody(req, options) {
+  return new Promise((resolve, reject) => {
+    const contentType = (req.headers["content-type"] || "").split(";")[0];
+    if (contentType.trim().toLowerCase() !== "application/json") {
+      return reject(
+        new HttpError(415, "unsupported_media_type", "Body must be JSON")
+      );
+    }
+
+    // Se il client dichiara già un body troppo grande, non serve leggerlo
+    if (Number(req.headers["content-length"]) > options.limit) {
+      return reject(new HttpError(413, "payload_too_large", "Body too large"));
+    }
+
+    const chunks = [];
+    let size = 0;
+    let tooLarge = false;
+
+    req.on("data", (chunk) => {
+      if (tooLarge) {
+        return; // Scarta il resto del body
+      }
+      size += chunk.length;
+      if (size > options.limit) {
+        tooLarge = true;
+        chunks.length = 0;
+        reject(new HttpError(413, "payload_too_large", "Body too large"));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      if (tooLarge) {
+        return;
+      }
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString()));
+      } catch (error) {
+        resolve(null); // JSON non valido
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+// ============================================
+// FUNZIONE: Crea un limitatore di richieste
+// ============================================
+// Conta le richieste di ogni chiave (es. indirizzo IP) in una finestra
+// di tempo fissa. Oltre il massimo le richieste vengono rifiutate fino
+// alla finestra successiva.
+function createRateLimiter(options) {
+  const windowMs = options.windowMs;
+  const max = options.max;
+  const counters = new Map(); // chiave -> { count, resetAt }
+
+  function pruneExpired(now) {
+    for (const [key, counter] of counters) {
+      if (counter.resetAt <= now) {
+        counters.delete(key);
+      }
+    }
+  }
+
+  // Registra una richiesta. Restituisce { allowed, retryAfter } dove
+  // retryAfter è il numero di secondi da attendere (per l'header Retry-After)
+  function consume(key) {
+    const now = Date.now();
+    let counter = counters.get(key);
+    if (!counter || counter.resetAt <= now) {
+      if (counters.size > 10000) {
+        pruneExpired(now); // Evita che la Map cresca all'infinito
+      }
+      counter = { count: 0, resetAt: now + windowMs };
+      counters.set(key, counter);
+    }
+    counter.count++;
+    return {
+      allowed: counter.count <= max,
+      retryAfter: Math.ceil((counter.resetAt - now) / 1000),
+    };
+  }
+
+  return { consume };
+}
+
+// ============================================
+// FUNZIONE: Indirizzo IP del client
+// ============================================
+// Dietro un proxy (nginx, load balancer) l'IP reale è in X-Forwarded-For,
+// ma quell'header lo può scrivere chiunque: va usato solo se ci fidiamo del proxy.
+// Ogni proxy aggiunge in fondo l'indirizzo da cui ha ricevuto la richiesta,
+// quindi le prime voci le sceglie il client: con trustedProxies proxy davanti
+// al server l'IP del client è la voce numero trustedProxies contando dalla fine.
+// Se le voci sono meno dei proxy la richiesta non è passata da tutti:
+// usiamo l'indirizzo della connessione.
+function getClientIp(req, trustedProxies) {
+  const forwardedFor = req.headers["x-forwarded-for"];
+  if (trustedProxies > 0 && forwardedFor) {
+    const entries = forwardedFor
+      .split(",")
+      .map((entry) => entry.trim())
+      .filter(Boolean);
+    if (entries.length >= trustedProxies) {
+      return entries[entries.length - trustedProxies];
+    }
+  }
+  return req.socket.remoteAddress;
+}
+
+module.exports = {
+  HttpError,
+  createCorsPolicy,
+  applySecurityHeaders,
+  readJSONBody,
+  createRateLimiter,
+  getClientIp,
+};
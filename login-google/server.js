@@ -5,262 +5,681 @@
 
 // Importa i moduli built-in di Node.js necessari
 const http = require("http"); // Per creare il server HTTP
-const https = require("https"); // Per fare richieste HTTPS a Google
-const crypto = require("crypto"); // Per verificare le firme crittografiche dei token
+const crypto = require("crypto"); // Per generare valori casuali (es. segreto delle sessioni)
 const { URL } = require("url"); // Per parsare gli URL delle richieste
+const path = require("path"); // Per costruire il percorso dei file di dati
+const {
+  createSessionManager,
+  createMemorySessionStore,
+  createFileSessionStore,
+  parseCookies,
+  serializeCookie,
+  appendCookie,
+  sign,
+  unsign,
+} = require("./sessions"); // Sessioni lato server con cookie firmato
+const { JWTError } = require("./jwt"); // Errori di validazione dei token JWT
+const {
+  createProviderRegistry,
+  googleProvider,
+  microsoftProvider,
+  oidcProvider,
+} = require("./providers"); // Provider di login (Google, Microsoft, OIDC)
+const { createTokenIssuer } = require("./tokens"); // Emissione dei nostri token
+const { createAuthCodeFlow } = require("./oauth"); // Login con redirect (authorization code + PKCE)
+const {
+  createJsonFileUserAdapter,
+  createUserRepository,
+} = require("./users"); // Archivio degli utenti
+const {
+  HttpError,
+  createCorsPolicy,
+  applySecurityHeaders,
+  readJSONBody,
+  createRateLimiter,
+  getClientIp,
+} = require("./security"); // CORS, header di sicurezza, limiti sulle richieste
 
 // Configurazione
 const PORT = 3333; // Porta su cui il server ascolterà
 const CLIENT_ID =
+  process.env.GOOGLE_CLIENT_ID ||
   "48315565897-6i3403uof617avnel62iu3jhcqo70u81.apps.googleusercontent.com"; // ID client Google OAuth
 
-// URL dell'endpoint di Google che fornisce le chiavi pubbliche per verificare i token
-// JWKS = JSON Web Key Set (insieme di chiavi pubbliche in formato JSON)
-const GOOGLE_JWKS_URL = "https://www.googleapis.com/oauth2/v3/certs";
-
-// ============================================
-// FUNZIONE: Scarica le chiavi pubbliche da Google
-// ============================================
-// Google usa queste chiavi pubbliche per firmare i token JWT.
-// Dobbiamo scaricarle per verificare che i token siano autentici.
-function fetchGooglePublicKeys() {
-  return new Promise((resolve, reject) => {
-    // Fa una richiesta HTTPS a Google per ottenere le chiavi pubbliche
-    https
-      .get(GOOGLE_JWKS_URL, (res) => {
-        let data = "";
-        res.on("data", (chunk) => (data += chunk));
-        res.on("end", () => {
-          try {
-            resolve(JSON.parse(data));
-          } catch (error) {
-            reject(error);
-          }
-        });
-        res.on("error", reject);
-      })
-      .on("error", reject);
-  });
+// Lista separata da virgole (es. "a.it,b.it") -> array, oppure null se vuota
+function parseList(value) {
+  return value ? value.split(",").map((item) => item.trim()) : null;
 }
 
+// Regole di validazione comuni a tutti i provider (vedi DEFAULT_POLICY in jwt.js)
+const TOKEN_POLICY = {
+  clockTolerance: Number(process.env.JWT_CLOCK_TOLERANCE) || 60, // Secondi
+  requireExp: true,
+  maxAge: Number(process.env.JWT_MAX_AGE) || null, // Secondi dall'emissione
+  // Di default accettiamo solo email verificate (REQUIRE_EMAIL_VERIFIED=false per disattivare)
+  requireEmailVerified: process.env.REQUIRE_EMAIL_VERIFIED !== "false",
+};
+
 // ============================================
-// FUNZIONE: Decodifica una stringa base64url
+// REGISTRO DEI PROVIDER DI LOGIN
 // ============================================
-// I token JWT usano base64url (variante di base64 con caratteri URL-safe).
-// Questa funzione converte base64url in base64 standard e poi in Buffer.
-function base64UrlDecode(str) {
-  // Sostituisce i caratteri URL-safe con quelli standard base64
-  let base64 = str.replace(/-/g, "+").replace(/_/g, "/");
-  // Aggiunge padding se necessario (base64 richiede lunghezza multipla di 4)
-  while (base64.length % 4) {
-    base64 += "=";
-  }
-  // Converte la stringa base64 in un Buffer binario
-  return Buffer.from(base64, "base64");
+// Ogni provider sa come verificare i propri ID token e come trasformarli
+// in userInfo. Il frontend sceglie il provider con la route /login/:provider.
+const providers = createProviderRegistry();
+
+// Google è sempre attivo.
+// GOOGLE_JWKS_URL, GOOGLE_AUTH_ENDPOINT e GOOGLE_TOKEN_ENDPOINT permettono
+// di sostituire Google con un server locale durante i test.
+// GOOGLE_CLIENT_SECRET serve solo per il login con redirect (/auth/start).
+providers.register(
+  googleProvider({
+    clientId: CLIENT_ID,
+    clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+    jwksUri: process.env.GOOGLE_JWKS_URL,
+    authorizationEndpoint: process.env.GOOGLE_AUTH_ENDPOINT,
+    tokenEndpoint: process.env.GOOGLE_TOKEN_ENDPOINT,
+    policy: {
+      ...TOKEN_POLICY,
+      // Se impostato (es. GOOGLE_ALLOWED_HD=scuola.it), accetta solo account di quei domini
+      allowedHostedDomains: parseList(process.env.GOOGLE_ALLOWED_HD),
+    },
+  })
+);
+
+// Microsoft, attivo solo se è configurato il client ID
+if (process.env.MICROSOFT_CLIENT_ID) {
+  providers.register(
+    microsoftProvider({
+      clientId: process.env.MICROSOFT_CLIENT_ID,
+      clientSecret: process.env.MICROSOFT_CLIENT_SECRET,
+      tenant: process.env.MICROSOFT_TENANT, // Default "common"
+      policy: TOKEN_POLICY,
+    })
+  );
+}
+
+// Provider OpenID Connect generico (es. Keycloak, oppure un issuer finto per i test).
+// Le chiavi vengono trovate con la discovery su OIDC_ISSUER, a meno di indicare OIDC_JWKS_URI.
+if (process.env.OIDC_ISSUER && process.env.OIDC_CLIENT_ID) {
+  providers.register(
+    oidcProvider({
+      name: process.env.OIDC_NAME,
+      issuer: process.env.OIDC_ISSUER,
+      clientId: process.env.OIDC_CLIENT_ID,
+      clientSecret: process.env.OIDC_CLIENT_SECRET,
+      jwksUri: process.env.OIDC_JWKS_URI,
+      policy: TOKEN_POLICY,
+    })
+  );
+}
+
+// Chiave segreta per firmare i cookie di sessione.
+// In produzione va impostata con la variabile d'ambiente SESSION_SECRET:
+// se manca ne generiamo una casuale, ma tutte le sessioni si perdono al riavvio.
+const SESSION_SECRET =
+  process.env.SESSION_SECRET || crypto.randomBytes(32).toString("hex");
+if (!process.env.SESSION_SECRET) {
+  console.warn("SESSION_SECRET not set, using a random secret");
 }
 
-// Sapete che cosa è un token JWT?
-// Un token JWT è un token di sicurezza che viene usato per autenticare un utente.
-// Il token JWT è composto da 3 parti: header, payload e signature.
-// Il header contiene informazioni sul tipo di token e algoritmo.
-// Il payload contiene i dati dell'utente.
-// La signature è la parte che viene usata per verificare che il token sia autentico.
-// Il token JWT viene usato per autenticare un utente in modo sicuro.
+// Le sessioni vengono salvate in memoria, oppure su file con SESSION_STORE=file
+const sessionStore =
+  process.env.SESSION_STORE === "file"
+    ? createFileSessionStore(
+        process.env.SESSION_FILE ||
+          path.join(__dirname, "data", "sessions.json")
+      )
+    : createMemorySessionStore();
+
+const sessions = createSessionManager({
+  store: sessionStore,
+  secret: SESSION_SECRET,
+  idleTimeout: Number(process.env.SESSION_IDLE_TIMEOUT) || 30 * 60, // 30 minuti
+  absoluteTimeout:
+    Number(process.env.SESSION_ABSOLUTE_TIMEOUT) || 8 * 60 * 60, // 8 ore
+  // Secure va attivato quando il server è servito in HTTPS
+  secure: process.env.SESSION_COOKIE_SECURE === "true",
+});
+
+// Emettitore dei nostri access/refresh token.
+// La chiave privata viene salvata su file (TOKEN_PRIVATE_KEY_FILE) così gli access
+// token già emessi restano validi dopo un riavvio. I refresh token invece sono
+// solo in memoria: dopo un riavvio serve un nuovo login.
+// TOKEN_ALG può essere RS256 o EdDSA.
+const tokens = createTokenIssuer({
+  issuer: process.env.TOKEN_ISSUER || `http://localhost:${PORT}`,
+  audience: process.env.TOKEN_AUDIENCE || "lezioni-singole",
+  alg: process.env.TOKEN_ALG || "RS256",
+  privateKeyFile:
+    process.env.TOKEN_PRIVATE_KEY_FILE ||
+    path.join(__dirname, "data", "token-private-key.pem"),
+  accessTokenTtl: Number(process.env.ACCESS_TOKEN_TTL) || 15 * 60, // 15 minuti
+  refreshTokenTtl:
+    Number(process.env.REFRESH_TOKEN_TTL) || 30 * 24 * 60 * 60, // 30 giorni
+  // A ogni refresh il ruolo viene riletto dall'archivio degli utenti
+  loadUser: (id) => users.findById(id),
+});
+
+// Archivio degli utenti, salvato in un file JSON (USERS_FILE).
+// ADMIN_EMAILS e STAFF_EMAILS (liste separate da virgole) assegnano il ruolo
+// agli utenti con quelle email verificate.
+const users = createUserRepository({
+  adapter: createJsonFileUserAdapter(
+    process.env.USERS_FILE || path.join(__dirname, "data", "users.json")
+  ),
+  adminEmails: (parseList(process.env.ADMIN_EMAILS) || []).map((email) =>
+    email.toLowerCase()
+  ),
+  staffEmails: (parseList(process.env.STAFF_EMAILS) || []).map((email) =>
+    email.toLowerCase()
+  ),
+});
+
+// Login con redirect (authorization code + PKCE).
+// OAUTH_REDIRECT_URI deve essere registrato presso il provider.
+const authCodeFlow = createAuthCodeFlow({
+  redirectUri:
+    process.env.OAUTH_REDIRECT_URI || `http://localhost:${PORT}/auth/callback`,
+});
+
+// Dove mandare il browser dopo il login con redirect, se non indicato da returnTo
+const AUTH_SUCCESS_REDIRECT = process.env.AUTH_SUCCESS_REDIRECT || "/me";
+
+// Origini esterne verso cui returnTo può reindirizzare (es. il frontend).
+// Qualsiasi altro URL assoluto viene ignorato, per non diventare un "open redirect".
+const AUTH_RETURN_ORIGINS = parseList(process.env.AUTH_RETURN_ORIGINS) || [
+  "http://localhost:5500",
+  "http://127.0.0.1:5500",
+];
+
+// Cookie che lega il browser al login avviato (contiene lo state firmato)
+const OAUTH_STATE_COOKIE = "oauth_state";
+
+// Origini (frontend) che possono chiamare il server dal browser, con i cookie.
+// Es. CORS_ALLOWED_ORIGINS=https://app.scuola.it,http://localhost:5500
+const cors = createCorsPolicy(
+  parseList(process.env.CORS_ALLOWED_ORIGINS) || [
+    "http://localhost:5500",
+    "http://127.0.0.1:5500",
+  ]
+);
+
+// Dimensione massima del body delle richieste (in byte).
+// Un ID token è di circa 1-2 KB: 16 KB sono più che sufficienti.
+const MAX_BODY_SIZE = Number(process.env.MAX_BODY_SIZE) || 16 * 1024;
+
+// Limite di tentativi di login per IP: LOGIN_RATE_LIMIT richieste al minuto
+const loginRateLimiter = createRateLimiter({
+  windowMs: 60 * 1000,
+  max: Number(process.env.LOGIN_RATE_LIMIT) || 10,
+});
+
+// Se il server è dietro proxy fidati, l'IP del client è in X-Forwarded-For.
+// TRUST_PROXY è il numero di proxy davanti al server ("true" = uno solo)
+const TRUST_PROXY =
+  process.env.TRUST_PROXY === "true"
+    ? 1
+    : Math.max(0, parseInt(process.env.TRUST_PROXY, 10) || 0);
+
+// ============================================
+// FUNZIONE: Invia una risposta JSON
+// ============================================
+// Helper per inviare risposte JSON. Gli header CORS e di sicurezza
+// vengono impostati all'inizio di ogni richiesta (vedi il router).
+function sendJSON(res, statusCode, data) {
+  const json = JSON.stringify(data);
+  res.writeHead(statusCode, {
+    "Content-Type": "application/json",
+  });
+  res.end(json);
+}
 
 // ============================================
-// FUNZIONE: Parsa un token JWT
+// FUNZIONE: Legge il body JSON della richiesta
 // ============================================
-// Questa funzione separa le parti e decodifica header e payload.
-function parseJWT(token) {
-  // Divide il token nelle sue 3 parti
-  const parts = token.split(".");
-  if (parts.length !== 3) {
-    throw new Error("Invalid JWT format");
+// Restituisce l'oggetto (o null se il JSON non è valido).
+// Se il body è troppo grande (413) o non è JSON (415) risponde con
+// l'errore e restituisce undefined: il chiamante deve solo fermarsi.
+async function readJSONRequest(req, res) {
+  try {
+    return await readJSONBody(req, { limit: MAX_BODY_SIZE });
+  } catch (error) {
+    if (!(error instanceof HttpError)) {
+      throw error;
+    }
+    // Chiude la connessione: il client potrebbe star ancora inviando il body
+    res.setHeader("Connection", "close");
+    sendJSON(res, error.statusCode, {
+      success: false,
+      error: error.message,
+      code: error.code,
+    });
+    return undefined;
   }
+}
 
-  // Decodifica l'header (contiene informazioni sul tipo di token e algoritmo)
-  const header = JSON.parse(base64UrlDecode(parts[0]).toString());
-  // Decodifica il payload (contiene i dati dell'utente)
-  const payload = JSON.parse(base64UrlDecode(parts[1]).toString());
-  // La firma rimane codificata (verrà verificata dopo)
-  const signature = parts[2];
+// ============================================
+// FUNZIONE: Applica il limite di tentativi di login
+// ============================================
+// Restituisce false (dopo aver risposto 429) se l'IP ha superato il limite.
+function checkLoginRateLimit(req, res) {
+  const { allowed, retryAfter } = loginRateLimiter.consume(
+    getClientIp(req, TRUST_PROXY)
+  );
+  if (!allowed) {
+    res.setHeader("Retry-After", String(retryAfter));
+    sendJSON(res, 429, {
+      success: false,
+      error: "Too many login attempts",
+      code: "rate_limited",
+    });
+  }
+  return allowed;
+}
 
-  return { header, payload, signature, raw: parts };
+// ============================================
+// FUNZIONE: Reindirizza il browser
+// ============================================
+function redirect(res, location) {
+  res.writeHead(302, { Location: location });
+  res.end();
 }
 
 // ============================================
-// FUNZIONE: Verifica un token JWT di Google
+// FUNZIONE: Completa il login dopo la verifica del token
 // ============================================
-// Questa è la funzione principale di sicurezza. Verifica che:
-// 1. Il token non sia scaduto
-// 2. Il token sia stato emesso per il nostro CLIENT_ID
-// 3. Il token provenga da Google (verifica issuer)
-// 4. La firma crittografica sia valida
-async function verifyJWT(token) {
-  // Parsa il token nelle sue componenti
-  const { header, payload, signature, raw } = parseJWT(token);
+// Comune al login con token (POST /login/:provider) e al login con
+// redirect (/auth/callback): registra l'utente, crea la sessione ed
+// emette i nostri token.
+async function completeLogin(req, res, provider, payload) {
+  // Estrae le informazioni utente dal payload verificato
+  // (ogni provider ha la sua mappatura dei claim)
+  const userInfo = provider.toUserInfo(payload);
+
+  // Crea o aggiorna l'utente nel nostro archivio
+  // (e collega l'identità a un account esistente con la stessa email verificata)
+  const storedUser = await users.recordLogin(userInfo);
+
+  // Dati dell'utente che mettiamo in sessione, nei token e nella risposta.
+  // L'id è il nostro, non quello del provider.
+  const user = {
+    id: storedUser.id,
+    email: storedUser.email,
+    name: storedUser.name,
+    picture: storedUser.picture,
+    emailVerified: storedUser.emailVerified,
+    role: storedUser.role,
+    provider: userInfo.provider,
+  };
+
+  console.log("User logged in:", user);
+
+  // Crea una nuova sessione (quella di prima, se c'era, viene eliminata):
+  // il browser riceve il cookie e resta loggato
+  await sessions.create(req, res, user);
+
+  return { user, issuedTokens: tokens.issueTokens(user) };
+}
 
-  // VERIFICA 1: Controlla se il token è scaduto
-  const now = Math.floor(Date.now() / 1000); // Timestamp attuale in secondi
-  if (payload.exp && payload.exp < now) {
-    throw new Error("Token has expired");
+// ============================================
+// FUNZIONE: Gestisce il login con un provider
+// ============================================
+// Questa è la funzione principale che gestisce le richieste di login.
+// Riceve il token JWT dal frontend, lo verifica con le regole del provider
+// scelto (Google, Microsoft, ...), e restituisce i dati utente.
+async function handleLogin(req, res, providerName) {
+  const provider = providers.get(providerName);
+  if (!provider) {
+    return sendJSON(res, 404, {
+      success: false,
+      error: "Unknown login provider",
+      code: "unknown_provider",
+    });
   }
 
-  // VERIFICA 2: Controlla che il token sia stato emesso per il nostro client
-  // L'audience (aud) deve corrispondere al nostro CLIENT_ID
-  if (payload.aud !== CLIENT_ID) {
-    throw new Error("Token audience mismatch");
+  try {
+    // Converte il body JSON in un oggetto
+    const data = await readJSONRequest(req, res);
+    if (data === undefined) {
+      return; // Body rifiutato (troppo grande o non JSON), risposta già inviata
+    }
+    // Verifica che ci sia il token
+    if (!data || !data.token) {
+      return sendJSON(res, 400, {
+        success: false,
+        error: "Token is required",
+      });
+    }
+
+    // VERIFICA IL TOKEN: Questa è la parte critica di sicurezza
+    // Verifica che il token sia valido, non scaduto, e firmato dal provider
+    const payload = await provider.verify(data.token);
+    console.log("Payload:", payload);
+
+    const { user, issuedTokens } = await completeLogin(
+      req,
+      res,
+      provider,
+      payload
+    );
+
+    // Restituisce i dati utente al frontend, insieme ai nostri token
+    // (utili per chiamare le altre API senza passare dal provider)
+    sendJSON(res, 200, {
+      success: true,
+      user,
+      tokens: issuedTokens,
+      message: "Login successful",
+    });
+  } catch (error) {
+    // Se c'è un errore (token invalido, scaduto, ecc.), restituisce errore
+    // con un codice leggibile dal frontend (es. "token_expired")
+    console.error("Login error:", error.message);
+    if (!(error instanceof JWTError)) {
+      return sendJSON(res, 500, {
+        success: false,
+        error: "Internal server error",
+        code: "internal_error",
+      });
+    }
+    // Se non riusciamo a scaricare le chiavi del provider il token non è
+    // necessariamente invalido: il servizio è momentaneamente non disponibile
+    sendJSON(res, error.code === "keys_unavailable" ? 503 : 401, {
+      success: false,
+      error: "Invalid token or authentication failed",
+      code: error.code,
+      details: error.message,
+    });
   }
+}
 
-  // VERIFICA 3: Controlla che il token provenga da Google
-  // L'issuer (iss) deve essere accounts.google.com
-  if (
-    payload.iss !== "https://accounts.google.com" &&
-    payload.iss !== "accounts.google.com"
-  ) {
-    throw new Error("Invalid token issuer");
+// ============================================
+// FUNZIONE: Controlla l'URL di ritorno dopo il login con redirect
+// ============================================
+// Accetta solo percorsi di questo server (es. "/me") oppure URL
+// delle origini in AUTH_RETURN_ORIGINS. Altrimenti usa il default.
+function safeReturnTo(returnTo) {
+  if (!returnTo) {
+    return AUTH_SUCCESS_REDIRECT;
   }
+  // "//evil.com" e "/\evil.com" sono URL assoluti per il browser, anche se
+  // iniziano con "/": niente backslash né caratteri di controllo (che il
+  // browser scarta), e il percorso risolto deve restare sulla stessa origine
+  if (returnTo.startsWith("/")) {
+    if (/[\\\u0000-\u001f\u007f]/.test(returnTo)) {
+      return AUTH_SUCCESS_REDIRECT;
+    }
+    const base = new URL("http://localhost");
+    const target = new URL(returnTo, base);
+    return target.origin === base.origin
+      ? target.pathname + target.search + target.hash
+      : AUTH_SUCCESS_REDIRECT;
+  }
+  try {
+    const target = new URL(returnTo);
+    return AUTH_RETURN_ORIGINS.includes(target.origin)
+      ? target.toString()
+      : AUTH_SUCCESS_REDIRECT;
+  } catch (error) {
+    return AUTH_SUCCESS_REDIRECT;
+  }
+}
 
-  // VERIFICA 4: Verifica la firma crittografica
-  // Ottiene le chiavi pubbliche di Google (scaricate ogni volta)
-  const keys = await fetchGooglePublicKeys();
-  // Trova la chiave pubblica corrispondente al kid (key ID) nell'header
-  const key = keys.keys.find((k) => k.kid === header.kid);
+// ============================================
+// FUNZIONE: Avvia il login con redirect
+// ============================================
+// GET /auth/start?provider=google&returnTo=/pagina
+// Salva state/nonce/code_verifier e reindirizza al provider.
+async function handleAuthStart(req, res, url) {
+  const provider = providers.get(url.searchParams.get("provider") || "google");
+  if (!provider) {
+    return sendJSON(res, 404, {
+      success: false,
+      error: "Unknown login provider",
+      code: "unknown_provider",
+    });
+  }
 
-  if (!key) {
-    throw new Error("Public key not found");
+  try {
+    const { state, url: authorizationUrl } = await authCodeFlow.start(
+      provider,
+      safeReturnTo(url.searchParams.get("returnTo"))
+    );
+
+    // Il cookie con lo state firmato garantisce che il callback arrivi
+    // allo stesso browser che ha avviato il login (protezione CSRF).
+    // SameSite=Lax: il browser lo manda anche nel redirect dal provider.
+    appendCookie(
+      res,
+      serializeCookie(OAUTH_STATE_COOKIE, sign(state, SESSION_SECRET), {
+        maxAge: 10 * 60,
+        httpOnly: true,
+        sameSite: "Lax",
+        secure: process.env.SESSION_COOKIE_SECURE === "true",
+      })
+    );
+    redirect(res, authorizationUrl);
+  } catch (error) {
+    console.error("Auth start error:", error.message);
+    sendJSON(res, 500, {
+      success: false,
+      error: "Unable to start login",
+      code: "auth_start_failed",
+    });
   }
+}
 
-  // Prepara i dati per la verifica della firma
-  const signatureBuffer = base64UrlDecode(signature); // Decodifica la firma
-  const dataToVerify = `${raw[0]}.${raw[1]}`; // Header + Payload (senza firma)
-
-  // Converte la chiave pubblica da formato JWK (JSON Web Key) a formato PEM
-  // che può essere usato dalla libreria crypto di Node.js
-  const publicKey = crypto.createPublicKey({
-    key: {
-      kty: key.kty, // Tipo di chiave (es. RSA)
-      n: key.n, // Modulo RSA
-      e: key.e, // Esponente pubblico RSA
-    },
-    format: "jwk",
-  });
+// ============================================
+// FUNZIONE: Completa il login con redirect
+// ============================================
+// GET /auth/callback?code=...&state=...
+// Il provider rimanda qui il browser dopo il login.
+async function handleAuthCallback(req, res, url) {
+  const state = url.searchParams.get("state");
+  const code = url.searchParams.get("code");
+
+  // Il cookie dello state serve una volta sola: lo cancelliamo subito
+  const stateCookie = parseCookies(req.headers.cookie)[OAUTH_STATE_COOKIE];
+  appendCookie(
+    res,
+    serializeCookie(OAUTH_STATE_COOKIE, "", { maxAge: 0, httpOnly: true })
+  );
 
-  // Verifica la firma usando RSA-SHA256
-  // Se la firma è valida, significa che il token è autentico e non è stato modificato
-  const verify = crypto.createVerify("RSA-SHA256");
-  verify.update(dataToVerify); // I dati da verificare (header.payload)
-  const isValid = verify.verify(publicKey, signatureBuffer); // Verifica la firma
+  // L'utente ha annullato il login o il provider ha restituito un errore
+  if (url.searchParams.get("error")) {
+    return sendJSON(res, 400, {
+      success: false,
+      error: "Login was not completed",
+      code: url.searchParams.get("error"),
+    });
+  }
 
-  if (!isValid) {
-    throw new Error("Invalid token signature");
+  // Lo state deve corrispondere a quello nel cookie e a un login avviato da noi
+  const login =
+    state &&
+    stateCookie &&
+    unsign(stateCookie, SESSION_SECRET) === state &&
+    authCodeFlow.consume(state);
+  if (!login || !code) {
+    return sendJSON(res, 400, {
+      success: false,
+      error: "Invalid or expired login state",
+      code: "invalid_state",
+    });
   }
 
-  // Se tutte le verifiche sono passate, restituisce il payload con i dati utente
-  return payload;
+  const provider = providers.get(login.providerName);
+  try {
+    // Scambia il code con i token (con il code_verifier di PKCE)
+    const tokenResponse = await authCodeFlow.exchangeCode(
+      provider,
+      code,
+      login.codeVerifier
+    );
+
+    // Verifica l'ID token come nel login normale, più il nonce
+    const payload = await provider.verify(tokenResponse.id_token, {
+      nonce: login.nonce,
+    });
+    await completeLogin(req, res, provider, payload);
+
+    redirect(res, login.returnTo);
+  } catch (error) {
+    console.error("Auth callback error:", error.message);
+    sendJSON(res, 401, {
+      success: false,
+      error: "Invalid token or authentication failed",
+      code: error instanceof JWTError ? error.code : "code_exchange_failed",
+    });
+  }
 }
 
 // ============================================
-// FUNZIONE: Parsa JSON dal body della richiesta
+// FUNZIONE: Rinnova i token
 // ============================================
-// Converte il body della richiesta HTTP (stringa) in un oggetto JavaScript.
-function parseJSON(body) {
+// Riceve un refresh token e restituisce una nuova coppia access/refresh.
+// Il refresh token ricevuto non potrà più essere usato.
+async function handleTokenRefresh(req, res) {
   try {
-    return JSON.parse(body);
+    const data = await readJSONRequest(req, res);
+    if (data === undefined) {
+      return;
+    }
+    if (!data || !data.refreshToken) {
+      return sendJSON(res, 400, {
+        success: false,
+        error: "Refresh token is required",
+      });
+    }
+
+    sendJSON(res, 200, {
+      success: true,
+      tokens: await tokens.refresh(data.refreshToken),
+    });
   } catch (error) {
-    return null; // Restituisce null se il JSON non è valido
+    console.error("Token refresh error:", error.message);
+    sendJSON(res, 401, {
+      success: false,
+      error: "Invalid refresh token",
+      details: error.message,
+    });
   }
 }
 
 // ============================================
-// FUNZIONE: Invia una risposta JSON
+// FUNZIONE: Emette i token per la sessione corrente
 // ============================================
-// Helper per inviare risposte JSON con gli header CORS necessari
-// per permettere al frontend di fare richieste cross-origin.
-function sendJSON(res, statusCode, data) {
-  const json = JSON.stringify(data);
-  res.writeHead(statusCode, {
-    "Content-Type": "application/json",
-    // Header CORS: permette richieste da qualsiasi origine
-    "Access-Control-Allow-Origin": "*",
-    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-    "Access-Control-Allow-Headers": "Content-Type",
-  });
-  res.end(json);
+// Dopo il login con redirect (/auth/callback) il browser ha solo il
+// cookie di sessione: le altre pagine (es. quelle del socket server)
+// chiedono qui i token da usare. Il ruolo viene riletto dall'archivio.
+async function handleSessionToken(req, res) {
+  try {
+    const session = await sessions.get(req);
+    const storedUser = session && (await users.findById(session.user.id));
+    if (!storedUser) {
+      return sendJSON(res, 401, {
+        success: false,
+        error: "Not authenticated",
+      });
+    }
+
+    const user = {
+      id: storedUser.id,
+      email: storedUser.email,
+      name: storedUser.name,
+      picture: storedUser.picture,
+      emailVerified: storedUser.emailVerified,
+      role: storedUser.role,
+      provider: session.user.provider,
+    };
+    sendJSON(res, 200, { success: true, tokens: tokens.issueTokens(user) });
+  } catch (error) {
+    console.error("Session token error:", error);
+    sendJSON(res, 500, { success: false, error: "Internal server error" });
+  }
 }
 
 // ============================================
-// FUNZIONE: Gestisce le richieste CORS preflight
+// FUNZIONE: Restituisce l'utente della sessione corrente
 // ============================================
-// I browser fanno una richiesta OPTIONS prima delle richieste POST cross-origin.
-// Questa funzione risponde a quelle richieste per permettere il CORS.
-function handleCORS(res) {
-  res.writeHead(200, {
-    "Access-Control-Allow-Origin": "*",
-    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-    "Access-Control-Allow-Headers": "Content-Type",
-  });
-  res.end();
+// Il browser manda automaticamente il cookie di sessione: se è valido
+// e la sessione non è scaduta, restituiamo i dati dell'utente.
+async function handleMe(req, res) {
+  try {
+    const session = await sessions.get(req);
+    if (!session) {
+      return sendJSON(res, 401, {
+        success: false,
+        error: "Not authenticated",
+      });
+    }
+    sendJSON(res, 200, { success: true, user: session.user });
+  } catch (error) {
+    console.error("Session error:", error);
+    sendJSON(res, 500, { success: false, error: "Internal server error" });
+  }
 }
 
 // ============================================
-// FUNZIONE: Gestisce il login con Google
+// FUNZIONE: Identifica l'utente che fa la richiesta
 // ============================================
-// Questa è la funzione principale che gestisce le richieste di login.
-// Riceve il token JWT dal frontend, lo verifica, e restituisce i dati utente.
-async function handleGoogleLogin(req, res) {
-  let body = "";
+// Accetta un nostro access token (header "Authorization: Bearer ...")
+// oppure il cookie di sessione. Restituisce l'utente dall'archivio
+// (con il ruolo aggiornato), oppure null.
+async function authenticate(req) {
+  const authorization = req.headers.authorization || "";
+  if (authorization.startsWith("Bearer ")) {
+    try {
+      const payload = await tokens.verifyAccessToken(authorization.slice(7));
+      return await users.findById(payload.sub);
+    } catch (error) {
+      return null;
+    }
+  }
 
-  // Accumula il body della richiesta (può arrivare in più chunk)
-  req.on("data", (chunk) => {
-    body += chunk.toString();
-  });
+  const session = await sessions.get(req);
+  return session ? users.findById(session.user.id) : null;
+}
 
-  // Quando tutto il body è stato ricevuto
-  req.on("end", async () => {
-    try {
-      // Converte il body JSON in un oggetto
-      const data = parseJSON(body);
-      // Verifica che ci sia il token
-      if (!data || !data.token) {
-        return sendJSON(res, 400, {
-          success: false,
-          error: "Token is required",
-        });
-      }
-
-      // VERIFICA IL TOKEN: Questa è la parte critica di sicurezza
-      // Verifica che il token sia valido, non scaduto, e firmato da Google
-      const payload = await verifyJWT(data.token);
-      console.log("Payload:", payload);
-
-      // Estrae le informazioni utente dal payload verificato
-      const userInfo = {
-        id: payload.sub, // ID univoco dell'utente Google
-        email: payload.email, // Email dell'utente
-        name: payload.name, // Nome completo
-        picture: payload.picture, // URL dell'avatar
-        emailVerified: payload.email_verified, // Se l'email è verificata
-      };
-
-      console.log("User logged in:", userInfo);
-
-      // Restituisce i dati utente al frontend
-      sendJSON(res, 200, {
-        success: true,
-        user: userInfo,
-        message: "Login successful",
+// ============================================
+// FUNZIONE: Elenco degli utenti (solo admin)
+// ============================================
+async function handleListUsers(req, res) {
+  try {
+    const user = await authenticate(req);
+    if (!user) {
+      return sendJSON(res, 401, {
+        success: false,
+        error: "Not authenticated",
+        code: "not_authenticated",
       });
-    } catch (error) {
-      // Se c'è un errore (token invalido, scaduto, ecc.), restituisce errore
-      console.error("Login error:", error);
-      sendJSON(res, 401, {
+    }
+    if (user.role !== "admin") {
+      return sendJSON(res, 403, {
         success: false,
-        error: "Invalid token or authentication failed",
-        details: error.message,
+        error: "Admin role required",
+        code: "forbidden",
       });
     }
-  });
+    sendJSON(res, 200, { success: true, users: await users.list() });
+  } catch (error) {
+    console.error("Users error:", error);
+    sendJSON(res, 500, { success: false, error: "Internal server error" });
+  }
+}
+
+// ============================================
+// FUNZIONE: Gestisce il logout
+// ============================================
+// Elimina la sessione sul server e cancella il cookie nel browser.
+async function handleLogout(req, res) {
+  try {
+    await sessions.destroy(req, res);
+    sendJSON(res, 200, { success: true, message: "Logout successful" });
+  } catch (error) {
+    console.error("Logout error:", error);
+    sendJSON(res, 500, { success: false, error: "Internal server error" });
+  }
 }
 
 // ============================================
@@ -271,15 +690,87 @@ const server = http.createServer((req, res) => {
   // Parsa l'URL della richiesta
   const url = new URL(req.url, `http://${req.headers.host}`);
 
+  // Header di sicurezza su tutte le risposte
+  // (HSTS solo se il server è servito in HTTPS)
+  applySecurityHeaders(res, {
+    hsts: process.env.SESSION_COOKIE_SECURE === "true",
+  });
+
+  // Header CORS: solo le origini permesse possono leggere le risposte
+  const originAllowed = cors.apply(req, res);
+
   // Gestisce le richieste CORS preflight (OPTIONS)
   if (req.method === "OPTIONS") {
-    return handleCORS(res);
+    return cors.handlePreflight(req, res);
+  }
+
+  // Richieste dal browser di un sito non permesso (es. un form su un altro sito)
+  if (!originAllowed) {
+    return sendJSON(res, 403, {
+      success: false,
+      error: "Origin not allowed",
+      code: "origin_not_allowed",
+    });
   }
 
   // ROUTING: Instrada le richieste alle funzioni appropriate
-  // Endpoint per il login con Google
+  // Endpoint per il login con un provider: /login/google, /login/microsoft, ...
+  const loginMatch = /^\/login\/([a-z0-9-]+)$/.exec(url.pathname);
+  if (loginMatch && req.method === "POST") {
+    if (!checkLoginRateLimit(req, res)) {
+      return;
+    }
+    return handleLogin(req, res, loginMatch[1]);
+  }
+
+  // Endpoint storico per il login con Google (alias di /login/google)
   if (url.pathname === "/login-with-google" && req.method === "POST") {
-    return handleGoogleLogin(req, res);
+    if (!checkLoginRateLimit(req, res)) {
+      return;
+    }
+    return handleLogin(req, res, "google");
+  }
+
+  // Login con redirect (authorization code + PKCE), alternativa al popup GSI
+  if (url.pathname === "/auth/start" && req.method === "GET") {
+    return handleAuthStart(req, res, url);
+  }
+
+  if (url.pathname === "/auth/callback" && req.method === "GET") {
+    return handleAuthCallback(req, res, url);
+  }
+
+  // Endpoint che restituisce l'utente loggato (in base al cookie di sessione)
+  if (url.pathname === "/me" && req.method === "GET") {
+    return handleMe(req, res);
+  }
+
+  // Elenco degli utenti registrati (solo per gli admin)
+  if (url.pathname === "/users" && req.method === "GET") {
+    return handleListUsers(req, res);
+  }
+
+  // Endpoint per rinnovare i token (rotazione del refresh token)
+  if (url.pathname === "/token/refresh" && req.method === "POST") {
+    return handleTokenRefresh(req, res);
+  }
+
+  // Endpoint per ottenere i token dal cookie di sessione (login con redirect)
+  if (url.pathname === "/token/session" && req.method === "POST") {
+    return handleSessionToken(req, res);
+  }
+
+  // Chiavi pubbliche dei nostri token: le altre applicazioni le usano
+  // per verificare gli access token senza contattare questo server a ogni richiesta
+  if (url.pathname === "/.well-known/jwks.json" && req.method === "GET") {
+    // Le chiavi pubbliche si possono tenere in cache (a differenza dei dati utente)
+    res.setHeader("Cache-Control", "public, max-age=3600");
+    return sendJSON(res, 200, tokens.getJWKS());
+  }
+
+  // Endpoint per il logout
+  if (url.pathname === "/logout" && req.method === "POST") {
+    return handleLogout(req, res);
   }
 
   // Endpoint di health check (per verificare che il server funzioni)
@@ -303,4 +794,5 @@ server.listen(PORT, () => {
   console.log(
     `Google Login endpoint: http://localhost:${PORT}/login-with-google`
   );
+  console.log(`Login providers: ${providers.names().join(", ")}`);
 });
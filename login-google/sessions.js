@@ -0,0 +1,309 @@
+// ============================================
+// SESSIONI LATO SERVER
+// Utilizza solo moduli built-in di Node.js (nessun package esterno)
+// ============================================
+// Dopo il login il server crea una sessione e manda al browser un cookie
+// con l'ID della sessione. Il cookie è:
+// - HttpOnly: JavaScript nella pagina non può leggerlo
+// - SameSite: il browser non lo manda nelle richieste da altri siti
+// - Firmato con HMAC: se qualcuno lo modifica, la firma non corrisponde più
+// I dati della sessione restano sul server, dentro uno "store" intercambiabile.
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+// ============================================
+// STORE IN MEMORIA (default)
+// ============================================
+// Le sessioni vivono in una Map: si perdono al riavvio del server.
+function createMemorySessionStore() {
+  const sessions = new Map();
+
+  return {
+    async get(id) {
+      return sessions.get(id) || null;
+    },
+    async set(id, session) {
+      sessions.set(id, session);
+    },
+    async destroy(id) {
+      sessions.delete(id);
+    },
+    // Elimina tutte le sessioni per cui isExpired(session) è true
+    async prune(isExpired) {
+      for (const [id, session] of sessions) {
+        if (isExpired(session)) {
+          sessions.delete(id);
+        }
+      }
+    },
+  };
+}
+
+// ============================================
+// STORE SU FILE (opzionale)
+// ============================================
+// Le sessioni vengono salvate in un file JSON, così sopravvivono ai riavvii.
+// Il file viene letto una volta sola e riscritto a ogni modifica.
+function createFileSessionStore(filePath) {
+  let sessions = null; // Contenuto del file, caricato alla prima richiesta
+  let writing = Promise.resolve(); // Coda delle scritture (una alla volta)
+
+  async function load() {
+    if (sessions) {
+      return sessions;
+    }
+    try {
+      sessions = JSON.parse(await fs.promises.readFile(filePath, "utf8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        throw error;
+      }
+      sessions = {}; // Il file non esiste ancora
+    }
+    return sessions;
+  }
+
+  function save() {
+    const json = JSON.stringify(sessions);
+    writing = writing.then(async () => {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, json);
+    });
+    return writing;
+  }
+
+  return {
+    async get(id) {
+      return (await load())[id] || null;
+    },
+    async set(id, session) {
+      (await load())[id] = session;
+      await save();
+    },
+    async destroy(id) {
+      delete (await load())[id];
+      await save();
+    },
+    // Elimina tutte le sessioni per cui isExpired(session) è true
+    // (il file viene riscritto solo se ne è stata eliminata almeno una)
+    async prune(isExpired) {
+      const all = await load();
+      const expired = Object.keys(all).filter((id) => isExpired(all[id]));
+      if (expired.length === 0) {
+        return;
+      }
+      for (const id of expired) {
+        delete all[id];
+      }
+      await save();
+    },
+  };
+}
+
+// ============================================
+// FUNZIONI: Firma e verifica del valore del cookie
+// ============================================
+// Il cookie contiene "<id>.<firma>", dove la firma è un HMAC-SHA256 dell'id.
+function sign(value, secret) {
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(value)
+    .digest("base64url");
+  return `${value}.${signature}`;
+}
+
+function unsign(signedValue, secret) {
+  const index = signedValue.lastIndexOf(".");
+  if (index === -1) {
+    return null;
+  }
+  const value = signedValue.slice(0, index);
+  const expected = Buffer.from(sign(value, secret));
+  const actual = Buffer.from(signedValue);
+  // timingSafeEqual evita di rivelare quanti caratteri della firma sono corretti
+  if (expected.length !== actual.length) {
+    return null;
+  }
+  return crypto.timingSafeEqual(expected, actual) ? value : null;
+}
+
+// ============================================
+// FUNZIONI: Lettura e scrittura dei cookie
+// ============================================
+function parseCookies(header) {
+  const cookies = {};
+  if (!header) {
+    return cookies;
+  }
+  for (const part of header.split(";")) {
+    const index = part.indexOf("=");
+    if (index === -1) {
+      continue;
+    }
+    const name = part.slice(0, index).trim();
+    const value = part.slice(index + 1).trim();
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch (error) {
+      cookies[name] = value;
+    }
+  }
+  return cookies;
+}
+
+function serializeCookie(name, value, options) {
+  let cookie = `${name}=${encodeURIComponent(value)}; Path=/`;
+  if (options.maxAge !== undefined) {
+    cookie += `; Max-Age=${options.maxAge}`;
+  }
+  if (options.httpOnly) {
+    cookie += "; HttpOnly";
+  }
+  if (options.sameSite) {
+    cookie += `; SameSite=${options.sameSite}`;
+  }
+  if (options.secure) {
+    cookie += "; Secure";
+  }
+  return cookie;
+}
+
+// Aggiunge un cookie alla risposta senza sovrascrivere quelli già impostati
+// (res.setHeader("Set-Cookie", ...) sostituirebbe i cookie precedenti)
+function appendCookie(res, cookie) {
+  const current = res.getHeader("Set-Cookie");
+  const cookies = current ? [].concat(current) : [];
+  res.setHeader("Set-Cookie", [...cookies, cookie]);
+}
+
+// ============================================
+// FUNZIONE: Crea il gestore delle sessioni
+// ============================================
+// Opzioni:
+// - store: dove salvare le sessioni (default: in memoria)
+// - secret: chiave per firmare i cookie
+// - cookieName: nome del cookie (default "sid")
+// - idleTimeout: dopo quanti secondi di inattività la sessione scade
+// - absoluteTimeout: dopo quanti secondi dal login la sessione scade comunque
+// - sameSite / secure: attributi del cookie
+// - pruneInterval: ogni quanti secondi eliminare dallo store le sessioni
+//   scadute (default 10 minuti; 0 per non farlo). Senza, una sessione
+//   scaduta resterebbe nello store finché qualcuno non la rilegge.
+function createSessionManager(options) {
+  const store = options.store || createMemorySessionStore();
+  const secret = options.secret;
+  const cookieName = options.cookieName || "sid";
+  const idleTimeout = options.idleTimeout || 30 * 60; // 30 minuti
+  const absoluteTimeout = options.absoluteTimeout || 8 * 60 * 60; // 8 ore
+  const pruneInterval =
+    options.pruneInterval !== undefined ? options.pruneInterval : 10 * 60; // 10 minuti
+  const cookieOptions = {
+    httpOnly: true,
+    sameSite: options.sameSite || "Lax",
+    secure: Boolean(options.secure),
+  };
+
+  function setCookie(res, value, maxAge) {
+    appendCookie(
+      res,
+      serializeCookie(cookieName, value, { ...cookieOptions, maxAge })
+    );
+  }
+
+  // Legge l'ID di sessione dal cookie, verificandone la firma
+  function getSessionId(req) {
+    const cookie = parseCookies(req.headers.cookie)[cookieName];
+    return cookie ? unsign(cookie, secret) : null;
+  }
+
+  function isExpired(session, now = Date.now()) {
+    return (
+      now - session.lastSeenAt > idleTimeout * 1000 ||
+      now - session.createdAt > absoluteTimeout * 1000
+    );
+  }
+
+  // Crea una nuova sessione per l'utente e imposta il cookie nella risposta.
+  // La sessione che il browser aveva prima del login viene eliminata: l'ID
+  // cambia sempre al login, così un ID fissato da altri (session fixation)
+  // non diventa mai una sessione autenticata.
+  async function create(req, res, user) {
+    const previousId = getSessionId(req);
+    if (previousId) {
+      await store.destroy(previousId);
+    }
+    const now = Date.now();
+    const session = {
+      id: crypto.randomBytes(32).toString("base64url"),
+      user,
+      createdAt: now,
+      lastSeenAt: now,
+    };
+    await store.set(session.id, session);
+    setCookie(res, sign(session.id, secret), absoluteTimeout);
+    return session;
+  }
+
+  // Restituisce la sessione della richiesta, oppure null se non c'è o è scaduta.
+  // Ogni accesso aggiorna lastSeenAt (la scadenza per inattività riparte).
+  async function get(req) {
+    const id = getSessionId(req);
+    if (!id) {
+      return null;
+    }
+    const session = await store.get(id);
+    if (!session) {
+      return null;
+    }
+
+    const now = Date.now();
+    if (isExpired(session, now)) {
+      await store.destroy(id);
+      return null;
+    }
+
+    session.lastSeenAt = now;
+    await store.set(id, session);
+    return session;
+  }
+
+  // Elimina la sessione della richiesta e cancella il cookie dal browser
+  async function destroy(req, res) {
+    const id = getSessionId(req);
+    if (id) {
+      await store.destroy(id);
+    }
+    setCookie(res, "", 0);
+  }
+
+  // Elimina dallo store tutte le sessioni scadute
+  async function prune() {
+    const now = Date.now();
+    await store.prune((session) => isExpired(session, now));
+  }
+
+  if (pruneInterval > 0) {
+    const timer = setInterval(() => {
+      prune().catch((error) =>
+        console.error("Session pruning error:", error.message)
+      );
+    }, pruneInterval * 1000);
+    // Il timer non deve tenere acceso il processo da solo
+    timer.unref();
+  }
+
+  return { create, get, destroy, prune };
+}
+
+module.exports = {
+  createSessionManager,
+  createMemorySessionStore,
+  createFileSessionStore,
+  parseCookies,
+  serializeCookie,
+  appendCookie,
+  sign,
+  unsign,
+};
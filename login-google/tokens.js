@@ -0,0 +1,262 @@
+// ============================================
+// EMISSIONE DEI NOSTRI TOKEN (ACCESS + REFRESH)
+// Utilizza solo moduli built-in di Node.js (nessun package esterno)
+// ============================================
+// Dopo il login con Google il server emette due token suoi:
+// - Access token: un JWT firmato con la nostra chiave privata, valido pochi minuti.
+//   Le altre applicazioni (es. il socket server) lo verificano con la nostra
+//   chiave pubblica, pubblicata su /.well-known/jwks.json, senza chiamare Google.
+// - Refresh token: una stringa casuale, valida più a lungo, che serve solo
+//   per ottenere un nuovo access token. Ogni volta che viene usato viene
+//   sostituito da uno nuovo (rotazione). Se qualcuno riusa un refresh token
+//   già consumato (ad esempio perché è stato rubato), revochiamo tutta la
+//   "famiglia" di token nata da quel login.
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { base64UrlEncode, signJWT, verifyJWT } = require("./jwt");
+
+// ============================================
+// FUNZIONE: Carica o genera la coppia di chiavi
+// ============================================
+// Se viene indicato un file con la chiave privata (PEM) lo usa;
+// se il file non esiste lo crea, così la chiave resta la stessa dopo un riavvio.
+// Senza file la chiave viene generata a ogni avvio (va bene per sviluppo).
+function loadKeyPair(alg, privateKeyFile) {
+  if (privateKeyFile && fs.existsSync(privateKeyFile)) {
+    const privateKey = crypto.createPrivateKey(
+      fs.readFileSync(privateKeyFile, "utf8")
+    );
+    // La chiave salvata deve essere del tipo giusto per l'algoritmo scelto
+    const expectedType = alg === "EdDSA" ? "ed25519" : "rsa";
+    if (privateKey.asymmetricKeyType !== expectedType) {
+      throw new Error(
+        `Key in ${privateKeyFile} is ${privateKey.asymmetricKeyType}, ${alg} needs ${expectedType}`
+      );
+    }
+    return { privateKey, publicKey: crypto.createPublicKey(privateKey) };
+  }
+
+  const keyPair =
+    alg === "EdDSA"
+      ? crypto.generateKeyPairSync("ed25519")
+      : crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+
+  if (privateKeyFile) {
+    fs.mkdirSync(path.dirname(privateKeyFile), { recursive: true });
+    fs.writeFileSync(
+      privateKeyFile,
+      keyPair.privateKey.export({ type: "pkcs8", format: "pem" }),
+      { mode: 0o600 } // Leggibile solo dal proprietario
+    );
+  }
+  return keyPair;
+}
+
+// ============================================
+// FUNZIONE: Calcola il kid (key ID) di una chiave pubblica
+// ============================================
+// Usa il "JWK thumbprint" (RFC 7638): l'hash SHA-256 dei campi essenziali
+// della chiave, in ordine alfabetico. La stessa chiave ha sempre lo stesso kid.
+function computeKid(jwk) {
+  const members =
+    jwk.kty === "RSA"
+      ? { e: jwk.e, kty: jwk.kty, n: jwk.n }
+      : { crv: jwk.crv, kty: jwk.kty, x: jwk.x };
+  return base64UrlEncode(
+    crypto.createHash("sha256").update(JSON.stringify(members)).digest()
+  );
+}
+
+// Hash del refresh token: nello store non salviamo mai il token in chiaro
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+// ============================================
+// FUNZIONE: Crea l'emettitore di token
+// ============================================
+// Opzioni:
+// - issuer: chi emette il token (claim iss), di solito l'URL di questo server
+// - audience: a chi è destinato il token (claim aud)
+// - alg: "RS256" (default) oppure "EdDSA"
+// - privateKeyFile: file PEM dove leggere/salvare la chiave privata
+// - accessTokenTtl: durata dell'access token in secondi
+// - refreshTokenTtl: durata del refresh token in secondi
+// - loadUser: funzione async (id) -> utente aggiornato, oppure null se non esiste più.
+//   A ogni refresh l'utente viene riletto, così un cambio di ruolo (o la
+//   cancellazione dell'utente) vale dal prossimo access token e non solo
+//   dopo un nuovo login. Senza loadUser si usano i dati del login.
+function createTokenIssuer(options) {
+  const alg = options.alg || "RS256";
+  const accessTokenTtl = options.accessTokenTtl || 15 * 60; // 15 minuti
+  const refreshTokenTtl = options.refreshTokenTtl || 30 * 24 * 60 * 60; // 30 giorni
+
+  const { privateKey, publicKey } = loadKeyPair(alg, options.privateKeyFile);
+  const publicJwk = publicKey.export({ format: "jwk" });
+  const kid = computeKid(publicJwk);
+
+  // Refresh token emessi: hash del token -> record.
+  // Sono solo in memoria: dopo un riavvio bisogna rifare il login
+  // (gli access token invece restano validi, la chiave è su file).
+  const refreshTokens = new Map();
+  // Famiglie revocate (una famiglia = tutti i refresh token nati da un login):
+  // id della famiglia -> quando possiamo dimenticarla
+  const revokedFamilies = new Map();
+
+  // Firma un access token con i dati dell'utente
+  function signAccessToken(user) {
+    const now = Math.floor(Date.now() / 1000);
+    return signJWT(
+      { alg, typ: "JWT", kid },
+      {
+        iss: options.issuer,
+        aud: options.audience,
+        sub: user.id,
+        provider: user.provider, // Provider usato per il login (google, microsoft, ...)
+        role: user.role, // admin, staff oppure user
+        email: user.email,
+        name: user.name,
+        picture: user.picture,
+        iat: now,
+        exp: now + accessTokenTtl,
+        jti: crypto.randomUUID(),
+      },
+      privateKey
+    );
+  }
+
+  // Rimuove i refresh token scaduti (anche quelli già usati)
+  // e le famiglie revocate che non servono più
+  function pruneExpired() {
+    const now = Date.now();
+    for (const [hash, record] of refreshTokens) {
+      if (record.expiresAt < now) {
+        refreshTokens.delete(hash);
+      }
+    }
+    for (const [familyId, expiresAt] of revokedFamilies) {
+      if (expiresAt < now) {
+        revokedFamilies.delete(familyId);
+      }
+    }
+  }
+
+  // Crea un nuovo refresh token nella famiglia indicata
+  function createRefreshToken(user, familyId) {
+    pruneExpired();
+    const token = crypto.randomBytes(32).toString("base64url");
+    refreshTokens.set(hashToken(token), {
+      user,
+      familyId,
+      expiresAt: Date.now() + refreshTokenTtl * 1000,
+      usedAt: null,
+    });
+    return token;
+  }
+
+  function buildResponse(user, familyId) {
+    return {
+      accessToken: signAccessToken(user),
+      tokenType: "Bearer",
+      expiresIn: accessTokenTtl,
+      refreshToken: createRefreshToken(user, familyId),
+    };
+  }
+
+  // Elimina tutti i refresh token di una famiglia
+  function revokeFamily(familyId) {
+    // Dopo la durata di un refresh token nessun token della famiglia
+    // può più essere in circolazione: possiamo dimenticarla
+    revokedFamilies.set(familyId, Date.now() + refreshTokenTtl * 1000);
+    for (const [hash, record] of refreshTokens) {
+      if (record.familyId === familyId) {
+        refreshTokens.delete(hash);
+      }
+    }
+  }
+
+  // Emette access e refresh token dopo un login (nuova famiglia)
+  function issueTokens(user) {
+    return buildResponse(user, crypto.randomUUID());
+  }
+
+  // Scambia un refresh token con una nuova coppia di token.
+  // Il refresh token usato non è più valido (rotazione).
+  async function refresh(refreshToken) {
+    const hash = hashToken(String(refreshToken));
+    const record = refreshTokens.get(hash);
+
+    if (!record || revokedFamilies.has(record.familyId)) {
+      throw new Error("Invalid refresh token");
+    }
+
+    // Token già usato: qualcuno sta riusando un token vecchio.
+    // Non sappiamo chi sia il legittimo proprietario, quindi revochiamo tutto.
+    if (record.usedAt) {
+      revokeFamily(record.familyId);
+      throw new Error("Refresh token reuse detected");
+    }
+
+    if (record.expiresAt < Date.now()) {
+      refreshTokens.delete(hash);
+      throw new Error("Refresh token has expired");
+    }
+
+    // Segniamo il token come usato invece di cancellarlo,
+    // così possiamo riconoscere un eventuale riuso.
+    // Va fatto prima di leggere l'utente: due refresh in parallelo con lo
+    // stesso token devono essere riconosciuti come riuso.
+    record.usedAt = Date.now();
+
+    let user = record.user;
+    if (options.loadUser) {
+      const stored = await options.loadUser(record.user.id);
+      if (!stored) {
+        revokeFamily(record.familyId);
+        throw new Error("User no longer exists");
+      }
+      // Il provider è quello del login, il resto viene dall'archivio
+      user = {
+        ...record.user,
+        email: stored.email,
+        name: stored.name,
+        picture: stored.picture,
+        emailVerified: stored.emailVerified,
+        role: stored.role,
+      };
+    }
+
+    // Mentre leggevamo l'utente la famiglia potrebbe essere stata revocata
+    if (revokedFamilies.has(record.familyId)) {
+      throw new Error("Invalid refresh token");
+    }
+    return buildResponse(user, record.familyId);
+  }
+
+  // Chiavi pubbliche in formato JWKS, da pubblicare su /.well-known/jwks.json
+  function getJWKS() {
+    return {
+      keys: [{ ...publicJwk, kid, alg, use: "sig" }],
+    };
+  }
+
+  // Verifica un access token emesso da noi (es. header Authorization: Bearer ...)
+  function verifyAccessToken(token) {
+    const jwk = getJWKS().keys[0];
+    return verifyJWT(token, {
+      getKey: async (tokenKid) => (tokenKid === kid ? jwk : null),
+      policy: {
+        algorithms: [alg],
+        issuers: [options.issuer],
+        audiences: [options.audience],
+        clockTolerance: 0, // Siamo noi a emetterli: nessuna differenza di orologio
+      },
+    });
+  }
+
+  return { issueTokens, refresh, getJWKS, verifyAccessToken };
+}
+
+module.exports = { createTokenIssuer };
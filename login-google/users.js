@@ -0,0 +1,182 @@
+// ============================================
+// ARCHIVIO DEGLI UTENTI
+// Utilizza solo moduli built-in di Node.js (nessun package esterno)
+// ============================================
+// Ogni utente ha un ID nostro (indipendente dal provider) e una lista di
+// "identità": le coppie provider + sub con cui ha fatto login.
+// - Al primo login l'utente viene creato
+// - Ai login successivi aggiorniamo nome, foto e data dell'ultimo accesso
+// - Se un altro provider ci presenta la stessa email verificata,
+//   l'identità viene collegata all'account esistente
+// - Ogni utente ha un ruolo: admin, staff oppure user
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+// Ruoli disponibili, dal più alto al più basso
+const ROLES = ["admin", "staff", "user"];
+
+// ============================================
+// ADATTATORE: File JSON
+// ============================================
+// Salva tutti gli utenti in un file JSON. Funziona offline e senza
+// database: va bene per poche migliaia di utenti.
+// Un adattatore deve solo saper caricare e salvare l'elenco degli utenti.
+function createJsonFileUserAdapter(filePath) {
+  return {
+    async load() {
+      try {
+        return JSON.parse(await fs.promises.readFile(filePath, "utf8"));
+      } catch (error) {
+        if (error.code === "ENOENT") {
+          return []; // Il file non esiste ancora
+        }
+        throw error;
+      }
+    },
+    async save(users) {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      // Scrive su un file temporaneo e poi lo rinomina: se il processo si
+      // interrompe a metà, il file originale resta integro
+      const tempFile = `${filePath}.tmp`;
+      await fs.promises.writeFile(tempFile, JSON.stringify(users, null, 2));
+      await fs.promises.rename(tempFile, filePath);
+    },
+  };
+}
+
+// ============================================
+// FUNZIONE: Crea l'archivio degli utenti
+// ============================================
+// Opzioni:
+// - adapter: dove salvare gli utenti (es. createJsonFileUserAdapter)
+// - adminEmails / staffEmails: email che ricevono automaticamente quel ruolo
+//   (solo se verificate). Un ruolo non viene mai abbassato in automatico.
+function createUserRepository(options) {
+  const adapter = options.adapter;
+  const adminEmails = options.adminEmails || [];
+  const staffEmails = options.staffEmails || [];
+
+  let users = null; // Elenco degli utenti, caricato alla prima richiesta
+  let queue = Promise.resolve(); // Le modifiche vengono eseguite una alla volta
+
+  async function load() {
+    if (!users) {
+      users = await adapter.load();
+    }
+    return users;
+  }
+
+  // Esegue le operazioni in sequenza, così due login contemporanei
+  // non possono sovrascrivere l'uno le modifiche dell'altro
+  function serialize(operation) {
+    const result = queue.then(operation);
+    queue = result.catch(() => {});
+    return result;
+  }
+
+  // Ruolo assegnato in base alla configurazione (null = nessuno)
+  function configuredRole(userInfo) {
+    if (!userInfo.emailVerified || !userInfo.email) {
+      return null;
+    }
+    const email = userInfo.email.toLowerCase();
+    if (adminEmails.includes(email)) {
+      return "admin";
+    }
+    if (staffEmails.includes(email)) {
+      return "staff";
+    }
+    return null;
+  }
+
+  // Alza il ruolo se la configurazione ne prevede uno più alto
+  function promote(user, userInfo) {
+    const role = configuredRole(userInfo);
+    if (role && ROLES.indexOf(role) < ROLES.indexOf(user.role)) {
+      user.role = role;
+    }
+  }
+
+  // ============================================
+  // FUNZIONE: Registra un login
+  // ============================================
+  // Riceve lo userInfo del provider e restituisce il nostro utente
+  // (creato, aggiornato o collegato).
+  function recordLogin(userInfo) {
+    return serialize(async () => {
+      const all = await load();
+      const now = new Date().toISOString();
+      const email = userInfo.email ? userInfo.email.toLowerCase() : null;
+
+      // 1. Login con un'identità già conosciuta
+      let user = all.find((u) =>
+        u.identities.some(
+          (identity) =>
+            identity.provider === userInfo.provider &&
+            identity.sub === userInfo.id
+        )
+      );
+
+      // 2. Nuova identità, ma con un'email verificata che conosciamo già:
+      //    è la stessa persona, colleghiamo l'identità all'account.
+      //    Entrambe le email devono essere verificate, altrimenti chiunque
+      //    potrebbe impossessarsi di un account dichiarando la sua email.
+      if (!user && email && userInfo.emailVerified) {
+        user = all.find((u) => u.email === email && u.emailVerified);
+        if (user) {
+          user.identities.push({
+            provider: userInfo.provider,
+            sub: userInfo.id,
+            linkedAt: now,
+          });
+          console.log(
+            `Linked ${userInfo.provider} identity to user ${user.id}`
+          );
+        }
+      }
+
+      if (user) {
+        // Aggiorna i dati che possono cambiare presso il provider
+        user.name = userInfo.name || user.name;
+        user.picture = userInfo.picture || user.picture;
+        user.lastLoginAt = now;
+        user.updatedAt = now;
+      } else {
+        // 3. Primo login: crea l'utente
+        user = {
+          id: crypto.randomUUID(),
+          email,
+          emailVerified: Boolean(userInfo.emailVerified),
+          name: userInfo.name,
+          picture: userInfo.picture,
+          role: "user",
+          identities: [
+            { provider: userInfo.provider, sub: userInfo.id, linkedAt: now },
+          ],
+          createdAt: now,
+          updatedAt: now,
+          lastLoginAt: now,
+        };
+        all.push(user);
+      }
+
+      promote(user, userInfo);
+      await adapter.save(all);
+      return user;
+    });
+  }
+
+  async function findById(id) {
+    return (await load()).find((u) => u.id === id) || null;
+  }
+
+  async function list() {
+    return [...(await load())];
+  }
+
+  return { recordLogin, findById, list };
+}
+
+module.exports = { ROLES, createJsonFileUserAdapter, createUserRepository };
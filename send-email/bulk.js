@@ -0,0 +1,186 @@
+/**
+ * Invio massivo: la stessa email a tanti destinatari letti da un CSV
+ *
+ * Ogni riga del CSV è un destinatario: la colonna "email" (o "to") è l'indirizzo,
+ * la colonna "lingua" (facoltativa) sceglie la lingua del template e tutte le altre
+ * colonne diventano variabili ({{nome}}, {{data}}, ...).
+ *
+ * Le email partono in parallelo, ma non più di `concorrenza` alla volta e non più
+ * di `perSecondo` al secondo, per non farsi bloccare dal server SMTP.
+ * Un errore su un destinatario non ferma gli altri: finisce nel report.
+ */
+const { sostituisci } = require("./templates");
+
+/**
+ * Legge un CSV con la riga di intestazione
+ *
+ * Gestisce i campi tra virgolette (con virgole, a capo e "" al loro interno),
+ * le righe CRLF e il BOM. Il separatore è la virgola, oppure il punto e virgola
+ * se l'intestazione ne ha di più (come nei CSV esportati da Excel in italiano).
+ *
+ * @param {string} testo - Contenuto del file CSV
+ * @returns {Object<string, string>[]} Una riga per destinatario, con le colonne come chiavi
+ *
+ * @example
+ * leggiCsv("email,nome\nmario@example.com,Mario\n");
+ * // [{ email: "mario@example.com", nome: "Mario" }]
+ */
+function leggiCsv(testo) {
+  const contenuto = testo.replace(/^\uFEFF/, "");
+  const intestazione = contenuto.split(/\r?\n/, 1)[0];
+  const separatore = (intestazione.match(/;/g) || []).length > (intestazione.match(/,/g) || []).length ? ";" : ",";
+
+  const righe = [];
+  let riga = [];
+  let campo = "";
+  let traVirgolette = false;
+  for (let i = 0; i < contenuto.length; i++) {
+    const carattere = contenuto[i];
+    if (traVirgolette) {
+      if (carattere === '"' && contenuto[i + 1] === '"') {
+        campo += '"';
+        i++;
+      } else if (carattere === '"') {
+        traVirgolette = false;
+      } else {
+        campo += carattere;
+      }
+    } else if (carattere === '"') {
+      traVirgolette = true;
+    } else if (carattere === separatore) {
+      riga.push(campo);
+      campo = "";
+    } else if (carattere === "\n" || carattere === "\r") {
+      if (carattere === "\r" && contenuto[i + 1] === "\n") i++;
+      riga.push(campo);
+      righe.push(riga);
+      riga = [];
+      campo = "";
+    } else {
+      campo += carattere;
+    }
+  }
+  if (campo || riga.length) {
+    riga.push(campo);
+    righe.push(riga);
+  }
+
+  const [colonne = [], ...dati] = righe;
+  const nomi = colonne.map((colonna) => colonna.trim());
+  return dati
+    // le righe vuote (es. alla fine del file) non sono destinatari
+    .filter((valori) => valori.some((valore) => valore.trim()))
+    .map((valori) => Object.fromEntries(nomi.map((nome, j) => [nome, (valori[j] || "").trim()])));
+}
+
+/**
+ * Scrive il report di un invio massivo in CSV
+ *
+ * @param {Object[]} report - Risultato di inviaTutte()
+ * @returns {string} Il CSV, con intestazione
+ */
+function reportCsv(report) {
+  const colonne = ["riga", "to", "esito", "messageId", "errore"];
+  const campo = (valore) => {
+    const testo = valore === null || valore === undefined ? "" : String(valore);
+    return /[",\r\n]/.test(testo) ? `"${testo.replace(/"/g, '""')}"` : testo;
+  };
+  const righe = report.map((voce) => colonne.map((colonna) => campo(voce[colonna])).join(","));
+  return [colonne.join(","), ...righe].join("\n") + "\n";
+}
+
+/**
+ * Opzioni di sendEmail per una riga del CSV
+ *
+ * Con un template le variabili della riga vanno al template; senza template
+ * vengono sostituite direttamente in oggetto, testo e HTML.
+ *
+ * @param {Object<string, string>} riga - Riga del CSV
+ * @param {Object} base - Opzioni comuni a tutte le email (subject, template, attachments, ...)
+ * @returns {Object} Opzioni di sendEmail per il destinatario
+ * @throws {TemplateError} Se manca una variabile
+ */
+function opzioniDaRiga(riga, base) {
+  const { email, to, lingua, ...variabili } = riga;
+  const tutte = { ...base.variabili, ...variabili };
+  const opzioni = { ...base, to: email || to, lingua: lingua || base.lingua, variabili: tutte };
+  if (!base.template) {
+    for (const campo of ["subject", "text", "html"]) {
+      if (base[campo]) opzioni[campo] = sostituisci(base[campo], tutte, campo === "html");
+    }
+  }
+  return opzioni;
+}
+
+/**
+ * Invia un'email per ogni riga, con concorrenza e velocità limitate
+ *
+ * @param {Object<string, string>[]} righe - Destinatari (vedi leggiCsv)
+ * @param {Object} base - Opzioni comuni a tutte le email
+ * @param {Object} opzioni
+ * @param {function(Object): Promise<Object>} opzioni.invia - Invia un'email (le opzioni di sendEmail)
+ *   e restituisce le info dell'invio (messageId, oppure id e stato se va in coda)
+ * @param {number} [opzioni.concorrenza=5] - Invii contemporanei al massimo
+ * @param {number} [opzioni.perSecondo=10] - Invii al secondo al massimo (0 = nessun limite)
+ * @param {function(Object): void} [opzioni.onRisultato] - Chiamata dopo ogni destinatario (per l'avanzamento)
+ * @returns {Promise<{riga: number, to: string, esito: string, messageId: string|null, errore: string|null}[]>}
+ *   Un risultato per riga, nell'ordine del CSV; riga parte da 2 perché la 1 è l'intestazione
+ * @throws {Error} Se concorrenza non è un intero positivo o perSecondo non è un numero >= 0
+ *
+ * @example
+ * const report = await inviaTutte(leggiCsv(csv), { template: "appuntamento" }, {
+ *   invia: sendEmail,
+ *   concorrenza: 3,
+ *   perSecondo: 5,
+ * });
+ */
+async function inviaTutte(righe, base, { invia, concorrenza = 5, perSecondo = 10, onRisultato }) {
+  // con NaN o 0 non partirebbe nessun lavoratore, e il report resterebbe vuoto
+  if (!Number.isInteger(concorrenza) || concorrenza < 1) {
+    throw new Error(`Invalid concurrency: ${concorrenza} (must be a positive integer)`);
+  }
+  if (!Number.isFinite(perSecondo) || perSecondo < 0) {
+    throw new Error(`Invalid rate: ${perSecondo} (must be a number >= 0)`);
+  }
+  const report = new Array(righe.length);
+  const intervallo = perSecondo > 0 ? 1000 / perSecondo : 0;
+  let prossimoInvio = Date.now();
+  let indice = 0;
+
+  /**
+   * Aspetta il proprio turno: ogni invio prenota il momento dopo quello precedente
+   */
+  async function attendiTurno() {
+    const adesso = Date.now();
+    const turno = Math.max(adesso, prossimoInvio);
+    prossimoInvio = turno + intervallo;
+    if (turno > adesso) await new Promise((resolve) => setTimeout(resolve, turno - adesso));
+  }
+
+  async function lavora() {
+    while (indice < righe.length) {
+      const i = indice++;
+      const risultato = { riga: i + 2, to: righe[i].email || righe[i].to || "", esito: "inviata", messageId: null, errore: null };
+      try {
+        if (!risultato.to) throw new Error("Missing recipient (email column)");
+        const opzioni = opzioniDaRiga(righe[i], base);
+        await attendiTurno();
+        const info = await invia(opzioni);
+        risultato.messageId = info.messageId || null;
+        // con la coda l'email non è ancora partita: l'esito è lo stato della voce
+        if (info.stato) risultato.esito = info.stato;
+      } catch (error) {
+        risultato.esito = "errore";
+        risultato.errore = error.message;
+      }
+      report[i] = risultato;
+      if (onRisultato) onRisultato(risultato);
+    }
+  }
+
+  const lavoratori = Array.from({ length: Math.max(1, Math.min(concorrenza, righe.length)) }, lavora);
+  await Promise.all(lavoratori);
+  return report;
+}
+
+module.exports = { leggiCsv, reportCsv, opzioniDaRiga, inviaTutte };
@@ -0,0 +1,81 @@
+// test dell'invio massivo: lettura del CSV, report e limiti di invio (node --test)
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { leggiCsv, reportCsv, opzioniDaRiga, inviaTutte } = require("./bulk");
+
+test("legge un CSV con intestazione, CRLF e BOM", () => {
+  assert.deepStrictEqual(leggiCsv("\uFEFFemail,nome\r\nmario@example.com, Mario \r\nanna@example.com,Anna\r\n\r\n"), [
+    { email: "mario@example.com", nome: "Mario" },
+    { email: "anna@example.com", nome: "Anna" },
+  ]);
+});
+
+test("gestisce virgolette, virgole, a capo e \"\" dentro i campi", () => {
+  const csv = 'email,nota\nmario@example.com,"Rossi, Mario"\nanna@example.com,"prima riga\nseconda ""riga"""\n';
+  assert.deepStrictEqual(leggiCsv(csv), [
+    { email: "mario@example.com", nota: "Rossi, Mario" },
+    { email: "anna@example.com", nota: 'prima riga\nseconda "riga"' },
+  ]);
+});
+
+test("usa il punto e virgola come separatore se l'intestazione ne ha di più", () => {
+  assert.deepStrictEqual(leggiCsv("email;nome;prezzo\nmario@example.com;Mario;1,50"), [
+    { email: "mario@example.com", nome: "Mario", prezzo: "1,50" },
+  ]);
+});
+
+test("le colonne mancanti restano vuote, l'ultima riga senza a capo viene letta", () => {
+  assert.deepStrictEqual(leggiCsv("email,nome,lingua\nmario@example.com"), [{ email: "mario@example.com", nome: "", lingua: "" }]);
+});
+
+test("il report CSV mette tra virgolette i campi con caratteri speciali", () => {
+  const csv = reportCsv([
+    { riga: 2, to: "mario@example.com", esito: "inviata", messageId: "<1@test>", errore: null },
+    { riga: 3, to: "", esito: "errore", messageId: null, errore: 'Missing "email", column' },
+  ]);
+  assert.strictEqual(csv, 'riga,to,esito,messageId,errore\n2,mario@example.com,inviata,<1@test>,\n3,,errore,,"Missing ""email"", column"\n');
+  assert.deepStrictEqual(leggiCsv(csv)[1].errore, 'Missing "email", column');
+});
+
+test("senza template le variabili della riga vanno in oggetto e testo", () => {
+  const opzioni = opzioniDaRiga({ email: "mario@example.com", nome: "Mario" }, { subject: "Ciao {{nome}}", text: "Buongiorno {{nome}}" });
+  assert.strictEqual(opzioni.to, "mario@example.com");
+  assert.strictEqual(opzioni.subject, "Ciao Mario");
+  assert.strictEqual(opzioni.text, "Buongiorno Mario");
+});
+
+test("un errore su un destinatario non ferma gli altri", async () => {
+  const righe = [{ email: "mario@example.com" }, { nome: "senza email" }, { email: "anna@example.com" }];
+  const report = await inviaTutte(righe, { subject: "Ciao" }, {
+    invia: async (opzioni) => ({ messageId: `<${opzioni.to}>` }),
+    perSecondo: 0,
+  });
+  assert.deepStrictEqual(report.map((r) => [r.riga, r.esito]), [[2, "inviata"], [3, "errore"], [4, "inviata"]]);
+  assert.strictEqual(report[0].messageId, "<mario@example.com>");
+});
+
+test("non supera la concorrenza indicata", async () => {
+  let inCorso = 0;
+  let massimo = 0;
+  const righe = Array.from({ length: 6 }, (_, i) => ({ email: `${i}@example.com` }));
+  await inviaTutte(righe, {}, {
+    concorrenza: 2,
+    perSecondo: 0,
+    invia: async () => {
+      massimo = Math.max(massimo, ++inCorso);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      inCorso--;
+      return {};
+    },
+  });
+  assert.strictEqual(massimo, 2);
+});
+
+test("rifiuta concorrenza e velocità non valide; perSecondo 0 vuol dire nessun limite", async () => {
+  const invia = async () => ({});
+  await assert.rejects(inviaTutte([], {}, { invia, concorrenza: 0 }), /Invalid concurrency/);
+  await assert.rejects(inviaTutte([], {}, { invia, perSecondo: Number("abc") }), /Invalid rate/);
+  const inizio = Date.now();
+  await inviaTutte(Array.from({ length: 20 }, (_, i) => ({ email: `${i}@example.com` })), {}, { invia, perSecondo: 0 });
+  assert.ok(Date.now() - inizio < 500);
+});
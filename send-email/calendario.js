@@ -0,0 +1,208 @@
+/**
+ * Inviti di calendario (.ics, formato iCalendar RFC 5545)
+ *
+ * Genera il testo di un evento da allegare a un'email: i client di posta
+ * (Gmail, Outlook, Apple Mail) lo mostrano come invito con i pulsanti
+ * per accettare o rifiutare. Serve ad esempio per l'appuntamento in coda.
+ */
+const crypto = require("crypto");
+
+/**
+ * Errore di un evento non valido
+ */
+class EventoError extends Error {
+  /**
+   * @param {string} code - Codice dell'errore (es: "data-non-valida")
+   * @param {string} message - Descrizione dell'errore
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = "EventoError";
+    this.code = code;
+  }
+}
+
+/**
+ * Data in formato iCalendar, sempre in UTC: 20261102T093000Z
+ *
+ * @param {Date} data
+ * @returns {string}
+ */
+function formattaData(data) {
+  return data.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+/**
+ * Sanifica un testo per iCalendar: backslash, punto e virgola, virgola e a capo
+ * hanno un significato speciale
+ *
+ * @param {string} testo
+ * @returns {string}
+ */
+function escapeTesto(testo) {
+  return String(testo)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Proprietà ORGANIZER o ATTENDEE per un indirizzo, anche nella forma "Nome <email@example.com>"
+ *
+ * Nel valore va solo l'indirizzo (mailto:); il nome diventa il parametro CN,
+ * tra virgolette se contiene caratteri speciali (le virgolette non sono ammesse e vengono tolte).
+ *
+ * @param {string} proprieta - Es: "ORGANIZER" o "ATTENDEE;ROLE=REQ-PARTICIPANT"
+ * @param {string} valore - Es: "Prenotazioni <prenotazioni@example.com>"
+ * @returns {string} Es: "ORGANIZER;CN=Prenotazioni:mailto:prenotazioni@example.com"
+ *
+ * @example
+ * proprietaIndirizzo("ORGANIZER", "Rossi, Mario <mario@example.com>");
+ * // 'ORGANIZER;CN="Rossi, Mario":mailto:mario@example.com'
+ */
+function proprietaIndirizzo(proprieta, valore) {
+  const forma = /^\s*(.*?)\s*<([^>]+)>\s*$/.exec(String(valore));
+  const indirizzo = (forma ? forma[2] : String(valore)).trim();
+  const nome = forma ? forma[1].replace(/"/g, "").trim() : "";
+  if (!nome) return `${proprieta}:mailto:${indirizzo}`;
+  const cn = /[:;,]/.test(nome) ? `"${nome}"` : nome;
+  return `${proprieta};CN=${cn}:mailto:${indirizzo}`;
+}
+
+/**
+ * Le righe di un file iCalendar non devono superare 75 byte:
+ * quelle più lunghe continuano sulla riga dopo, che inizia con uno spazio
+ *
+ * @param {string} riga
+ * @returns {string}
+ */
+function piegaRiga(riga) {
+  const parti = [];
+  let corrente = "";
+  for (const carattere of riga) {
+    // le righe di continuazione hanno già uno spazio all'inizio
+    const limite = parti.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(corrente + carattere) > limite) {
+      parti.push(corrente);
+      corrente = "";
+    }
+    corrente += carattere;
+  }
+  parti.push(corrente);
+  return parti.join("\r\n ");
+}
+
+/**
+ * Legge una data: oggetto Date, stringa ISO o millisecondi
+ *
+ * @param {Date|string|number} valore
+ * @param {string} nome - Nome del campo, per il messaggio di errore
+ * @returns {Date}
+ * @throws {EventoError} Se la data non è valida
+ */
+function leggiData(valore, nome) {
+  const data = valore instanceof Date ? valore : new Date(valore);
+  if (Number.isNaN(data.getTime())) {
+    throw new EventoError("data-non-valida", `Invalid event ${nome}: ${valore}`);
+  }
+  return data;
+}
+
+/**
+ * Crea il testo .ics di un evento
+ *
+ * @param {Object} evento
+ * @param {Date|string} evento.inizio - Inizio dell'evento
+ * @param {Date|string} [evento.fine] - Fine dell'evento (in alternativa a durata)
+ * @param {number} [evento.durata=30] - Durata in minuti, se fine non è indicata
+ * @param {string} evento.titolo - Titolo dell'evento
+ * @param {string} [evento.descrizione] - Descrizione
+ * @param {string} [evento.luogo] - Luogo (es: "Ambulatorio 1")
+ * @param {string} [evento.organizzatore] - Email dell'organizzatore (di solito il mittente),
+ *   anche nella forma "Nome <email@example.com>"
+ * @param {string[]} [evento.partecipanti=[]] - Email dei partecipanti (anche "Nome <email>")
+ * @param {string} [evento.uid] - Identificativo dell'evento: con lo stesso uid
+ *   un nuovo invio aggiorna l'evento invece di crearne un altro
+ * @param {number} [evento.promemoria] - Minuti prima dell'inizio per il promemoria (più di 0)
+ * @param {string} [evento.metodo="REQUEST"] - REQUEST per un invito, CANCEL per annullarlo
+ * @returns {{content: string, method: string, uid: string}} Testo dell'evento, metodo e uid
+ * @throws {EventoError} Se mancano il titolo o le date, se la fine è prima dell'inizio,
+ *   o se durata o promemoria non sono numeri di minuti maggiori di 0
+ *
+ * @example
+ * const { content } = creaEvento({
+ *   inizio: "2026-11-02T09:30:00+01:00",
+ *   durata: 20,
+ *   titolo: "Prelievo del sangue",
+ *   luogo: "Laboratorio, sportello 1",
+ *   organizzatore: "prenotazioni@example.com",
+ *   partecipanti: ["mario@example.com"],
+ *   promemoria: 60,
+ * });
+ */
+function creaEvento({
+  inizio,
+  fine,
+  durata = 30,
+  titolo,
+  descrizione,
+  luogo,
+  organizzatore,
+  partecipanti = [],
+  uid = `${crypto.randomUUID()}@send-email`,
+  promemoria,
+  metodo = "REQUEST",
+}) {
+  if (!titolo) {
+    throw new EventoError("titolo-mancante", "Event title is required");
+  }
+  // es. --event-duration abc arriva come NaN: senza controllo diventerebbe una data non valida
+  if (!fine && !(Number.isFinite(durata) && durata > 0)) {
+    throw new EventoError("durata-non-valida", `Event duration must be a positive number of minutes (got ${durata})`);
+  }
+  if (promemoria !== undefined && promemoria !== null && !(Number.isFinite(promemoria) && promemoria > 0)) {
+    throw new EventoError("promemoria-non-valido", `Event reminder must be a positive number of minutes (got ${promemoria})`);
+  }
+  const dataInizio = leggiData(inizio, "start");
+  const dataFine = fine ? leggiData(fine, "end") : new Date(dataInizio.getTime() + durata * 60 * 1000);
+  if (dataFine <= dataInizio) {
+    throw new EventoError("date-non-valide", "Event end must be after its start");
+  }
+
+  const righe = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//send-email//IT",
+    "CALSCALE:GREGORIAN",
+    `METHOD:${metodo}`,
+    "BEGIN:VEVENT",
+    `UID:${uid}`,
+    `DTSTAMP:${formattaData(new Date())}`,
+    `DTSTART:${formattaData(dataInizio)}`,
+    `DTEND:${formattaData(dataFine)}`,
+    `SUMMARY:${escapeTesto(titolo)}`,
+  ];
+  if (descrizione) righe.push(`DESCRIPTION:${escapeTesto(descrizione)}`);
+  if (luogo) righe.push(`LOCATION:${escapeTesto(luogo)}`);
+  if (organizzatore) righe.push(proprietaIndirizzo("ORGANIZER", organizzatore));
+  for (const partecipante of partecipanti) {
+    righe.push(proprietaIndirizzo("ATTENDEE;ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION;RSVP=TRUE", partecipante));
+  }
+  righe.push(`STATUS:${metodo === "CANCEL" ? "CANCELLED" : "CONFIRMED"}`);
+  if (promemoria) {
+    righe.push(
+      "BEGIN:VALARM",
+      "ACTION:DISPLAY",
+      `DESCRIPTION:${escapeTesto(titolo)}`,
+      `TRIGGER:-PT${Math.round(promemoria)}M`,
+      "END:VALARM",
+    );
+  }
+  righe.push("END:VEVENT", "END:VCALENDAR");
+
+  // iCalendar vuole CRLF come fine riga
+  return { content: righe.map(piegaRiga).join("\r\n") + "\r\n", method: metodo, uid };
+}
+
+module.exports = { creaEvento, EventoError };
@@ -0,0 +1,84 @@
+// test degli inviti di calendario: righe piegate, testi sanificati e dati dell'evento (node --test)
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { creaEvento, EventoError } = require("./calendario");
+
+const evento = {
+  inizio: "2026-11-02T09:30:00+01:00",
+  titolo: "Prelievo del sangue",
+  uid: "prova@send-email",
+};
+
+/**
+ * Righe logiche del file: le righe di continuazione (che iniziano con uno spazio) unite alla precedente
+ */
+function righe(content) {
+  return content.replace(/\r\n /g, "").split("\r\n");
+}
+
+test("genera un evento con date in UTC, durata e CRLF", () => {
+  const { content, method, uid } = creaEvento({ ...evento, durata: 20 });
+  assert.strictEqual(method, "REQUEST");
+  assert.strictEqual(uid, "prova@send-email");
+  assert.ok(content.endsWith("END:VCALENDAR\r\n"));
+  assert.ok(!/[^\r]\n/.test(content), "ogni riga finisce con CRLF");
+  const tutte = righe(content);
+  assert.ok(tutte.includes("DTSTART:20261102T083000Z"));
+  assert.ok(tutte.includes("DTEND:20261102T085000Z"));
+  assert.ok(tutte.includes("STATUS:CONFIRMED"));
+});
+
+test("sanifica backslash, punto e virgola, virgole e a capo", () => {
+  const { content } = creaEvento({ ...evento, descrizione: "A digiuno; porta: tessera, referto\\ricetta\nGrazie" });
+  assert.ok(righe(content).includes("DESCRIPTION:A digiuno\\; porta: tessera\\, referto\\\\ricetta\\nGrazie"));
+});
+
+test("piega le righe oltre 75 byte senza spezzare i caratteri", () => {
+  const descrizione = "Ricordati di portare la tessera sanitaria è l'impegnativa del medico curante ".repeat(3);
+  const { content } = creaEvento({ ...evento, descrizione });
+  for (const riga of content.split("\r\n")) {
+    assert.ok(Buffer.byteLength(riga) <= 75, `riga di ${Buffer.byteLength(riga)} byte`);
+  }
+  assert.ok(content.includes("\r\n "));
+  assert.ok(!content.includes("�"));
+  assert.ok(righe(content).includes(`DESCRIPTION:${descrizione}`));
+});
+
+test("mette il nome di organizzatore e partecipanti in CN", () => {
+  const { content } = creaEvento({
+    ...evento,
+    organizzatore: "Prenotazioni <prenotazioni@example.com>",
+    partecipanti: ["Rossi, Mario <mario@example.com>", "anna@example.com"],
+  });
+  const tutte = righe(content);
+  assert.ok(tutte.includes("ORGANIZER;CN=Prenotazioni:mailto:prenotazioni@example.com"));
+  assert.ok(tutte.includes('ATTENDEE;ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION;RSVP=TRUE;CN="Rossi, Mario":mailto:mario@example.com'));
+  assert.ok(tutte.includes("ATTENDEE;ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION;RSVP=TRUE:mailto:anna@example.com"));
+});
+
+test("aggiunge il promemoria e annulla l'evento con CANCEL", () => {
+  const { content } = creaEvento({ ...evento, promemoria: 60, metodo: "CANCEL" });
+  const tutte = righe(content);
+  assert.ok(tutte.includes("TRIGGER:-PT60M"));
+  assert.ok(tutte.includes("METHOD:CANCEL"));
+  assert.ok(tutte.includes("STATUS:CANCELLED"));
+});
+
+test("rifiuta titolo mancante, date non valide e fine prima dell'inizio", () => {
+  const codice = (opzioni) => {
+    try {
+      creaEvento(opzioni);
+    } catch (error) {
+      assert.ok(error instanceof EventoError);
+      return error.code;
+    }
+    return null;
+  };
+  assert.strictEqual(codice({ ...evento, titolo: "" }), "titolo-mancante");
+  assert.strictEqual(codice({ ...evento, inizio: "domani" }), "data-non-valida");
+  assert.strictEqual(codice({ ...evento, fine: "2026-11-02T09:00:00+01:00" }), "date-non-valide");
+  assert.strictEqual(codice({ ...evento, durata: Number("abc") }), "durata-non-valida");
+  assert.strictEqual(codice({ ...evento, durata: -10 }), "durata-non-valida");
+  assert.strictEqual(codice({ ...evento, promemoria: Number("abc") }), "promemoria-non-valido");
+  assert.strictEqual(codice({ ...evento, promemoria: -5 }), "promemoria-non-valido");
+});
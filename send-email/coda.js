@@ -0,0 +1,484 @@
+/**
+ * Coda persistente delle email in uscita
+ *
+ * Le email non vengono inviate subito: vengono salvate in un file e inviate
+ * da elabora(). Se l'invio fallisce l'email viene riprovata più tardi,
+ * aspettando ogni volta il doppio (backoff esponenziale); dopo troppi tentativi,
+ * o con un errore definitivo del server (codici SMTP 5xx), finisce tra gli scartati
+ * (dead letter) e può essere rimessa in coda a mano con riprova().
+ *
+ * La chiave di idempotenza evita i doppioni: accodare due volte la stessa email
+ * (es. il client ripete la richiesta) restituisce la voce già in coda o già inviata.
+ *
+ * Più processi possono usare lo stesso file (es. la riga di comando con --queue e un
+ * worker avviato con --worker): ogni modifica rilegge il file con un lock, e una voce
+ * viene prenotata prima dell'invio, così due processi non la inviano insieme.
+ *
+ * Un'email può essere inviata più di una volta solo se il processo si ferma
+ * durante l'invio: passata la prenotazione la voce torna a essere inviabile.
+ */
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { log: logCondiviso } = require("./log");
+
+/**
+ * Stati di una voce della coda
+ */
+const STATI = {
+  IN_CODA: "in-coda",
+  INVIATA: "inviata",
+  SCARTATA: "scartata",
+};
+
+/**
+ * Errore della coda, con un codice leggibile da un programma
+ */
+class CodaError extends Error {
+  /**
+   * @param {string} code - Codice dell'errore (es: "voce-sconosciuta")
+   * @param {string} message - Descrizione dell'errore
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = "CodaError";
+    this.code = code;
+  }
+}
+
+/**
+ * Dopo quanto un lock è considerato abbandonato da un processo fermato (ms);
+ * chi ha il lock lo tiene solo per leggere e riscrivere il file
+ * @type {number}
+ */
+const LOCK_ABBANDONATO = 30 * 1000;
+
+/**
+ * Per quanto aspettare al massimo il lock del file (ms): più di LOCK_ABBANDONATO,
+ * così il lock lasciato da un processo fermato fa aspettare ma non fallire
+ * @type {number}
+ */
+const ATTESA_LOCK = 60 * 1000;
+
+/**
+ * Attende qualche millisecondo, lasciando lavorare il resto del processo
+ *
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function pausa(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * @param {number} pid
+ * @returns {boolean} true se il processo esiste ancora
+ */
+function processoVivo(pid) {
+  if (!Number.isInteger(pid) || pid <= 0) return false;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: il processo esiste ma è di un altro utente
+    return error.code === "EPERM";
+  }
+}
+
+/**
+ * Salva le voci in un file JSON, o solo in memoria se il file non è indicato
+ *
+ * La scrittura passa da un file temporaneo rinominato alla fine,
+ * così un crash non lascia mai un file a metà. Ogni modifica prende un lock
+ * (il file .lock accanto) e rilegge il file: le modifiche degli altri processi
+ * non vengono sovrascritte.
+ *
+ * @param {string} [file] - Percorso del file
+ * @returns {{carica: function(): Object[], aggiorna: function(function(Object[]): {voci: Object[], risultato: *}): Promise<*>}}
+ *   aggiorna(modifica) passa a modifica le voci attuali e salva quelle che restituisce
+ */
+function createArchivio(file) {
+  if (!file) {
+    let voci = [];
+    return {
+      carica: () => voci,
+      async aggiorna(modifica) {
+        const { voci: nuove, risultato } = modifica(voci);
+        voci = nuove;
+        return risultato;
+      },
+    };
+  }
+
+  const lock = `${file}.lock`;
+
+  function carica() {
+    try {
+      return JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+  }
+
+  /**
+   * Toglie il lock lasciato da un processo che si è fermato
+   *
+   * Il lock viene prima rinominato con un nome solo nostro: se più processi lo trovano
+   * abbandonato solo uno riesce a prenderlo, e nessuno cancella il lock nuovo di un altro.
+   * Se quello preso è recente (nel frattempo il lock è stato liberato e ripreso) o il
+   * processo che lo tiene è ancora vivo, viene rimesso al suo posto.
+   */
+  function liberaAbbandonato() {
+    try {
+      if (Date.now() - fs.statSync(lock).mtimeMs <= LOCK_ABBANDONATO) return;
+    } catch (error) {
+      // il lock è stato appena rilasciato
+      if (error.code === "ENOENT") return;
+      throw error;
+    }
+    const preso = `${lock}.${process.pid}.${crypto.randomUUID()}`;
+    try {
+      fs.renameSync(lock, preso);
+    } catch (error) {
+      if (error.code === "ENOENT") return;
+      throw error;
+    }
+    try {
+      const recente = Date.now() - fs.statSync(preso).mtimeMs <= LOCK_ABBANDONATO;
+      if (recente || processoVivo(Number(fs.readFileSync(preso, "utf8")))) {
+        // link non sovrascrive: se un altro processo ha già un lock nuovo, vale quello
+        try {
+          fs.linkSync(preso, lock);
+        } catch (error) {
+          if (error.code !== "EEXIST") throw error;
+        }
+      }
+    } finally {
+      fs.rmSync(preso, { force: true });
+    }
+  }
+
+  async function blocca() {
+    const inizio = Date.now();
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    for (;;) {
+      try {
+        fs.writeFileSync(lock, String(process.pid), { flag: "wx" });
+        return;
+      } catch (error) {
+        if (error.code !== "EEXIST") throw error;
+      }
+      liberaAbbandonato();
+      if (Date.now() - inizio > ATTESA_LOCK) {
+        throw new CodaError("coda-bloccata", `Queue file is locked by another process: ${lock}`);
+      }
+      await pausa(20);
+    }
+  }
+
+  return {
+    carica,
+    async aggiorna(modifica) {
+      await blocca();
+      try {
+        const { voci, risultato } = modifica(carica());
+        fs.writeFileSync(`${file}.tmp`, JSON.stringify(voci, null, 2));
+        fs.renameSync(`${file}.tmp`, file);
+        return risultato;
+      } finally {
+        fs.rmSync(lock, { force: true });
+      }
+    },
+  };
+}
+
+/**
+ * Un errore SMTP 5xx è definitivo (es. 550 casella inesistente): riprovare non serve
+ *
+ * @param {Error} error - Errore di nodemailer
+ * @returns {boolean}
+ */
+function erroreDefinitivo(error) {
+  return error.responseCode >= 500 && error.responseCode < 600;
+}
+
+/**
+ * Crea una coda di invio
+ *
+ * @param {Object} opzioni
+ * @param {function(Object): Promise<Object>} opzioni.invia - Funzione che invia un'email
+ *   (le opzioni di nodemailer) e restituisce le info dell'invio
+ * @param {string} [opzioni.file] - File in cui salvare la coda; senza file resta in memoria
+ * @param {number} [opzioni.maxTentativi=5] - Tentativi prima di scartare l'email
+ * @param {number} [opzioni.ritardoBase=1000] - Attesa dopo il primo fallimento (ms), poi raddoppia
+ * @param {number} [opzioni.ritardoMax=3600000] - Attesa massima tra due tentativi (ms)
+ * @param {number} [opzioni.conservazione=604800000] - Per quanto tenere le email inviate (ms),
+ *   e quindi le loro chiavi di idempotenza
+ * @param {number} [opzioni.prenotazione=900000] - Per quanto una voce in invio resta riservata
+ *   al processo che la sta inviando (ms): se il processo si ferma, dopo questo tempo la riprova un altro
+ * @param {function(): number} [opzioni.adesso=Date.now] - Orologio (per i test)
+ * @param {Object} [opzioni.log] - Logger (vedi log.js), per le email scartate e gli errori
+ *   dell'elaborazione periodica; toglie i segreti anche dagli errori salvati nella coda
+ * @returns {Object} La coda
+ *
+ * @example
+ * const coda = createCoda({ invia: (email) => transporter.sendMail(email), file: "data/coda.json" });
+ * await coda.accoda({ to: "dest@example.com", subject: "Ciao", text: "..." }, { chiaveIdempotenza: "benvenuto-42" });
+ * await coda.elabora();
+ */
+function createCoda({
+  invia,
+  file,
+  maxTentativi = 5,
+  ritardoBase = 1000,
+  ritardoMax = 60 * 60 * 1000,
+  conservazione = 7 * 24 * 60 * 60 * 1000,
+  prenotazione = 15 * 60 * 1000,
+  adesso = Date.now,
+  log = logCondiviso,
+}) {
+  const archivio = createArchivio(file);
+  let inElaborazione = null;
+  let timer = null;
+
+  /**
+   * Modifica le voci rilette dal file (con il lock) e le salva
+   *
+   * @param {function(Object[]): *} operazione - Modifica le voci e restituisce il risultato
+   * @returns {Promise<*>} Il risultato di operazione
+   */
+  function modifica(operazione) {
+    return archivio.aggiorna((voci) => {
+      const risultato = operazione(voci);
+      // le email inviate da troppo tempo non servono più
+      const limite = adesso() - conservazione;
+      return { voci: voci.filter((voce) => voce.stato !== STATI.INVIATA || voce.inviata >= limite), risultato };
+    });
+  }
+
+  /**
+   * Attesa prima del prossimo tentativo: ritardoBase, poi il doppio ogni volta,
+   * con una piccola parte casuale perché tante email fallite insieme non riprovino tutte insieme
+   *
+   * @param {number} tentativi - Tentativi già fatti
+   * @returns {number} Millisecondi di attesa
+   */
+  function ritardo(tentativi) {
+    const base = Math.min(ritardoMax, ritardoBase * 2 ** (tentativi - 1));
+    return Math.round(base * (0.8 + Math.random() * 0.4));
+  }
+
+  /**
+   * Aggiunge un'email alla coda
+   *
+   * @param {Object} email - Opzioni di nodemailer (to, subject, text, html, ...)
+   * @param {Object} [opzioni]
+   * @param {string} [opzioni.chiaveIdempotenza] - Se un'email con la stessa chiave è già
+   *   in coda, inviata o scartata, non viene aggiunta di nuovo
+   * @returns {Promise<Object>} La voce della coda (nuova o già esistente)
+   */
+  function accoda(email, { chiaveIdempotenza } = {}) {
+    return modifica((voci) => {
+      if (chiaveIdempotenza) {
+        const esistente = voci.find((voce) => voce.chiaveIdempotenza === chiaveIdempotenza);
+        if (esistente) return { ...esistente, duplicata: true };
+      }
+      const voce = {
+        id: crypto.randomUUID(),
+        chiaveIdempotenza: chiaveIdempotenza || null,
+        email,
+        stato: STATI.IN_CODA,
+        tentativi: 0,
+        prossimoTentativo: adesso(),
+        creata: adesso(),
+        inviata: null,
+        messageId: null,
+        errori: [],
+      };
+      voci.push(voce);
+      return { ...voce };
+    });
+  }
+
+  /**
+   * Riserva una voce pronta a questo processo, prima di inviarla
+   *
+   * Il prossimo tentativo viene spostato alla fine della prenotazione:
+   * gli altri processi (e le prossime elaborazioni) non la vedono più come pronta.
+   *
+   * @param {string} id - Id della voce
+   * @returns {Promise<Object|null>} La voce prenotata, oppure null se non è più da inviare
+   */
+  function prenota(id) {
+    return modifica((voci) => {
+      const voce = voci.find((v) => v.id === id);
+      if (!voce || voce.stato !== STATI.IN_CODA || voce.prossimoTentativo > adesso()) return null;
+      voce.tentativi += 1;
+      voce.prossimoTentativo = adesso() + prenotazione;
+      return { ...voce };
+    });
+  }
+
+  /**
+   * Prova a inviare una voce e ne salva l'esito
+   *
+   * @param {Object} prenotata - Voce restituita da prenota()
+   * @returns {Promise<string>} Il nuovo stato della voce
+   */
+  async function tenta(prenotata) {
+    let info = null;
+    let errore = null;
+    try {
+      info = await invia(prenotata.email);
+    } catch (error) {
+      errore = error;
+    }
+    return modifica((voci) => {
+      const voce = voci.find((v) => v.id === prenotata.id);
+      if (!voce) return prenotata.stato;
+      if (!errore) {
+        voce.stato = STATI.INVIATA;
+        voce.inviata = adesso();
+        voce.messageId = info.messageId;
+      } else {
+        // anche il file della coda non deve contenere segreti (es. la risposta a un AUTH fallito)
+        voce.errori.push({ ora: adesso(), messaggio: log.oscura(errore.message), codice: errore.responseCode || errore.code || null });
+        if (erroreDefinitivo(errore) || voce.tentativi >= maxTentativi) {
+          voce.stato = STATI.SCARTATA;
+          log.error("email-scartata", { id: voce.id, tentativi: voce.tentativi, error: errore });
+        } else {
+          voce.prossimoTentativo = adesso() + ritardo(voce.tentativi);
+        }
+      }
+      return voce.stato;
+    });
+  }
+
+  /**
+   * Invia, una alla volta, le email in coda il cui momento è arrivato
+   *
+   * Se un'elaborazione è già in corso restituisce quella, così la stessa
+   * email non viene mai inviata due volte in parallelo.
+   *
+   * @returns {Promise<{inviate: number, fallite: number}>} Quante email sono state inviate e quante no
+   */
+  function elabora() {
+    if (!inElaborazione) {
+      inElaborazione = inviaPronte().finally(() => {
+        inElaborazione = null;
+      });
+    }
+    return inElaborazione;
+  }
+
+  /**
+   * @param {string[]} [ids] - Le voci da inviare; senza, tutte quelle pronte
+   * @returns {Promise<{inviate: number, fallite: number}>}
+   */
+  async function inviaPronte(ids) {
+    const risultato = { inviate: 0, fallite: 0 };
+    const pronte = ids || archivio
+      .carica()
+      .filter((voce) => voce.stato === STATI.IN_CODA && voce.prossimoTentativo <= adesso())
+      .map((voce) => voce.id);
+    for (const id of pronte) {
+      // un altro processo potrebbe averla già presa o inviata
+      const voce = await prenota(id);
+      if (!voce) continue;
+      // l'esito viene salvato dopo ogni email: se il processo si ferma, quelle inviate restano inviate
+      if ((await tenta(voce)) === STATI.INVIATA) risultato.inviate += 1;
+      else risultato.fallite += 1;
+    }
+    return risultato;
+  }
+
+  /**
+   * Invia subito solo le voci indicate, se sono pronte (es. quella appena accodata
+   * dalla riga di comando): le altre restano a elabora() e al worker
+   *
+   * @param {string[]} ids - Id delle voci
+   * @returns {Promise<{inviate: number, fallite: number}>} Quante email sono state inviate e quante no
+   */
+  function inviaVoci(ids) {
+    return inviaPronte(ids);
+  }
+
+  /**
+   * Avvia l'elaborazione periodica della coda
+   *
+   * @param {number} [intervallo=1000] - Ogni quanti millisecondi controllare la coda
+   */
+  function avvia(intervallo = 1000) {
+    if (timer) return;
+    timer = setInterval(() => {
+      elabora().catch((error) => log.error("errore-coda", { error }));
+    }, intervallo);
+  }
+
+  /**
+   * Ferma l'elaborazione periodica e aspetta quella in corso
+   *
+   * @returns {Promise<void>}
+   */
+  async function ferma() {
+    clearInterval(timer);
+    timer = null;
+    if (inElaborazione) await inElaborazione;
+  }
+
+  /**
+   * Rimette in coda un'email scartata, con i tentativi azzerati
+   *
+   * @param {string} id - Id della voce
+   * @returns {Promise<Object>} La voce aggiornata
+   * @throws {CodaError} Se la voce non esiste o non è tra le scartate
+   */
+  function riprova(id) {
+    return modifica((voci) => {
+      const voce = voci.find((v) => v.id === id);
+      if (!voce) {
+        throw new CodaError("voce-sconosciuta", `Unknown queue entry: ${id}`);
+      }
+      if (voce.stato !== STATI.SCARTATA) {
+        throw new CodaError("voce-non-scartata", `Queue entry ${id} is not in the dead-letter list`);
+      }
+      voce.stato = STATI.IN_CODA;
+      voce.tentativi = 0;
+      voce.prossimoTentativo = adesso();
+      return { ...voce };
+    });
+  }
+
+  /**
+   * @param {string} id - Id della voce
+   * @returns {Object|null} La voce, oppure null se non esiste
+   */
+  function trova(id) {
+    const voce = archivio.carica().find((v) => v.id === id);
+    return voce ? { ...voce } : null;
+  }
+
+  /**
+   * @returns {Object[]} Le email scartate (dead letter)
+   */
+  function scartate() {
+    return archivio.carica().filter((voce) => voce.stato === STATI.SCARTATA).map((voce) => ({ ...voce }));
+  }
+
+  /**
+   * @returns {{inCoda: number, inviate: number, scartate: number}} Quante voci ci sono per stato
+   */
+  function conta() {
+    const voci = archivio.carica();
+    return {
+      inCoda: voci.filter((voce) => voce.stato === STATI.IN_CODA).length,
+      inviate: voci.filter((voce) => voce.stato === STATI.INVIATA).length,
+      scartate: voci.filter((voce) => voce.stato === STATI.SCARTATA).length,
+    };
+  }
+
+  return { accoda, elabora, inviaVoci, avvia, ferma, riprova, trova, scartate, conta };
+}
+
+module.exports = { createCoda, CodaError, STATI };
@@ -0,0 +1,154 @@
+// test della coda delle email: tentativi, idempotenza e lock del file (node --test)
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { createCoda, CodaError, STATI } = require("./coda");
+const { createLog } = require("./log");
+
+const log = createLog({ livello: "silent" });
+
+/**
+ * Coda con un orologio finto e un invio che fallisce finché `guasto` non è null
+ */
+function codaDiProva(opzioni = {}) {
+  const stato = { ora: 1000000, inviate: [], guasto: null };
+  const coda = createCoda({
+    invia: async (email) => {
+      if (stato.guasto) throw stato.guasto;
+      stato.inviate.push(email);
+      return { messageId: `<${stato.inviate.length}@test>` };
+    },
+    adesso: () => stato.ora,
+    log,
+    ...opzioni,
+  });
+  return { coda, stato };
+}
+
+function erroreTemporaneo() {
+  return Object.assign(new Error("Connection timeout"), { code: "ETIMEDOUT" });
+}
+
+function cartellaTemporanea(t) {
+  const cartella = fs.mkdtempSync(path.join(os.tmpdir(), "coda-"));
+  t.after(() => fs.rmSync(cartella, { recursive: true, force: true }));
+  return cartella;
+}
+
+test("invia le email in coda e ne salva il messageId", async () => {
+  const { coda, stato } = codaDiProva();
+  const voce = await coda.accoda({ to: "a@example.com", subject: "Ciao" });
+  assert.strictEqual(voce.stato, STATI.IN_CODA);
+  assert.deepStrictEqual(await coda.elabora(), { inviate: 1, fallite: 0 });
+  assert.strictEqual(coda.trova(voce.id).stato, STATI.INVIATA);
+  assert.strictEqual(coda.trova(voce.id).messageId, "<1@test>");
+  assert.strictEqual(stato.inviate.length, 1);
+});
+
+test("la stessa chiave di idempotenza non accoda due volte la stessa email", async () => {
+  const { coda, stato } = codaDiProva();
+  const prima = await coda.accoda({ to: "a@example.com" }, { chiaveIdempotenza: "ordine-42" });
+  const seconda = await coda.accoda({ to: "a@example.com" }, { chiaveIdempotenza: "ordine-42" });
+  assert.strictEqual(seconda.id, prima.id);
+  assert.strictEqual(seconda.duplicata, true);
+  await coda.elabora();
+  // anche dopo l'invio la chiave resta: l'email non riparte
+  assert.strictEqual((await coda.accoda({ to: "a@example.com" }, { chiaveIdempotenza: "ordine-42" })).stato, STATI.INVIATA);
+  await coda.elabora();
+  assert.strictEqual(stato.inviate.length, 1);
+  assert.deepStrictEqual(coda.conta(), { inCoda: 0, inviate: 1, scartate: 0 });
+});
+
+test("dopo un errore temporaneo riprova aspettando ogni volta il doppio", async () => {
+  const { coda, stato } = codaDiProva({ ritardoBase: 1000, maxTentativi: 3 });
+  const voce = await coda.accoda({ to: "a@example.com" });
+  stato.guasto = erroreTemporaneo();
+
+  assert.deepStrictEqual(await coda.elabora(), { inviate: 0, fallite: 1 });
+  const primo = coda.trova(voce.id).prossimoTentativo - stato.ora;
+  // 1000 ms, più o meno il 20%
+  assert.ok(primo >= 800 && primo <= 1200, `attesa ${primo}`);
+
+  // prima del momento giusto non riprova
+  assert.deepStrictEqual(await coda.elabora(), { inviate: 0, fallite: 0 });
+
+  stato.ora += primo;
+  await coda.elabora();
+  const secondo = coda.trova(voce.id).prossimoTentativo - stato.ora;
+  assert.ok(secondo >= 1600 && secondo <= 2400, `attesa ${secondo}`);
+
+  stato.ora += secondo;
+  await coda.elabora();
+  const scartata = coda.trova(voce.id);
+  assert.strictEqual(scartata.stato, STATI.SCARTATA);
+  assert.strictEqual(scartata.tentativi, 3);
+  assert.strictEqual(scartata.errori.length, 3);
+  assert.strictEqual(scartata.errori[0].codice, "ETIMEDOUT");
+});
+
+test("un errore SMTP 5xx scarta subito l'email, riprova() la rimette in coda", async () => {
+  const { coda, stato } = codaDiProva();
+  const voce = await coda.accoda({ to: "nessuno@example.com" });
+  stato.guasto = Object.assign(new Error("550 Mailbox unavailable"), { responseCode: 550 });
+  await coda.elabora();
+  assert.deepStrictEqual(coda.scartate().map((v) => v.id), [voce.id]);
+
+  stato.guasto = null;
+  const rimessa = await coda.riprova(voce.id);
+  assert.strictEqual(rimessa.stato, STATI.IN_CODA);
+  assert.strictEqual(rimessa.tentativi, 0);
+  await coda.elabora();
+  assert.strictEqual(coda.trova(voce.id).stato, STATI.INVIATA);
+});
+
+test("riprova() accetta solo le email scartate", async () => {
+  const { coda } = codaDiProva();
+  const voce = await coda.accoda({ to: "a@example.com" });
+  await assert.rejects(coda.riprova(voce.id), (error) => error instanceof CodaError && error.code === "voce-non-scartata");
+  await assert.rejects(coda.riprova("non-esiste"), (error) => error.code === "voce-sconosciuta");
+});
+
+test("inviaVoci invia solo le voci indicate", async () => {
+  const { coda, stato } = codaDiProva();
+  const altra = await coda.accoda({ to: "altra@example.com" });
+  const voce = await coda.accoda({ to: "questa@example.com" });
+  assert.deepStrictEqual(await coda.inviaVoci([voce.id]), { inviate: 1, fallite: 0 });
+  assert.deepStrictEqual(stato.inviate.map((email) => email.to), ["questa@example.com"]);
+  assert.strictEqual(coda.trova(altra.id).stato, STATI.IN_CODA);
+});
+
+test("due code sullo stesso file non perdono le modifiche dell'altra e non inviano due volte", async (t) => {
+  const file = path.join(cartellaTemporanea(t), "coda.json");
+  const inviate = [];
+  const invia = async (email) => {
+    inviate.push(email.to);
+    return { messageId: `<${inviate.length}@test>` };
+  };
+  const prima = createCoda({ invia, file, log });
+  const seconda = createCoda({ invia, file, log });
+
+  await Promise.all(Array.from({ length: 10 }, (_, i) => (i % 2 ? prima : seconda).accoda({ to: `${i}@example.com` })));
+  assert.strictEqual(prima.conta().inCoda, 10);
+
+  await Promise.all([prima.elabora(), seconda.elabora()]);
+  assert.strictEqual(inviate.length, 10);
+  assert.strictEqual(new Set(inviate).size, 10);
+  assert.deepStrictEqual(seconda.conta(), { inCoda: 0, inviate: 10, scartate: 0 });
+});
+
+test("il lock lasciato da un processo fermato viene tolto", async (t) => {
+  const file = path.join(cartellaTemporanea(t), "coda.json");
+  // un processo che non esiste più, con il lock vecchio di un minuto
+  const { pid } = spawnSync(process.execPath, ["-e", ""]);
+  fs.writeFileSync(`${file}.lock`, String(pid));
+  const unMinutoFa = new Date(Date.now() - 60 * 1000);
+  fs.utimesSync(`${file}.lock`, unMinutoFa, unMinutoFa);
+
+  const { coda } = codaDiProva({ file });
+  const voce = await coda.accoda({ to: "a@example.com" });
+  assert.strictEqual(coda.trova(voce.id).stato, STATI.IN_CODA);
+  assert.strictEqual(fs.existsSync(`${file}.lock`), false);
+});
@@ -0,0 +1,171 @@
+/**
+ * Configurazione dell'invio email, letta dalle variabili d'ambiente (o dal file .env)
+ *
+ * La configurazione viene controllata tutta all'avvio: una porta non valida o
+ * una password mancante è un errore subito, non al primo invio. L'errore elenca
+ * tutti i problemi insieme, così si sistemano in una volta sola.
+ *
+ * Trasporti disponibili (EMAIL_TRANSPORT):
+ * - "smtp": un server SMTP (EMAIL_HOST, EMAIL_PORT, EMAIL_USER, EMAIL_PASS)
+ * - "sendmail": il programma sendmail del sistema (EMAIL_SENDMAIL_PATH)
+ * - "file": salva ogni email come file .eml in una cartella (EMAIL_OUTBOX_DIR), per lo sviluppo
+ * - "json": non invia niente e restituisce l'email come JSON, per lo sviluppo e i test
+ * - "stream": non invia niente e restituisce l'email completa, per i test
+ *
+ * Se EMAIL_TRANSPORT non è indicato si usa "smtp" quando c'è EMAIL_HOST.
+ * Senza EMAIL_HOST si usa "json" solo durante lo sviluppo: è un errore se sono indicate
+ * le credenziali SMTP (EMAIL_USER, EMAIL_PASS) o se NODE_ENV è "production",
+ * perché le email sembrerebbero inviate senza partire davvero.
+ */
+const path = require("path");
+
+/**
+ * Trasporti supportati
+ * @type {string[]}
+ */
+const TRASPORTI = ["smtp", "sendmail", "file", "json", "stream"];
+
+/**
+ * Livelli dei log, dal più dettagliato (vedi log.js)
+ * @type {string[]}
+ */
+const LIVELLI_LOG = ["debug", "info", "warn", "error", "silent"];
+
+/**
+ * Errore di una configurazione non valida
+ */
+class ConfigError extends Error {
+  /**
+   * @param {string[]} problemi - Un messaggio per ogni impostazione sbagliata
+   */
+  constructor(problemi) {
+    super(`Invalid email configuration:\n- ${problemi.join("\n- ")}`);
+    this.name = "ConfigError";
+    this.code = "configurazione-non-valida";
+    this.problemi = problemi;
+  }
+}
+
+/**
+ * Controllo semplice di un indirizzo, anche nella forma "Nome <email@example.com>"
+ *
+ * @param {string} valore
+ * @returns {boolean}
+ */
+function indirizzoValido(valore) {
+  const indirizzo = /<([^>]+)>\s*$/.exec(valore)?.[1] ?? valore;
+  return /^[^\s@<>]+@[^\s@<>]+$/.test(indirizzo.trim());
+}
+
+/**
+ * Legge un valore booleano: true/false, 1/0, yes/no, si/no
+ *
+ * @param {string} valore
+ * @returns {boolean|undefined} undefined se il valore non è riconosciuto
+ */
+function leggiBooleano(valore) {
+  const testo = valore.trim().toLowerCase();
+  if (["true", "1", "yes", "si", "sì"].includes(testo)) return true;
+  if (["false", "0", "no"].includes(testo)) return false;
+  return undefined;
+}
+
+/**
+ * Legge e controlla la configurazione
+ *
+ * @param {Object<string, string>} [env=process.env] - Variabili d'ambiente
+ * @returns {Object} La configurazione:
+ *   { trasporto, from, smtp: { host, port, secure, auth }, sendmail: { path },
+ *     file: { cartella }, livelloLog, avvisi, trasportoPredefinito }
+ *   avvisi contiene le scelte fatte in automatico, da mostrare all'avvio;
+ *   trasportoPredefinito è true se EMAIL_TRANSPORT ed EMAIL_HOST mancano e si usa "json"
+ * @throws {ConfigError} Con l'elenco di tutte le impostazioni non valide
+ *
+ * @example
+ * const config = caricaConfig({ EMAIL_TRANSPORT: "smtp", EMAIL_HOST: "smtp.example.com", EMAIL_USER: "me@example.com", EMAIL_PASS: "..." });
+ */
+function caricaConfig(env = process.env) {
+  const problemi = [];
+  const avvisi = [];
+  const valore = (nome) => (env[nome] === undefined ? "" : String(env[nome]).trim());
+
+  let trasporto = valore("EMAIL_TRANSPORT").toLowerCase();
+  const trasportoPredefinito = !trasporto && !valore("EMAIL_HOST");
+  if (trasportoPredefinito) {
+    trasporto = "json";
+    if (valore("EMAIL_USER") || env.EMAIL_PASS) {
+      problemi.push("EMAIL_HOST is required when EMAIL_USER or EMAIL_PASS are set (or set EMAIL_TRANSPORT)");
+    } else if (valore("NODE_ENV").toLowerCase() === "production") {
+      problemi.push("EMAIL_TRANSPORT (or EMAIL_HOST) is required when NODE_ENV is production");
+    } else {
+      avvisi.push("EMAIL_TRANSPORT and EMAIL_HOST are not set: using the json transport, emails are not delivered");
+    }
+  } else if (!trasporto) {
+    trasporto = "smtp";
+  } else if (!TRASPORTI.includes(trasporto)) {
+    problemi.push(`EMAIL_TRANSPORT must be one of ${TRASPORTI.join(", ")} (got "${trasporto}")`);
+  }
+
+  // Porta 587 è la porta standard per STARTTLS (connessione sicura)
+  // Porta 465 è per SSL/TLS diretto
+  // Porta 25 è non sicura e spesso bloccata dagli ISP
+  let port = 587;
+  if (valore("EMAIL_PORT")) {
+    port = Number(valore("EMAIL_PORT"));
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+      problemi.push(`EMAIL_PORT must be a port number between 1 and 65535 (got "${valore("EMAIL_PORT")}")`);
+    }
+  }
+
+  // false = usa STARTTLS (raccomandato per porta 587)
+  // true = usa SSL/TLS diretto (necessario per porta 465)
+  // Se EMAIL_SECURE non è indicato si sceglie in base alla porta
+  let secure = port === 465;
+  if (valore("EMAIL_SECURE")) {
+    secure = leggiBooleano(valore("EMAIL_SECURE"));
+    if (secure === undefined) problemi.push(`EMAIL_SECURE must be true or false (got "${valore("EMAIL_SECURE")}")`);
+  }
+
+  // Email e password (per Gmail una "App Password" di 16 caratteri, SENZA spazi nel .env)
+  const user = valore("EMAIL_USER");
+  const pass = env.EMAIL_PASS ? String(env.EMAIL_PASS) : "";
+  const host = valore("EMAIL_HOST");
+  if (trasporto === "smtp") {
+    if (!host) problemi.push("EMAIL_HOST is required for the smtp transport (e.g. smtp.gmail.com)");
+    // senza credenziali va bene solo per un server locale o un relay che non le chiede
+    if (Boolean(user) !== Boolean(pass)) problemi.push("EMAIL_USER and EMAIL_PASS must be set together");
+  }
+
+  // il mittente di default è l'utente SMTP, come prima
+  const from = valore("EMAIL_FROM") || user || (trasporto === "smtp" ? "" : "send-email@localhost");
+  if (!from) {
+    problemi.push("EMAIL_FROM (or EMAIL_USER) is required for the smtp transport");
+  } else if (!indirizzoValido(from)) {
+    problemi.push(`EMAIL_FROM is not a valid address (got "${from}")`);
+  }
+
+  const livelloLog = valore("EMAIL_LOG_LEVEL").toLowerCase() || "info";
+  if (!LIVELLI_LOG.includes(livelloLog)) {
+    problemi.push(`EMAIL_LOG_LEVEL must be one of ${LIVELLI_LOG.join(", ")} (got "${livelloLog}")`);
+  }
+
+  if (problemi.length) throw new ConfigError(problemi);
+
+  return {
+    trasporto,
+    from,
+    smtp: {
+      host,
+      port,
+      secure,
+      ...(user && { auth: { user, pass } }),
+    },
+    sendmail: { path: valore("EMAIL_SENDMAIL_PATH") || "sendmail" },
+    file: { cartella: path.resolve(valore("EMAIL_OUTBOX_DIR") || path.join(__dirname, "data", "outbox")) },
+    livelloLog,
+    avvisi,
+    trasportoPredefinito,
+  };
+}
+
+module.exports = { caricaConfig, ConfigError, TRASPORTI, LIVELLI_LOG };
@@ -0,0 +1,54 @@
+// test della configurazione letta dalle variabili d'ambiente (node --test)
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { caricaConfig, ConfigError } = require("./config");
+
+function problemi(env) {
+  try {
+    caricaConfig(env);
+  } catch (error) {
+    assert.ok(error instanceof ConfigError);
+    return error.problemi;
+  }
+  return [];
+}
+
+test("con EMAIL_HOST usa smtp, con STARTTLS sulla 587", () => {
+  const config = caricaConfig({ EMAIL_HOST: "smtp.example.com", EMAIL_USER: "me@example.com", EMAIL_PASS: "segreta" });
+  assert.strictEqual(config.trasporto, "smtp");
+  assert.strictEqual(config.trasportoPredefinito, false);
+  assert.deepStrictEqual(config.smtp, { host: "smtp.example.com", port: 587, secure: false, auth: { user: "me@example.com", pass: "segreta" } });
+  assert.strictEqual(config.from, "me@example.com");
+});
+
+test("le credenziali SMTP senza EMAIL_HOST sono un errore, non il trasporto json", () => {
+  assert.deepStrictEqual(problemi({ EMAIL_USER: "me@example.com", EMAIL_PASS: "segreta" }), [
+    "EMAIL_HOST is required when EMAIL_USER or EMAIL_PASS are set (or set EMAIL_TRANSPORT)",
+  ]);
+});
+
+test("in produzione il trasporto va indicato", () => {
+  assert.deepStrictEqual(problemi({ NODE_ENV: "production" }), ["EMAIL_TRANSPORT (or EMAIL_HOST) is required when NODE_ENV is production"]);
+});
+
+test("durante lo sviluppo senza configurazione usa json, con un avviso", () => {
+  const config = caricaConfig({});
+  assert.strictEqual(config.trasporto, "json");
+  assert.strictEqual(config.trasportoPredefinito, true);
+  assert.strictEqual(config.avvisi.length, 1);
+});
+
+test("json scelto con EMAIL_TRANSPORT non è predefinito", () => {
+  const config = caricaConfig({ EMAIL_TRANSPORT: "json" });
+  assert.strictEqual(config.trasportoPredefinito, false);
+  assert.deepStrictEqual(config.avvisi, []);
+});
+
+test("elenca tutti i problemi insieme", () => {
+  assert.deepStrictEqual(problemi({ EMAIL_TRANSPORT: "smtp", EMAIL_PORT: "abc", EMAIL_SECURE: "forse", EMAIL_USER: "me@example.com" }), [
+    'EMAIL_PORT must be a port number between 1 and 65535 (got "abc")',
+    'EMAIL_SECURE must be true or false (got "forse")',
+    "EMAIL_HOST is required for the smtp transport (e.g. smtp.gmail.com)",
+    "EMAIL_USER and EMAIL_PASS must be set together",
+  ]);
+});
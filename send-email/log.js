@@ -0,0 +1,134 @@
+/**
+ * Log strutturati dell'invio email
+ *
+ * Ogni riga è un oggetto JSON (time, level, event e i dati dell'evento) scritto
+ * su stderr, così si può filtrare con jq o raccogliere con un sistema di log,
+ * e non si mescola con l'output della riga di comando.
+ *
+ * Prima di essere scritto ogni log viene ripulito dai segreti: i campi con un
+ * nome come "pass", "token" o "secret" e ogni valore registrato come segreto
+ * (anche codificato in base64, come nei comandi AUTH di SMTP) diventano [REDACTED].
+ */
+
+/**
+ * Testo che sostituisce i segreti
+ * @type {string}
+ */
+const OSCURATO = "[REDACTED]";
+
+/**
+ * Campi che contengono sempre un segreto
+ * @type {RegExp}
+ */
+const CAMPI_SEGRETI = /pass|secret|token|api.?key|authorization|credential/i;
+
+/**
+ * Livelli in ordine di importanza
+ * @type {Object<string, number>}
+ */
+const LIVELLI = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+/**
+ * Crea un logger
+ *
+ * @param {Object} [opzioni]
+ * @param {string} [opzioni.livello="info"] - Livello minimo da scrivere
+ * @param {function(string): void} [opzioni.scrivi] - Dove scrivere ogni riga (default: stderr)
+ * @param {function(): Date} [opzioni.adesso] - Orologio (per i test)
+ * @returns {Object} Il logger: debug, info, warn, error, oscura, aggiungiSegreto, imposta
+ *
+ * @example
+ * const log = createLog();
+ * log.aggiungiSegreto(process.env.EMAIL_PASS);
+ * log.info("email-inviata", { messageId, accepted, rejected });
+ * // {"time":"2026-10-19T08:00:00.000Z","level":"info","event":"email-inviata","messageId":"<...>",...}
+ */
+function createLog({
+  livello = "info",
+  scrivi = (riga) => process.stderr.write(`${riga}\n`),
+  adesso = () => new Date(),
+} = {}) {
+  const segreti = new Set();
+  let minimo = LIVELLI[livello] ?? LIVELLI.info;
+
+  /**
+   * Registra un valore da non scrivere mai nei log
+   *
+   * @param {string} [segreto] - Es: la password SMTP; i valori vuoti vengono ignorati
+   */
+  function aggiungiSegreto(segreto) {
+    if (!segreto) return;
+    segreti.add(String(segreto));
+    segreti.add(Buffer.from(String(segreto)).toString("base64"));
+  }
+
+  /**
+   * Toglie i segreti da un valore qualsiasi (stringa, errore, oggetto, array)
+   *
+   * @param {*} valore
+   * @returns {*} Una copia del valore senza segreti
+   */
+  function oscura(valore, visti = new WeakSet()) {
+    if (typeof valore === "string") {
+      // prima i segreti più lunghi: la base64 di "utente+password" contiene quella della sola password
+      return [...segreti]
+        .sort((a, b) => b.length - a.length)
+        .reduce((testo, segreto) => testo.split(segreto).join(OSCURATO), valore);
+    }
+    if (valore === null || typeof valore !== "object") return valore;
+    if (Buffer.isBuffer(valore)) return `<${valore.length} bytes>`;
+    // visti contiene solo gli oggetti che sto attraversando: lo stesso oggetto
+    // in due campi diversi va bene, un oggetto che contiene se stesso no
+    if (visti.has(valore)) return "[circular]";
+    visti.add(valore);
+    let copia;
+    if (Array.isArray(valore)) {
+      copia = valore.map((voce) => oscura(voce, visti));
+    } else {
+      // degli errori tengo solo le informazioni utili, senza lo stack
+      const sorgente = valore instanceof Error
+        ? { name: valore.name, message: valore.message, code: valore.code, responseCode: valore.responseCode, command: valore.command, response: valore.response }
+        : valore;
+      copia = {};
+      for (const [chiave, voce] of Object.entries(sorgente)) {
+        if (voce === undefined) continue;
+        copia[chiave] = CAMPI_SEGRETI.test(chiave) ? OSCURATO : oscura(voce, visti);
+      }
+    }
+    visti.delete(valore);
+    return copia;
+  }
+
+  function scriviLog(nomeLivello, evento, dati = {}) {
+    if (LIVELLI[nomeLivello] < minimo) return;
+    const riga = { time: adesso().toISOString(), level: nomeLivello, event: evento, ...oscura(dati) };
+    scrivi(JSON.stringify(riga));
+  }
+
+  /**
+   * Cambia il livello minimo (es. dopo aver letto la configurazione)
+   *
+   * @param {Object} opzioni
+   * @param {string} [opzioni.livello] - Nuovo livello
+   */
+  function imposta({ livello: nuovo }) {
+    if (nuovo) minimo = LIVELLI[nuovo] ?? minimo;
+  }
+
+  return {
+    debug: (evento, dati) => scriviLog("debug", evento, dati),
+    info: (evento, dati) => scriviLog("info", evento, dati),
+    warn: (evento, dati) => scriviLog("warn", evento, dati),
+    error: (evento, dati) => scriviLog("error", evento, dati),
+    oscura: (valore) => oscura(valore),
+    aggiungiSegreto,
+    imposta,
+  };
+}
+
+/**
+ * Logger condiviso dai moduli di send-email
+ */
+const log = createLog();
+
+module.exports = { createLog, log, OSCURATO };
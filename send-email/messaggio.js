@@ -0,0 +1,144 @@
+/**
+ * Preparazione di un'email: dalle opzioni di sendEmail al messaggio di nodemailer
+ *
+ * Controlla i destinatari e gli allegati, applica il template e aggiunge
+ * l'invito di calendario, così gli errori arrivano prima dell'invio
+ * (e prima di mettere l'email in coda).
+ */
+const fs = require("fs");
+const path = require("path");
+const { renderTemplate } = require("./templates");
+const { creaEvento } = require("./calendario");
+
+/**
+ * Errore di un'email non valida, con un codice leggibile da un programma
+ */
+class EmailError extends Error {
+  /**
+   * @param {string} code - Codice dell'errore (es: "destinatario-mancante")
+   * @param {string} message - Descrizione dell'errore
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = "EmailError";
+    this.code = code;
+  }
+}
+
+/**
+ * Indirizzi come array: accetta una stringa, una stringa con più indirizzi
+ * separati da virgola o un array
+ *
+ * @param {string|string[]} [valore]
+ * @returns {string[]}
+ */
+function indirizzi(valore) {
+  if (!valore) return [];
+  const elenco = Array.isArray(valore) ? valore : String(valore).split(",");
+  return elenco.map((indirizzo) => String(indirizzo).trim()).filter(Boolean);
+}
+
+/**
+ * Controlla e completa un allegato
+ *
+ * Un allegato può essere:
+ * - il percorso di un file: "fattura.pdf"
+ * - un file: { path: "fattura.pdf", filename: "Fattura ottobre.pdf" }
+ * - un contenuto in memoria: { filename: "dati.csv", content: Buffer | string }
+ * - un'immagine da mostrare nell'HTML: { path: "logo.png", cid: "logo" },
+ *   da usare nell'HTML con <img src="cid:logo">
+ *
+ * @param {string|Object} allegato
+ * @returns {Object} Allegato per nodemailer
+ * @throws {EmailError} Se il file non esiste o manca il contenuto
+ */
+function preparaAllegato(allegato) {
+  const voce = typeof allegato === "string" ? { path: allegato } : { ...allegato };
+  if (voce.path) {
+    if (!fs.existsSync(voce.path)) {
+      throw new EmailError("allegato-non-trovato", `Attachment not found: ${voce.path}`);
+    }
+    voce.filename = voce.filename || path.basename(voce.path);
+  } else if (voce.content === undefined) {
+    throw new EmailError("allegato-non-valido", "An attachment needs a path or a content");
+  } else if (!voce.filename && !voce.cid) {
+    throw new EmailError("allegato-non-valido", "An attachment with a content needs a filename");
+  }
+  return voce;
+}
+
+/**
+ * Prepara il messaggio per nodemailer
+ *
+ * @param {Object} opzioni - Opzioni di sendEmail (vedi send-email.js)
+ * @param {string} from - Mittente di default
+ * @returns {Object} Messaggio per transporter.sendMail
+ * @throws {EmailError|TemplateError|EventoError} Se l'email non è valida
+ */
+function preparaEmail(opzioni, from) {
+  const to = indirizzi(opzioni.to);
+  const cc = indirizzi(opzioni.cc);
+  const bcc = indirizzi(opzioni.bcc);
+  if (to.length + cc.length + bcc.length === 0) {
+    throw new EmailError("destinatario-mancante", "At least one recipient (to, cc or bcc) is required");
+  }
+
+  let { subject, text, html } = opzioni;
+  if (opzioni.template) {
+    const email = renderTemplate(opzioni.template, { lingua: opzioni.lingua, variabili: opzioni.variabili });
+    // l'oggetto passato nelle opzioni vince su quello del template
+    subject = subject || email.subject;
+    text = email.text;
+    html = email.html;
+  }
+  if (!subject) {
+    throw new EmailError("oggetto-mancante", "subject is required");
+  }
+  if (!text && !html) {
+    throw new EmailError("contenuto-mancante", "text, html or template is required");
+  }
+
+  const messaggio = {
+    from: opzioni.from || from,
+    to,
+    subject,
+    // il testo semplice non si usa più come HTML: si perderebbero gli a capo
+    ...(text && { text }),
+    ...(html && { html }),
+    ...(cc.length && { cc }),
+    ...(bcc.length && { bcc }),
+    ...(opzioni.replyTo && { replyTo: opzioni.replyTo }),
+    ...(opzioni.attachments && { attachments: opzioni.attachments.map(preparaAllegato) }),
+  };
+
+  if (opzioni.evento) {
+    // l'organizzatore è il mittente e i partecipanti sono i destinatari, se non indicati
+    const { content, method } = creaEvento({
+      organizzatore: messaggio.from,
+      partecipanti: to,
+      ...opzioni.evento,
+    });
+    messaggio.icalEvent = { method, filename: "invito.ics", content };
+  }
+
+  return messaggio;
+}
+
+/**
+ * Rende un messaggio salvabile in JSON (per la coda): i Buffer degli allegati
+ * diventano stringhe base64, che nodemailer sa leggere
+ *
+ * @param {Object} messaggio - Messaggio per nodemailer
+ * @returns {Object}
+ */
+function serializzabile(messaggio) {
+  if (!messaggio.attachments) return messaggio;
+  return {
+    ...messaggio,
+    attachments: messaggio.attachments.map((allegato) => (Buffer.isBuffer(allegato.content)
+      ? { ...allegato, content: allegato.content.toString("base64"), encoding: "base64" }
+      : allegato)),
+  };
+}
+
+module.exports = { preparaEmail, serializzabile, indirizzi, EmailError };
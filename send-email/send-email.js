@@ -2,141 +2,514 @@
  * Modulo per l'invio di email tramite Node.js
  * Utilizza il pacchetto nodemailer, la libreria standard e minimale per l'invio di email
  */
-const nodemailer = require("nodemailer");
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const { TEMPLATES } = require("./templates");
+const { createCoda, STATI } = require("./coda");
+const { preparaEmail, serializzabile } = require("./messaggio");
+const { leggiCsv, reportCsv, inviaTutte } = require("./bulk");
+const { caricaConfig, ConfigError } = require("./config");
+const { createTransporter, verificaTrasporto } = require("./trasporti");
+const { log } = require("./log");
 
 // Carica variabili d'ambiente da file .env se dotenv è installato (opzionale)
 // Se dotenv non è installato, usa solo le variabili d'ambiente del sistema
 try {
-  require("dotenv").config();
+  require("dotenv").config({ quiet: true });
 } catch (e) {
   // dotenv non installato, usa solo variabili d'ambiente del sistema
-  console.log("dotenv non installato");
+  log.debug("dotenv-non-installato");
 }
 
 /**
- * Configurazione del server SMTP per l'invio delle email
+ * Configurazione dell'invio, letta e controllata all'avvio (vedi config.js)
  *
- * Questa configurazione definisce i parametri di connessione al server email.
+ * Il trasporto si sceglie con EMAIL_TRANSPORT (smtp, sendmail, file, json, stream).
  * Per Gmail, è necessario utilizzare una "App Password" invece della password normale.
- * Per altri provider (Outlook, Yahoo, ecc.), modificare host e port di conseguenza.
+ * Se la configurazione non è valida il modulo non si carica: meglio un errore
+ * all'avvio che uno al primo invio.
  *
  * @type {Object}
- * @property {string} host - Indirizzo del server SMTP (es: smtp.gmail.com, smtp.outlook.com)
- * @property {number} port - Porta del server SMTP (587 per TLS, 465 per SSL, 25 per non sicuro)
- * @property {boolean} secure - Se true, usa SSL/TLS sulla porta 465. Se false, usa STARTTLS sulla porta 587
- * @property {Object} auth - Credenziali di autenticazione
- * @property {string} auth.user - Email del mittente (preferibilmente da variabile d'ambiente)
- * @property {string} auth.pass - Password o App Password (preferibilmente da variabile d'ambiente)
- */
-const config = {
-  // Server SMTP di Gmail. Per altri provider, modificare questo valore
-  // Esempi: smtp.outlook.com, smtp.yahoo.com, smtp.mailtrap.io (per testing)
-  host: "smtp.ionos.it",
-
-  // Porta 587 è la porta standard per STARTTLS (connessione sicura)
-  // Porta 465 è per SSL/TLS diretto (impostare secure: true)
-  // Porta 25 è non sicura e spesso bloccata dagli ISP
-  port: 587,
-
-  // false = usa STARTTLS (raccomandato per porta 587)
-  // true = usa SSL/TLS diretto (necessario per porta 465)
-  secure: false,
-
-  // Credenziali di autenticazione
-  auth: {
-    // Email del mittente. Cerca prima nella variabile d'ambiente EMAIL_USER,
-    // altrimenti usa il valore di default (da modificare)
-    user: process.env.EMAIL_USER || "your-email@gmail.com",
-
-    // Password o App Password. Cerca prima nella variabile d'ambiente EMAIL_PASS,
-    // altrimenti usa il valore di default (da modificare)
-    //
-    // La App Password è diversa dalla password normale e ha questo formato:
-    // xxxx xxxx xxxx xxxx (16 caratteri, ma inseriscila SENZA spazi nel .env)
-    pass: process.env.EMAIL_PASS || "your-app-password",
-  },
-};
-
-/**
- * Trasportatore nodemailer configurato con le impostazioni sopra
+ */
+let config;
+try {
+  config = caricaConfig();
+} catch (error) {
+  // dalla riga di comando basta l'elenco dei problemi, senza lo stack
+  if (require.main === module && error instanceof ConfigError) {
+    console.error(error.message);
+    process.exit(1);
+  }
+  throw error;
+}
+log.imposta({ livello: config.livelloLog });
+if (config.smtp.auth) {
+  // la password non deve mai finire nei log, nemmeno come AUTH PLAIN in base64
+  log.aggiungiSegreto(config.smtp.auth.pass);
+  log.aggiungiSegreto(`\u0000${config.smtp.auth.user}\u0000${config.smtp.auth.pass}`);
+}
+for (const avviso of config.avvisi) log.warn("configurazione", { messaggio: avviso });
+
+/**
+ * Trasportatore nodemailer per il trasporto configurato
  *
  * Il transporter è l'oggetto che gestisce la connessione al server SMTP
- * e viene utilizzato per inviare le email. Viene creato una sola volta
- * all'avvio del modulo e riutilizzato per tutte le email successive.
+ * (o il programma sendmail, o la cartella delle email) e viene utilizzato
+ * per inviare le email. Viene creato una sola volta all'avvio del modulo
+ * e riutilizzato per tutte le email successive.
  */
-const transporter = nodemailer.createTransport(config);
+const transporter = createTransporter(config);
+
+/**
+ * Consegna un messaggio già preparato e scrive il log dell'invio
+ *
+ * Ogni invio produce una riga di log con messageId, destinatari accettati
+ * e rifiutati; se il server ne rifiuta solo alcuni il log è un warn.
+ *
+ * @param {Object} messaggio - Messaggio per transporter.sendMail
+ * @returns {Promise<Object>} Le informazioni dell'email inviata
+ * @throws {Error} Se l'invio fallisce
+ */
+async function consegna(messaggio) {
+  try {
+    const info = await transporter.sendMail(messaggio);
+    // json e stream non contattano nessuno: i destinatari sono quelli della busta
+    const accepted = info.accepted || (info.envelope && info.envelope.to) || [];
+    const rejected = info.rejected || [];
+    log[rejected.length ? "warn" : "info"]("email-inviata", {
+      transport: config.trasporto,
+      messageId: info.messageId,
+      subject: messaggio.subject,
+      accepted,
+      rejected,
+      response: info.response,
+    });
+    return info;
+  } catch (error) {
+    log.error("invio-fallito", {
+      transport: config.trasporto,
+      subject: messaggio.subject,
+      to: messaggio.to,
+      rejected: error.rejected,
+      error,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Coda persistente delle email in uscita (vedi coda.js)
+ *
+ * Le email accodate vengono inviate con il transporter, con il mittente
+ * della configurazione. Il file si può cambiare con EMAIL_QUEUE_FILE.
+ */
+const coda = createCoda({
+  invia: (email) => consegna({ from: config.from, ...email }),
+  file: process.env.EMAIL_QUEUE_FILE || path.join(__dirname, "data", "coda.json"),
+});
 
 /**
  * Funzione asincrona per inviare un'email
  *
  * Questa funzione gestisce l'invio di un'email utilizzando il transporter configurato.
- * Supporta sia testo semplice che HTML. Se viene fornito solo il testo, viene usato
- * anche come HTML di fallback.
+ * Accetta un oggetto con le opzioni: destinatari (anche in copia e copia nascosta),
+ * testo e/o HTML oppure un template, allegati e un invito di calendario.
+ * L'email viene controllata prima dell'invio (vedi messaggio.js): un allegato
+ * mancante o un template senza variabili è un errore, non un'email sbagliata.
  *
- * @param {string} to - Indirizzo email del destinatario (può essere una stringa o array per multipli destinatari)
- * @param {string} subject - Oggetto dell'email
- * @param {string} text - Contenuto testuale dell'email (versione plain text)
- * @param {string} [html] - Contenuto HTML dell'email (opzionale, se non fornito usa text)
+ * Per compatibilità accetta ancora la vecchia forma sendEmail(to, subject, text, html).
+ * Il testo non viene più usato come HTML di fallback: senza html l'email è solo testo.
+ *
+ * @param {Object} opzioni - Opzioni dell'email
+ * @param {string|string[]} opzioni.to - Destinatario/i: una stringa, un array
+ *   o una stringa con più indirizzi separati da virgola
+ * @param {string|string[]} [opzioni.cc] - Destinatari in copia
+ * @param {string|string[]} [opzioni.bcc] - Destinatari in copia nascosta
+ * @param {string} [opzioni.replyTo] - Indirizzo a cui rispondere, se diverso dal mittente
+ * @param {string} [opzioni.subject] - Oggetto (obbligatorio senza template)
+ * @param {string} [opzioni.text] - Versione plain text del messaggio
+ * @param {string} [opzioni.html] - Versione HTML del messaggio
+ * @param {string} [opzioni.template] - Nome del template (vedi templates.js), al posto di text e html
+ * @param {string} [opzioni.lingua] - Lingua del template ("it" o "en")
+ * @param {Object} [opzioni.variabili] - Valori delle variabili del template
+ * @param {Array<string|Object>} [opzioni.attachments] - Allegati: percorsi di file,
+ *   { filename, content } con un Buffer o una stringa, oppure { path, cid } per le
+ *   immagini da mostrare nell'HTML con <img src="cid:...">
+ * @param {Object} [opzioni.evento] - Invito di calendario (vedi creaEvento in calendario.js);
+ *   organizzatore e partecipanti, se non indicati, sono il mittente e i destinatari
  * @returns {Promise<Object>} Promise che risolve con le informazioni dell'email inviata
+ * @throws {EmailError|TemplateError|EventoError} Se l'email non è valida
  * @throws {Error} Lancia un errore se l'invio fallisce
  *
  * @example
  * // Invio semplice con solo testo
- * await sendEmail("dest@example.com", "Ciao", "Questo è un messaggio");
+ * await sendEmail({ to: "dest@example.com", subject: "Ciao", text: "Questo è un messaggio" });
+ *
+ * @example
+ * // HTML con un logo, un allegato e una copia
+ * await sendEmail({
+ *   to: "dest@example.com",
+ *   cc: ["ufficio@example.com"],
+ *   subject: "Fattura",
+ *   html: '<img src="cid:logo"><p>In allegato la fattura.</p>',
+ *   attachments: ["fattura.pdf", { path: "logo.png", cid: "logo" }],
+ * });
+ *
+ * @example
+ * // Conferma di un appuntamento con l'invito di calendario
+ * await sendEmail({
+ *   to: "mario@example.com",
+ *   template: "appuntamento",
+ *   variabili: { nome: "Mario", data: "2 novembre", ora: "9:30", luogo: "Sportello 1" },
+ *   evento: { inizio: "2026-11-02T09:30:00+01:00", durata: 20, titolo: "Appuntamento", luogo: "Sportello 1" },
+ * });
  *
  * @example
- * // Invio con HTML
+ * // Forma vecchia, ancora supportata
  * await sendEmail("dest@example.com", "Ciao", "Testo", "<h1>HTML</h1>");
  */
-async function sendEmail(to, subject, text, html) {
-  console.log(process.env.EMAIL_USER);
-  console.log(process.env.EMAIL_PASS);
-  try {
-    // Invia l'email utilizzando il transporter configurato
-    // sendMail è una funzione asincrona che restituisce una Promise
-    const info = await transporter.sendMail({
-      // Indirizzo email del mittente (preso dalla configurazione)
-      from: config.auth.user,
-
-      // Destinatario/i dell'email
-      // Può essere una stringa singola: "user@example.com"
-      // Oppure un array: ["user1@example.com", "user2@example.com"]
-      // Oppure una stringa con più destinatari: "user1@example.com, user2@example.com"
-      to: to,
-
-      // Oggetto dell'email
-      subject: subject,
-
-      // Versione plain text del messaggio
-      // Alcuni client email mostrano questa versione se non supportano HTML
-      text: text,
-
-      // Versione HTML del messaggio
-      // Se non fornita, viene usato il testo come fallback
-      // Permette di formattare l'email con HTML, CSS, ecc.
-      html: html || text,
+async function sendEmail(opzioni, ...altri) {
+  // Forma vecchia: sendEmail(to, subject, text, html)
+  if (typeof opzioni === "string" || Array.isArray(opzioni)) {
+    const [subject, text, html] = altri;
+    opzioni = { to: opzioni, subject, text, html };
+  }
+
+  // Gli errori di validazione escono subito, prima di contattare il server
+  const messaggio = preparaEmail(opzioni, config.from);
+
+  // Invia l'email con il transporter configurato e scrive il log dell'invio
+  // (messageId, destinatari accettati e rifiutati, oppure l'errore senza segreti).
+  // Gli errori comuni includono:
+  // - Credenziali errate (autenticazione fallita)
+  // - Server SMTP non raggiungibile
+  // - Destinatario non valido
+  // - Problemi di rete
+  // L'errore viene rilanciato per permettere al chiamante di gestirlo
+  return consegna(messaggio);
+}
+
+/**
+ * Mette in coda un'email
+ *
+ * L'email viene inviata da coda.elabora() (o dall'elaborazione periodica avviata
+ * con coda.avvia(), ad esempio da node send-email.js --worker), con i tentativi
+ * ripetuti se il server non risponde.
+ * Accetta le stesse opzioni di sendEmail e viene controllata subito.
+ * Gli allegati in memoria vengono salvati nella coda; quelli indicati con un
+ * percorso vengono letti al momento dell'invio, quindi il file deve restare lì.
+ *
+ * @param {Object} email - Opzioni dell'email, come per sendEmail
+ * @param {Object} [opzioni]
+ * @param {string} [opzioni.chiaveIdempotenza] - Chiave per non accodare due volte la stessa email
+ * @returns {Promise<Object>} La voce della coda, con id e stato
+ * @throws {EmailError|TemplateError|EventoError} Se l'email non è valida
+ *
+ * @example
+ * await queueEmail({ to: "dest@example.com", subject: "Ciao", text: "Messaggio" }, { chiaveIdempotenza: "ordine-42" });
+ */
+function queueEmail(email, opzioni) {
+  return coda.accoda(serializzabile(preparaEmail(email, config.from)), opzioni);
+}
+
+/**
+ * Prepara un'email da un template e la mette in coda
+ *
+ * @param {string} nome - Nome del template (vedi templates.js)
+ * @param {string|string[]} to - Destinatario/i
+ * @param {Object} [opzioni]
+ * @param {string} [opzioni.lingua="it"] - Lingua del template ("it" o "en")
+ * @param {Object} [opzioni.variabili] - Valori delle variabili del template
+ * @param {string} [opzioni.chiaveIdempotenza] - Chiave per non accodare due volte la stessa email
+ * @returns {Promise<Object>} La voce della coda, con id e stato
+ * @throws {TemplateError} Se il template non esiste o manca una variabile
+ *
+ * @example
+ * await sendTemplate("benvenuto", "mario@example.com", {
+ *   lingua: "en",
+ *   variabili: { nome: "Mario", email: "mario@example.com", link: "https://example.com/login" },
+ *   chiaveIdempotenza: "benvenuto-mario@example.com",
+ * });
+ * await coda.elabora();
+ */
+function sendTemplate(nome, to, { lingua, variabili, chiaveIdempotenza } = {}) {
+  return queueEmail({ template: nome, to, lingua, variabili }, { chiaveIdempotenza });
+}
+
+/**
+ * Invia la stessa email a tanti destinatari (vedi bulk.js)
+ *
+ * Ogni destinatario ha le sue variabili (ad esempio le colonne di un CSV letto
+ * con leggiCsv). Un errore su un destinatario non ferma gli altri.
+ *
+ * @param {Object<string, string>[]} destinatari - Una riga per destinatario: email (o to),
+ *   lingua facoltativa e le variabili
+ * @param {Object} email - Opzioni comuni a tutte le email, come per sendEmail (senza to)
+ * @param {Object} [opzioni]
+ * @param {number} [opzioni.concorrenza=5] - Invii contemporanei al massimo
+ * @param {number} [opzioni.perSecondo=10] - Invii al secondo al massimo
+ * @param {boolean} [opzioni.inCoda=false] - Se true le email vanno nella coda invece di partire subito
+ * @param {string} [opzioni.chiaveIdempotenza] - Con inCoda: ogni destinatario viene accodato con la chiave
+ *   "<chiave>:<email>", così ripetere lo stesso invio non accoda due volte la stessa email
+ * @param {function(Object): void} [opzioni.onRisultato] - Chiamata dopo ogni destinatario
+ * @returns {Promise<Object[]>} Report con un risultato per destinatario: riga, to, esito, messageId, errore
+ *
+ * @example
+ * const righe = leggiCsv(fs.readFileSync("appuntamenti.csv", "utf8"));
+ * const report = await sendBulk(righe, { template: "appuntamento" }, { concorrenza: 2, perSecondo: 5 });
+ */
+function sendBulk(destinatari, email, { concorrenza, perSecondo, inCoda = false, chiaveIdempotenza, onRisultato } = {}) {
+  const invia = inCoda
+    ? async (opzioni) => queueEmail(opzioni, { chiaveIdempotenza: chiaveIdempotenza && `${chiaveIdempotenza}:${opzioni.to}` })
+    : sendEmail;
+  return inviaTutte(destinatari, email, { invia, concorrenza, perSecondo, onRisultato });
+}
+
+/**
+ * Controlla che il trasporto configurato possa consegnare le email, senza inviarne
+ *
+ * @returns {Promise<string>} Descrizione di cosa è stato controllato
+ * @throws {Error} Se il trasporto non funziona (es. credenziali SMTP sbagliate)
+ *
+ * @example
+ * await verifyTransport(); // "SMTP server smtp.example.com:587 accepted the connection and the credentials"
+ */
+function verifyTransport() {
+  return verificaTrasporto(transporter, config);
+}
+
+/**
+ * Istruzioni della riga di comando
+ * @type {string}
+ */
+const USO = `Uso:
+  node send-email.js --to <email> --subject <oggetto> --text <testo> [opzioni]
+  node send-email.js --csv destinatari.csv --template <nome> [opzioni]
+  node send-email.js <destinatario> <oggetto> <messaggio>   (forma vecchia)
+
+Destinatari e contenuto:
+  --to, --cc, --bcc <email>      Destinatari (ripetibili, o separati da virgola)
+  --reply-to <email>             Indirizzo per le risposte
+  --subject <testo>              Oggetto
+  --text <testo>                 Testo semplice
+  --html <html>                  Corpo HTML
+  --template <nome>              Template (${Object.keys(TEMPLATES).join(", ")})
+  --lang <it|en>                 Lingua del template
+  --var <nome=valore>            Variabile del template (ripetibile)
+
+Allegati:
+  --attach <file>                Allega un file (ripetibile)
+  --inline <cid=file>            Immagine da usare nell'HTML con <img src="cid:..."> (ripetibile)
+
+Invito di calendario:
+  --event-start <data ISO>       Inizio (es: 2026-11-02T09:30:00+01:00)
+  --event-duration <minuti>      Durata (default 30)
+  --event-title <testo>          Titolo (default: l'oggetto)
+  --event-location <testo>       Luogo
+  --event-reminder <minuti>      Promemoria prima dell'inizio
+
+Invio massivo:
+  --csv <file>                   Destinatari: colonna email, lingua facoltativa, le altre sono variabili
+  --concurrency <n>              Invii contemporanei (default 5)
+  --rate <n>                     Invii al secondo (default 10, 0 = nessun limite)
+  --report <file>                Salva il report (.json o .csv)
+
+  --queue                        Passa dalla coda persistente: un tentativo subito, gli altri li fa --worker
+  --idempotency-key <chiave>     Non accodare due volte la stessa email (con --queue; con --csv vale per ogni destinatario)
+  --worker                       Invia le email in coda e riprova quelle fallite, finché non viene fermato (Ctrl+C)
+  --verify                       Controlla la configurazione e il trasporto (es. login SMTP) senza inviare
+  -h, --help                     Mostra questo aiuto`;
+
+/**
+ * Divide i valori "nome=valore" delle opzioni ripetibili
+ *
+ * @param {string[]} coppie - Valori dell'opzione
+ * @param {string} opzione - Nome dell'opzione, per il messaggio di errore
+ * @returns {Array<[string, string]>}
+ * @throws {Error} Se manca il segno =
+ */
+function dividiCoppie(coppie, opzione) {
+  return coppie.map((coppia) => {
+    const uguale = coppia.indexOf("=");
+    if (uguale < 1) throw new Error(`Invalid --${opzione} value "${coppia}": use name=value`);
+    return [coppia.slice(0, uguale), coppia.slice(uguale + 1)];
+  });
+}
+
+/**
+ * Trasforma le opzioni della riga di comando nelle opzioni di sendEmail
+ *
+ * @param {Object} values - Valori letti da parseArgs
+ * @returns {Object} Opzioni dell'email
+ */
+function opzioniDaRigaDiComando(values) {
+  const email = {
+    to: values.to,
+    cc: values.cc,
+    bcc: values.bcc,
+    replyTo: values["reply-to"],
+    subject: values.subject,
+    text: values.text,
+    html: values.html,
+    template: values.template,
+    lingua: values.lang,
+    variabili: Object.fromEntries(dividiCoppie(values.var, "var")),
+  };
+
+  const allegati = [
+    ...values.attach,
+    ...dividiCoppie(values.inline, "inline").map(([cid, file]) => ({ path: file, cid })),
+  ];
+  if (allegati.length) email.attachments = allegati;
+
+  if (values["event-start"]) {
+    email.evento = {
+      inizio: values["event-start"],
+      durata: values["event-duration"] ? Number(values["event-duration"]) : undefined,
+      titolo: values["event-title"] || values.subject,
+      luogo: values["event-location"],
+      promemoria: values["event-reminder"] ? Number(values["event-reminder"]) : undefined,
+    };
+    // le opzioni non indicate prendono il default di creaEvento
+    for (const chiave of Object.keys(email.evento)) {
+      if (email.evento[chiave] === undefined) delete email.evento[chiave];
+    }
+  }
+  return email;
+}
+
+/**
+ * Esegue la riga di comando
+ *
+ * @param {string[]} argv - Argomenti (senza node e il nome dello script)
+ * @returns {Promise<number>} Codice di uscita: 0 se tutte le email sono partite, 1 altrimenti
+ */
+async function eseguiRigaDiComando(argv) {
+  const multipla = { type: "string", multiple: true, default: [] };
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      to: multipla,
+      cc: multipla,
+      bcc: multipla,
+      "reply-to": { type: "string" },
+      subject: { type: "string" },
+      text: { type: "string" },
+      html: { type: "string" },
+      template: { type: "string" },
+      lang: { type: "string" },
+      var: multipla,
+      attach: multipla,
+      inline: multipla,
+      "event-start": { type: "string" },
+      "event-duration": { type: "string" },
+      "event-title": { type: "string" },
+      "event-location": { type: "string" },
+      "event-reminder": { type: "string" },
+      csv: { type: "string" },
+      concurrency: { type: "string", default: "5" },
+      rate: { type: "string", default: "10" },
+      report: { type: "string" },
+      queue: { type: "boolean", default: false },
+      "idempotency-key": { type: "string" },
+      worker: { type: "boolean", default: false },
+      verify: { type: "boolean", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+
+  if (values.help) {
+    console.log(USO);
+    return 0;
+  }
+
+  // dalla riga di comando si vuole inviare davvero: il trasporto json scelto in automatico
+  // farebbe sembrare inviata un'email che non parte (per simulare: EMAIL_TRANSPORT=json)
+  if (config.trasportoPredefinito) {
+    console.error("No email transport configured: set EMAIL_HOST (smtp) or EMAIL_TRANSPORT (json to only simulate sending)");
+    return 1;
+  }
+
+  // La configurazione è già stata controllata al caricamento del modulo:
+  // qui si prova anche il trasporto (per SMTP: connessione e credenziali)
+  if (values.verify) {
+    const esito = await verifyTransport();
+    log.info("trasporto-verificato", { transport: config.trasporto, from: config.from });
+    console.log(`OK (${config.trasporto}): ${esito}`);
+    return 0;
+  }
+
+  // Processo che svuota la coda: senza, le email rimaste in coda dopo un errore
+  // temporaneo non verrebbero più riprovate. Si ferma con SIGINT o SIGTERM
+  if (values.worker) {
+    coda.avvia();
+    log.info("coda-avviata", coda.conta());
+    await new Promise((resolve) => {
+      process.once("SIGINT", resolve);
+      process.once("SIGTERM", resolve);
     });
+    await coda.ferma();
+    log.info("coda-fermata", coda.conta());
+    return 0;
+  }
 
-    // Stampa il messageId dell'email inviata con successo
-    // Il messageId è un identificatore univoco assegnato dal server SMTP
-    console.log("Email inviata:", info.messageId);
+  // Forma vecchia: node send-email.js destinatario "Oggetto" "Messaggio"
+  // Se gli argomenti non sono forniti, usa valori di default per il testing
+  if (positionals.length || argv.length === 0) {
+    const [to = "destinatario@example.com", subject = "Test Email", text = "Questo è un messaggio di test."] = positionals;
+    await sendEmail({ to, subject, text });
+    return 0;
+  }
 
-    // Restituisce l'oggetto info che contiene dettagli sull'email inviata
-    // Include: messageId, response, accepted, rejected, pending, ecc.
-    return info;
-  } catch (error) {
-    // Gestione degli errori: stampa l'errore nella console
-    // Gli errori comuni includono:
-    // - Credenziali errate (autenticazione fallita)
-    // - Server SMTP non raggiungibile
-    // - Destinatario non valido
-    // - Problemi di rete
-    console.error("Errore invio email:", error);
-
-    // Rilancia l'errore per permettere al chiamante di gestirlo
-    // Questo permette di usare try/catch quando si chiama sendEmail
-    throw error;
+  // con un valore non numerico il limite diventerebbe NaN e non partirebbe nessuna email.
+  // --rate 0 vuol dire nessun limite (vedi inviaTutte in bulk.js), --concurrency 0 non ha senso
+  if (!/^[1-9]\d*$/.test(values.concurrency.trim())) {
+    console.error(`--concurrency must be a positive integer (got "${values.concurrency}")\n\n${USO}`);
+    return 1;
+  }
+  if (!/^\d+$/.test(values.rate.trim())) {
+    console.error(`--rate must be a non-negative integer, 0 for no limit (got "${values.rate}")\n\n${USO}`);
+    return 1;
+  }
+
+  const email = opzioniDaRigaDiComando(values);
+
+  if (values.csv) {
+    const destinatari = leggiCsv(fs.readFileSync(values.csv, "utf8"));
+    const report = await sendBulk(destinatari, email, {
+      concorrenza: Number(values.concurrency),
+      perSecondo: Number(values.rate),
+      inCoda: values.queue,
+      chiaveIdempotenza: values["idempotency-key"],
+      onRisultato: (risultato) => console.log(`${risultato.to || `riga ${risultato.riga}`}: ${risultato.esito}${risultato.errore ? ` (${risultato.errore})` : ""}`),
+    });
+    if (values.queue) console.log("Coda:", await coda.elabora());
+    if (values.report) {
+      const contenuto = values.report.endsWith(".json") ? JSON.stringify(report, null, 2) : reportCsv(report);
+      fs.writeFileSync(values.report, contenuto);
+      console.log("Report salvato in", values.report);
+    }
+    const errori = report.filter((risultato) => risultato.esito === "errore").length;
+    console.log(`${report.length - errori} email su ${report.length} senza errori`);
+    return errori ? 1 : 0;
   }
+
+  if (values.queue) {
+    const voce = await queueEmail(email, { chiaveIdempotenza: values["idempotency-key"] });
+    console.log(`Email in coda: ${voce.id}${voce.duplicata ? " (già presente)" : ""}`);
+    // solo questa email: le altre in coda le invia il worker
+    await coda.inviaVoci([voce.id]);
+    const stato = coda.trova(voce.id);
+    // in-coda: il primo tentativo è fallito (o l'email la sta inviando un altro processo);
+    // la invierà il worker (--worker), ma per ora non è partita
+    console.log(`Stato: ${stato.stato}${stato.stato === STATI.IN_CODA ? " (sarà riprovata da node send-email.js --worker)" : ""}`);
+    return stato.stato === STATI.INVIATA ? 0 : 1;
+  }
+
+  await sendEmail(email);
+  return 0;
 }
 
 /**
@@ -145,32 +518,22 @@ async function sendEmail(to, subject, text, html) {
  * Questo blocco viene eseguito solo quando lo script viene chiamato direttamente
  * dalla riga di comando, non quando viene importato come modulo in un altro file.
  *
- * Permette di inviare email dalla riga di comando passando i parametri come argomenti:
+ * Permette di inviare email dalla riga di comando con le opzioni descritte in USO
+ * (node send-email.js --help), oppure con la forma vecchia:
  * node send-email.js destinatario@example.com "Oggetto" "Messaggio"
  */
 if (require.main === module) {
   // require.main === module è true solo quando il file è eseguito direttamente,
   // non quando è importato con require() in un altro file
-
-  // Legge i parametri dalla riga di comando
-  // process.argv[0] = percorso di node
-  // process.argv[1] = percorso del file script
-  // process.argv[2] = primo argomento (destinatario)
-  // process.argv[3] = secondo argomento (oggetto)
-  // process.argv[4] = terzo argomento (messaggio)
-
-  // Se gli argomenti non sono forniti, usa valori di default per il testing
-  const to = process.argv[2] || "destinatario@example.com";
-  const subject = process.argv[3] || "Test Email";
-  const text = process.argv[4] || "Questo è un messaggio di test.";
-
-  // Chiama la funzione sendEmail e gestisce il risultato
-  sendEmail(to, subject, text)
-    // Se l'invio ha successo, esce con codice 0 (successo)
-    .then(() => process.exit(0))
-    // Se l'invio fallisce, esce con codice 1 (errore)
+  eseguiRigaDiComando(process.argv.slice(2))
+    // Esce con codice 0 se tutto è andato bene, 1 altrimenti
     // Questo permette di usare lo script in script bash e verificare il risultato
-    .catch(() => process.exit(1));
+    .then((codice) => process.exit(codice))
+    .catch((error) => {
+      // anche i messaggi di errore passano dalla pulizia dei segreti
+      console.error(log.oscura(error.message));
+      process.exit(1);
+    });
 }
 
 /**
@@ -181,7 +544,9 @@ if (require.main === module) {
  * e il transporter in altri script.
  *
  * @example
- * const { sendEmail, transporter } = require('./send-email');
- * await sendEmail("dest@example.com", "Oggetto", "Messaggio");
+ * const { sendEmail, sendTemplate, coda } = require('./send-email');
+ * await sendEmail({ to: "dest@example.com", subject: "Oggetto", text: "Messaggio" });
+ * await sendTemplate("reset-password", "dest@example.com", { variabili: { nome: "Mario", link, minuti: 30 } });
+ * await coda.elabora();
  */
-module.exports = { sendEmail, transporter };
+module.exports = { sendEmail, queueEmail, sendTemplate, sendBulk, leggiCsv, verifyTransport, transporter, coda, config, createTransporter };
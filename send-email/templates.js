@@ -0,0 +1,254 @@
+/**
+ * Template delle email transazionali
+ *
+ * Ogni template ha un nome e una versione per ogni lingua (italiano e inglese),
+ * con l'oggetto e il corpo HTML. Le variabili si scrivono {{nome}} oppure
+ * {{utente.nome}} e nell'HTML vengono sempre sanificate (escape).
+ * Il corpo viene inserito nel layout comune e la versione in testo semplice
+ * viene generata automaticamente dall'HTML.
+ */
+
+/**
+ * Lingua usata se il template non esiste nella lingua richiesta
+ * @type {string}
+ */
+const LINGUA_DEFAULT = "it";
+
+/**
+ * Testi del layout in ogni lingua
+ * @type {Object<string, {footer: string}>}
+ */
+const LAYOUT_TESTI = {
+  it: { footer: "Hai ricevuto questa email perché hai un account sul nostro sito." },
+  en: { footer: "You received this email because you have an account on our website." },
+};
+
+/**
+ * Layout HTML comune a tutte le email: {{{contenuto}}} viene sostituito
+ * con il corpo del template (già sanificato), senza escape
+ * @type {string}
+ */
+const LAYOUT = `<!DOCTYPE html>
+<html lang="{{lingua}}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>{{oggetto}}</title>
+</head>
+<body style="margin:0;padding:0;background:#f4f4f4;font-family:Arial,Helvetica,sans-serif;color:#333">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0">
+<tr><td align="center" style="padding:24px">
+<table role="presentation" width="600" cellpadding="0" cellspacing="0" style="background:#ffffff;border-radius:8px">
+<tr><td style="padding:32px">
+{{{contenuto}}}
+</td></tr>
+<tr><td style="padding:16px 32px;font-size:12px;color:#888">
+<p>{{footer}}</p>
+</td></tr>
+</table>
+</td></tr>
+</table>
+</body>
+</html>`;
+
+/**
+ * Template disponibili: nome -> lingua -> { subject, html }
+ * @type {Object<string, Object<string, {subject: string, html: string}>>}
+ */
+const TEMPLATES = {
+  benvenuto: {
+    it: {
+      subject: "Benvenuto, {{nome}}!",
+      html: `<h1>Ciao {{nome}}, benvenuto!</h1>
+<p>Il tuo account è stato creato con l'indirizzo <strong>{{email}}</strong>.</p>
+<p><a href="{{link}}">Accedi al tuo account</a></p>`,
+    },
+    en: {
+      subject: "Welcome, {{nome}}!",
+      html: `<h1>Hi {{nome}}, welcome!</h1>
+<p>Your account has been created with the address <strong>{{email}}</strong>.</p>
+<p><a href="{{link}}">Sign in to your account</a></p>`,
+    },
+  },
+  "reset-password": {
+    it: {
+      subject: "Reimposta la password",
+      html: `<h1>Reimposta la password</h1>
+<p>Ciao {{nome}}, abbiamo ricevuto una richiesta per reimpostare la tua password.</p>
+<p><a href="{{link}}">Scegli una nuova password</a></p>
+<p>Il link scade tra {{minuti}} minuti. Se non sei stato tu, ignora questa email.</p>`,
+    },
+    en: {
+      subject: "Reset your password",
+      html: `<h1>Reset your password</h1>
+<p>Hi {{nome}}, we received a request to reset your password.</p>
+<p><a href="{{link}}">Choose a new password</a></p>
+<p>The link expires in {{minuti}} minutes. If it wasn't you, ignore this email.</p>`,
+    },
+  },
+  "turno-chiamato": {
+    it: {
+      subject: "È il tuo turno: {{numero}}",
+      html: `<h1>Tocca a te!</h1>
+<p>Il numero <strong>{{numero}}</strong> è stato chiamato allo sportello <strong>{{sportello}}</strong>.</p>`,
+    },
+    en: {
+      subject: "It's your turn: {{numero}}",
+      html: `<h1>It's your turn!</h1>
+<p>Number <strong>{{numero}}</strong> has been called at desk <strong>{{sportello}}</strong>.</p>`,
+    },
+  },
+  appuntamento: {
+    it: {
+      subject: "Appuntamento confermato: {{data}} alle {{ora}}",
+      html: `<h1>Appuntamento confermato</h1>
+<p>Ciao {{nome}}, ti aspettiamo il <strong>{{data}}</strong> alle <strong>{{ora}}</strong> presso <strong>{{luogo}}</strong>.</p>
+<p>In allegato trovi l'invito da aggiungere al tuo calendario.</p>`,
+    },
+    en: {
+      subject: "Appointment confirmed: {{data}} at {{ora}}",
+      html: `<h1>Appointment confirmed</h1>
+<p>Hi {{nome}}, we look forward to seeing you on <strong>{{data}}</strong> at <strong>{{ora}}</strong> at <strong>{{luogo}}</strong>.</p>
+<p>The attached invite can be added to your calendar.</p>`,
+    },
+  },
+};
+
+/**
+ * Errore dei template, con un codice leggibile da un programma
+ */
+class TemplateError extends Error {
+  /**
+   * @param {string} code - Codice dell'errore (es: "template-sconosciuto")
+   * @param {string} message - Descrizione dell'errore
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = "TemplateError";
+    this.code = code;
+  }
+}
+
+/**
+ * Sanifica un valore da inserire nell'HTML
+ *
+ * @param {*} valore - Valore della variabile
+ * @returns {string} Il valore come stringa, con i caratteri speciali HTML sostituiti
+ */
+function escapeHtml(valore) {
+  return String(valore)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Legge una variabile, anche annidata ("utente.nome")
+ *
+ * @param {Object} variabili - Oggetto con le variabili
+ * @param {string} percorso - Nome della variabile
+ * @returns {*} Il valore, oppure undefined se non esiste
+ */
+function leggiVariabile(variabili, percorso) {
+  return percorso.split(".").reduce((oggetto, chiave) => {
+    if (oggetto === null || oggetto === undefined || !Object.hasOwn(Object(oggetto), chiave)) {
+      return undefined;
+    }
+    return oggetto[chiave];
+  }, variabili);
+}
+
+/**
+ * Sostituisce le variabili in un testo
+ *
+ * {{nome}} viene sanificato se html è true, {{{nome}}} viene inserito così com'è
+ * (solo per il layout, che ci mette il corpo già pronto).
+ * Una variabile mancante è un errore: meglio non inviare che inviare "Ciao {{nome}}"
+ *
+ * @param {string} testo - Testo con le variabili
+ * @param {Object} variabili - Valori delle variabili
+ * @param {boolean} html - Se true i valori vengono sanificati
+ * @returns {string} Il testo con le variabili sostituite
+ * @throws {TemplateError} Se manca una variabile
+ */
+function sostituisci(testo, variabili, html) {
+  return testo.replace(/\{\{(\{)?\s*([\w.-]+)\s*\}?\}\}/g, (_, grezzo, nome) => {
+    const valore = leggiVariabile(variabili, nome);
+    if (valore === undefined || valore === null) {
+      throw new TemplateError("variabile-mancante", `Missing template variable: ${nome}`);
+    }
+    return html && !grezzo ? escapeHtml(valore) : String(valore);
+  });
+}
+
+/**
+ * Genera la versione in testo semplice di un'email HTML
+ *
+ * Tiene titoli, paragrafi ed elenchi su righe separate e scrive i link
+ * come "testo (indirizzo)", così restano utilizzabili anche senza HTML.
+ *
+ * @param {string} html - Corpo HTML
+ * @returns {string} Versione in testo semplice
+ */
+function htmlToText(html) {
+  return html
+    .replace(/<(head|style|script)[\s\S]*?<\/\1>/gi, "")
+    .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (_, href, testo) => {
+      const etichetta = testo.replace(/<[^>]+>/g, "").trim();
+      return etichetta && etichetta !== href ? `${etichetta} (${href})` : href;
+    })
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<li[^>]*>/gi, "- ")
+    .replace(/<\/(p|h[1-6]|li|tr|div|table)>/gi, "\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&")
+    .split("\n")
+    .map((riga) => riga.replace(/[ \t]+/g, " ").trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+/**
+ * Prepara un'email a partire da un template
+ *
+ * @param {string} nome - Nome del template (es: "benvenuto")
+ * @param {Object} [opzioni]
+ * @param {string} [opzioni.lingua="it"] - Lingua ("it" o "en"); se il template non c'è
+ *   in quella lingua viene usato l'italiano
+ * @param {Object} [opzioni.variabili={}] - Valori delle variabili del template
+ * @returns {{subject: string, html: string, text: string, lingua: string}} Oggetto, HTML e testo dell'email
+ * @throws {TemplateError} Se il template non esiste o manca una variabile
+ *
+ * @example
+ * const email = renderTemplate("benvenuto", {
+ *   lingua: "en",
+ *   variabili: { nome: "Mario", email: "mario@example.com", link: "https://example.com/login" },
+ * });
+ */
+function renderTemplate(nome, { lingua = LINGUA_DEFAULT, variabili = {} } = {}) {
+  if (!Object.hasOwn(TEMPLATES, nome)) {
+    throw new TemplateError("template-sconosciuto", `Unknown email template: ${nome}`);
+  }
+  const versioni = TEMPLATES[nome];
+  const linguaUsata = Object.hasOwn(versioni, lingua) ? lingua : LINGUA_DEFAULT;
+  const template = versioni[linguaUsata];
+
+  const subject = sostituisci(template.subject, variabili, false);
+  const contenuto = sostituisci(template.html, variabili, true);
+  const testiLayout = LAYOUT_TESTI[linguaUsata] || LAYOUT_TESTI[LINGUA_DEFAULT];
+  const html = sostituisci(LAYOUT, { ...testiLayout, lingua: linguaUsata, oggetto: subject, contenuto }, true);
+
+  // il testo lo genero dal corpo, senza la struttura del layout
+  const text = `${htmlToText(contenuto)}\n\n${testiLayout.footer}`;
+  return { subject, html, text, lingua: linguaUsata };
+}
+
+module.exports = { renderTemplate, sostituisci, htmlToText, TemplateError, TEMPLATES, LINGUA_DEFAULT };
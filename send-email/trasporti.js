@@ -0,0 +1,119 @@
+/**
+ * Trasporti nodemailer: come vengono consegnate le email (vedi config.js)
+ */
+const fs = require("fs");
+const path = require("path");
+const nodemailer = require("nodemailer");
+
+/**
+ * Trasporto che salva ogni email come file .eml in una cartella
+ *
+ * I file .eml si aprono con qualsiasi client di posta: comodo in sviluppo
+ * per vedere le email (allegati e inviti compresi) senza inviarle davvero.
+ *
+ * @param {string} cartella - Cartella in cui salvare le email
+ * @returns {Object} Trasporto personalizzato per nodemailer.createTransport
+ */
+function createFileTransport(cartella) {
+  return {
+    name: "file",
+    version: "1.0.0",
+    send(mail, callback) {
+      const envelope = mail.data.envelope || mail.message.getEnvelope();
+      const messageId = mail.message.messageId();
+      mail.message.build((error, contenuto) => {
+        if (error) return callback(error);
+        const file = path.join(cartella, `${Date.now()}-${messageId.replace(/[^\w.@-]/g, "")}.eml`);
+        fs.promises
+          .mkdir(cartella, { recursive: true })
+          .then(() => fs.promises.writeFile(file, contenuto))
+          .then(() => callback(null, { envelope, messageId, accepted: [...envelope.to], rejected: [], path: file }), callback);
+      });
+    },
+    async verify() {
+      await fs.promises.mkdir(cartella, { recursive: true });
+      await fs.promises.access(cartella, fs.constants.W_OK);
+      return true;
+    },
+  };
+}
+
+/**
+ * Cerca un programma come fa la shell: un percorso, oppure un nome da cercare nel PATH
+ *
+ * @param {string} programma - Es: "sendmail" o "/usr/sbin/sendmail"
+ * @returns {string|null} Il percorso del programma eseguibile, oppure null
+ */
+function trovaEseguibile(programma) {
+  const candidati = programma.includes(path.sep)
+    ? [programma]
+    : (process.env.PATH || "").split(path.delimiter).filter(Boolean).map((cartella) => path.join(cartella, programma));
+  return candidati.find((candidato) => {
+    try {
+      fs.accessSync(candidato, fs.constants.X_OK);
+      return fs.statSync(candidato).isFile();
+    } catch (error) {
+      return false;
+    }
+  }) || null;
+}
+
+/**
+ * Crea il trasportatore nodemailer per la configurazione
+ *
+ * Per provare l'invio vero senza spedire email si può usare "smtp" con un server
+ * SMTP finto locale (es: EMAIL_HOST=localhost EMAIL_PORT=1025).
+ *
+ * @param {Object} config - Configurazione letta da caricaConfig
+ * @returns {Object} Il transporter di nodemailer
+ * @throws {Error} Se il trasporto non è tra quelli previsti
+ */
+function createTransporter(config) {
+  switch (config.trasporto) {
+    case "smtp":
+      return nodemailer.createTransport(config.smtp);
+    case "sendmail":
+      return nodemailer.createTransport({ sendmail: true, path: config.sendmail.path, newline: "unix" });
+    case "file":
+      return nodemailer.createTransport(createFileTransport(config.file.cartella));
+    case "json":
+      return nodemailer.createTransport({ jsonTransport: true });
+    case "stream":
+      return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: "unix" });
+    default:
+      throw new Error(`Unknown email transport: ${config.trasporto}`);
+  }
+}
+
+/**
+ * Controlla che il trasporto possa consegnare le email
+ *
+ * - smtp: si collega al server e prova le credenziali (transporter.verify())
+ * - sendmail: controlla che il programma esista e sia eseguibile
+ * - file: controlla che la cartella si possa scrivere
+ * - json e stream: non consegnano niente, non c'è niente da controllare
+ *
+ * @param {Object} transporter - Il transporter di nodemailer
+ * @param {Object} config - Configurazione letta da caricaConfig
+ * @returns {Promise<string>} Descrizione di cosa è stato controllato
+ * @throws {Error} Se il trasporto non funziona (es. credenziali sbagliate)
+ */
+async function verificaTrasporto(transporter, config) {
+  switch (config.trasporto) {
+    case "smtp":
+      await transporter.verify();
+      return `SMTP server ${config.smtp.host}:${config.smtp.port} accepted the connection${config.smtp.auth ? " and the credentials" : ""}`;
+    case "sendmail": {
+      const programma = trovaEseguibile(config.sendmail.path);
+      if (!programma) throw new Error(`sendmail binary not found or not executable: ${config.sendmail.path}`);
+      return `sendmail binary found: ${programma}`;
+    }
+    case "file":
+      await transporter.verify();
+      return `outbox directory is writable: ${config.file.cartella}`;
+    default:
+      return `the ${config.trasporto} transport does not deliver emails, nothing to verify`;
+  }
+}
+
+module.exports = { createTransporter, verificaTrasporto };
@@ -0,0 +1,107 @@
+// adapter di Socket.IO: fa arrivare gli eventi (io.emit, io.to(stanza).emit, ...)
+// anche ai client connessi alle altre istanze del server
+// - memory (default): una sola istanza, non c'è niente da condividere
+// - cluster: più processi sulla stessa macchina, avviati da cluster.js
+// - redis: più macchine dietro un load balancer, collegate da Redis
+//
+// Con cluster la connessione persa non viene recuperata (connectionStateRecovery):
+// il client riceve di nuovo lo snapshot come dopo un riavvio
+
+// quanto aspettare il processo principale per un numero (in millisecondi)
+const TIMEOUT_NUMERO = 5000
+
+// con Redis i contatori di un giorno restano per due giorni, poi Redis li cancella
+const DURATA_CONTATORE = 2 * 24 * 60 * 60
+
+// prossimo numero del servizio: il contatore parte almeno da `almeno` (l'ultimo numero
+// che l'istanza conosce, es. dopo un riavvio del processo principale o di Redis)
+const SCRIPT_NUMERO = `
+local numero = tonumber(redis.call('GET', KEYS[1]) or '0')
+numero = math.max(numero, tonumber(ARGV[1])) + 1
+redis.call('SET', KEYS[1], numero, 'EX', ARGV[2])
+return numero
+`
+
+// contatori dei biglietti tenuti in un solo processo (l'istanza unica con memory,
+// il processo principale con cluster). Chiave: giorno e servizio.
+// Il numero viene riservato subito, senza await: due richieste arrivate insieme,
+// che conoscono lo stesso `almeno`, ricevono comunque numeri diversi
+function createContatori() {
+    const contatori = new Map()
+    return function prossimo({ giorno, servizio, almeno }) {
+        // i contatori dei giorni passati non servono più
+        for (const chiave of contatori.keys()) {
+            if (chiave.split('|')[0] < giorno) contatori.delete(chiave)
+        }
+        const chiave = `${giorno}|${servizio}`
+        const numero = Math.max(contatori.get(chiave) || 0, almeno) + 1
+        contatori.set(chiave, numero)
+        return numero
+    }
+}
+
+// chiede il prossimo numero al processo principale di cluster.js (che ha i contatori di tutti i worker)
+let richiesteNumero = 0
+function numeroDalPrincipale({ giorno, servizio, almeno }) {
+    const id = `${process.pid}:${++richiesteNumero}`
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            process.off('message', risposta)
+            reject(new Error('il processo principale non ha assegnato il numero'))
+        }, TIMEOUT_NUMERO)
+        function risposta(messaggio) {
+            if (!messaggio || messaggio.tipo !== 'socket:numero' || messaggio.id !== id) return
+            clearTimeout(timer)
+            process.off('message', risposta)
+            resolve(messaggio.numero)
+        }
+        process.on('message', risposta)
+        process.send({ tipo: 'socket:numero', id, giorno, servizio, almeno })
+    })
+}
+
+// configura l'adapter e restituisce { tipo, condiviso, ascolta, pronto(), prossimoNumero() }:
+// - condiviso: ci sono altre istanze a cui mandare gli aggiornamenti dello stato
+// - ascolta: l'istanza deve aprire la porta da sola (con cluster le connessioni arrivano dal processo principale)
+// - pronto(): per /health, false se il collegamento con le altre istanze è caduto
+// - prossimoNumero({ giorno, servizio, almeno }): numero del prossimo biglietto del servizio,
+//   unico fra tutte le istanze (lo decide il processo principale o Redis, non la singola istanza)
+async function configuraAdapter(io, { tipo = 'memory', redisUrl } = {}) {
+    switch (tipo) {
+        case 'memory': {
+            const prossimo = createContatori()
+            return { tipo, condiviso: false, ascolta: true, pronto: () => true, prossimoNumero: async (richiesta) => prossimo(richiesta) }
+        }
+
+        case 'cluster': {
+            const { createAdapter } = require('@socket.io/cluster-adapter')
+            const { setupWorker } = require('@socket.io/sticky')
+            io.adapter(createAdapter())
+            // il processo principale passa a ogni worker sempre le stesse connessioni (sticky session)
+            setupWorker(io)
+            return { tipo, condiviso: true, ascolta: false, pronto: () => process.connected, prossimoNumero: numeroDalPrincipale }
+        }
+
+        case 'redis': {
+            // caricati solo se servono: chi non usa Redis non ha bisogno di un server Redis
+            const { createClient } = require('redis')
+            const { createAdapter } = require('@socket.io/redis-streams-adapter')
+            const client = createClient({ url: redisUrl })
+            client.on('error', (error) => console.error('errore di connessione a Redis', error.message))
+            await client.connect()
+            // con i Redis Streams anche le connessioni perse possono essere recuperate
+            io.adapter(createAdapter(client))
+            // INCR con un valore minimo, in un solo comando: due istanze non ricevono mai lo stesso numero
+            const prossimoNumero = async ({ giorno, servizio, almeno }) => Number(await client.eval(SCRIPT_NUMERO, {
+                keys: [`socket:numeri:${giorno}:${servizio}`],
+                arguments: [String(almeno), String(DURATA_CONTATORE)],
+            }))
+            return { tipo, condiviso: true, ascolta: true, pronto: () => client.isReady, prossimoNumero }
+        }
+
+        default:
+            throw new Error(`adapter sconosciuto: ${tipo} (usa memory, cluster o redis)`)
+    }
+}
+
+module.exports = { configuraAdapter, createContatori }
@@ -0,0 +1,34 @@
+// test della numerazione dei biglietti con l'adapter memory (node --test)
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { configuraAdapter, createContatori } = require('./adapter')
+const { createQueue } = require('./queue')
+
+// come queue:issue in server.js: legge l'ultimo numero, chiede il prossimo e poi emette
+async function emetti(queue, adapter, servizio) {
+    const { giorno, ultimo } = queue.ultimoNumero(servizio)
+    const progressivo = await adapter.prossimoNumero({ giorno, servizio, almeno: ultimo })
+    return queue.issueTicket(servizio, null, progressivo)
+}
+
+test('più biglietti chiesti insieme ricevono numeri diversi', async () => {
+    const adapter = await configuraAdapter(null, { tipo: 'memory' })
+    const queue = createQueue()
+    const biglietti = await Promise.all([1, 2, 3, 4].map(() => emetti(queue, adapter, 'sangue')))
+    assert.deepStrictEqual(biglietti.map((b) => b.numero), ['A001', 'A002', 'A003', 'A004'])
+    assert.strictEqual(new Set(biglietti.map((b) => b.id)).size, 4)
+})
+
+test('la numerazione riparte dall\'ultimo numero conosciuto dall\'istanza', () => {
+    const prossimo = createContatori()
+    assert.strictEqual(prossimo({ giorno: '2024-03-15', servizio: 'sangue', almeno: 7 }), 8)
+    assert.strictEqual(prossimo({ giorno: '2024-03-15', servizio: 'sangue', almeno: 7 }), 9)
+    assert.strictEqual(prossimo({ giorno: '2024-03-15', servizio: 'cardiologia', almeno: 0 }), 1)
+})
+
+test('il giorno dopo i numeri ripartono da capo', () => {
+    const prossimo = createContatori()
+    prossimo({ giorno: '2024-03-15', servizio: 'sangue', almeno: 0 })
+    prossimo({ giorno: '2024-03-15', servizio: 'sangue', almeno: 0 })
+    assert.strictEqual(prossimo({ giorno: '2024-03-16', servizio: 'sangue', almeno: 0 }), 1)
+})
@@ -0,0 +1,89 @@
+// autenticazione delle connessioni socket
+// riusa la verifica dei token del server di login (cartella login-google):
+// - ID token di Google, verificato come fa il server di login
+// - access token emesso dal server di login dopo il login (contiene anche il ruolo)
+const { verifyJWT, parseJWT, JWTError } = require('../login-google/jwt')
+const { createJwksCache } = require('../login-google/jwks-cache')
+const { googleProvider } = require('../login-google/providers')
+
+// ruoli (del server di login) che possono usare gli eventi degli operatori
+const RUOLI_OPERATORE = ['admin', 'staff']
+
+// opzioni:
+// - googleClientId / googleJwksUrl: per gli ID token di Google (l'URL si cambia nei test
+//   per usare chiavi firmate in locale)
+// - loginServerUrl: indirizzo del server di login, da cui scarichiamo le sue chiavi pubbliche
+// - tokenIssuer / tokenAudience: come il server di login firma i suoi access token
+// - operatorEmails: email Google (verificate) che possono fare da operatore anche senza
+//   passare dal server di login
+function createAuth(options) {
+    const google = googleProvider({
+        clientId: options.googleClientId,
+        jwksUri: options.googleJwksUrl,
+        policy: { requireEmailVerified: true },
+    })
+    const chiaviLogin = createJwksCache(`${options.loginServerUrl}/.well-known/jwks.json`)
+    const operatorEmails = options.operatorEmails || []
+
+    // verifica il token e restituisce l'utente: { id, nome, email, ruolo, provider }
+    async function verificaToken(token) {
+        if (typeof token !== 'string' || !token) {
+            throw new JWTError('missing_token', 'token mancante')
+        }
+
+        // l'issuer (non ancora verificato) serve solo a scegliere come verificare il token
+        let iss
+        try {
+            iss = parseJWT(token).payload.iss
+        } catch (error) {
+            throw new JWTError('malformed_token', 'token non valido')
+        }
+
+        if (iss === options.tokenIssuer) {
+            const payload = await verifyJWT(token, {
+                getKey: (kid) => chiaviLogin.getKey(kid),
+                policy: {
+                    algorithms: ['RS256', 'EdDSA'],
+                    issuers: [options.tokenIssuer],
+                    audiences: [options.tokenAudience],
+                },
+            })
+            return { id: payload.sub, nome: payload.name, email: payload.email, ruolo: payload.role, provider: payload.provider }
+        }
+
+        const payload = await google.verify(token)
+        const email = payload.email.toLowerCase()
+        return {
+            id: `google:${payload.sub}`,
+            nome: payload.name || email,
+            email,
+            ruolo: operatorEmails.includes(email) ? 'staff' : 'user',
+            provider: 'google',
+        }
+    }
+
+    // middleware di Socket.IO: senza un token valido la connessione viene rifiutata.
+    // Il client lo manda con io('...', { auth: { token } }) e in caso di errore
+    // riceve connect_error con error.data.code (es. 'token_expired')
+    async function middleware(socket, next) {
+        try {
+            socket.data.utente = await verificaToken(socket.handshake.auth && socket.handshake.auth.token)
+            next()
+        } catch (error) {
+            if (!(error instanceof JWTError)) {
+                console.error('errore durante la verifica del token', error)
+            }
+            const rifiuto = new Error('autenticazione fallita')
+            rifiuto.data = { code: error instanceof JWTError ? error.code : 'errore-interno' }
+            next(rifiuto)
+        }
+    }
+
+    return { verificaToken, middleware }
+}
+
+function isOperatore(utente) {
+    return Boolean(utente) && RUOLI_OPERATORE.includes(utente.ruolo)
+}
+
+module.exports = { createAuth, isOperatore, RUOLI_OPERATORE }
@@ -0,0 +1,148 @@
+// test dell'autenticazione delle connessioni socket (node --test)
+// i token sono firmati con una chiave generata qui: le chiavi pubbliche del server
+// di login e di Google le serve un piccolo server http locale
+const { test, before, after } = require('node:test')
+const assert = require('node:assert')
+const crypto = require('crypto')
+const http = require('http')
+const { createAuth, isOperatore } = require('./auth')
+
+const CLIENT_ID = 'client-di-test.apps.googleusercontent.com'
+const ISSUER = 'http://login.test'
+const AUDIENCE = 'socket-server'
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+const jwks = { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'chiave-test', alg: 'RS256', use: 'sig' }] }
+
+function base64url(valore) {
+    return Buffer.from(JSON.stringify(valore)).toString('base64url')
+}
+
+// firma un JWT con la chiave di test
+function firma(payload, chiave = privateKey) {
+    const dati = `${base64url({ alg: 'RS256', typ: 'JWT', kid: 'chiave-test' })}.${base64url(payload)}`
+    return `${dati}.${crypto.sign('sha256', Buffer.from(dati), chiave).toString('base64url')}`
+}
+
+const adesso = () => Math.floor(Date.now() / 1000)
+
+// access token come quelli del server di login
+function accessToken(claim = {}) {
+    return firma({
+        iss: ISSUER,
+        aud: AUDIENCE,
+        sub: 'utente-1',
+        email: 'mario@example.com',
+        name: 'Mario',
+        role: 'user',
+        provider: 'google',
+        iat: adesso(),
+        exp: adesso() + 900,
+        ...claim,
+    })
+}
+
+// ID token come quelli di Google
+function idTokenGoogle(claim = {}) {
+    return firma({
+        iss: 'https://accounts.google.com',
+        aud: CLIENT_ID,
+        sub: '1234567890',
+        email: 'Operatore@Example.com',
+        email_verified: true,
+        name: 'Operatore',
+        iat: adesso(),
+        exp: adesso() + 3600,
+        ...claim,
+    })
+}
+
+let server
+let auth
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/json' })
+        res.end(JSON.stringify(jwks))
+    })
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+    const url = `http://127.0.0.1:${server.address().port}`
+    auth = createAuth({
+        googleClientId: CLIENT_ID,
+        googleJwksUrl: `${url}/google-certs`,
+        loginServerUrl: url,
+        tokenIssuer: ISSUER,
+        tokenAudience: AUDIENCE,
+        operatorEmails: ['operatore@example.com'],
+    })
+})
+
+after(() => new Promise((resolve) => server.close(resolve)))
+
+// fa passare una connessione finta dal middleware: restituisce l'utente oppure l'errore
+function connetti(token) {
+    const socket = { handshake: { auth: { token } }, data: {} }
+    return new Promise((resolve) => {
+        auth.middleware(socket, (error) => resolve(error ? { error } : { utente: socket.data.utente }))
+    })
+}
+
+test('accetta un access token del server di login con il suo ruolo', async () => {
+    const { utente, error } = await connetti(accessToken({ role: 'staff' }))
+    assert.strictEqual(error, undefined)
+    assert.deepStrictEqual(utente, { id: 'utente-1', nome: 'Mario', email: 'mario@example.com', ruolo: 'staff', provider: 'google' })
+    assert.ok(isOperatore(utente))
+})
+
+test('un utente normale non è un operatore', async () => {
+    const { utente } = await connetti(accessToken())
+    assert.strictEqual(utente.ruolo, 'user')
+    assert.strictEqual(isOperatore(utente), false)
+})
+
+test('rifiuta la connessione senza token', async () => {
+    const { error } = await connetti(undefined)
+    assert.strictEqual(error.data.code, 'missing_token')
+})
+
+test('rifiuta un token malformato', async () => {
+    const { error } = await connetti('non-un-jwt')
+    assert.strictEqual(error.data.code, 'malformed_token')
+})
+
+test('rifiuta un access token scaduto con token_expired', async () => {
+    const { error } = await connetti(accessToken({ iat: adesso() - 3600, exp: adesso() - 1800 }))
+    assert.strictEqual(error.data.code, 'token_expired')
+})
+
+test('rifiuta un access token per un\'altra audience', async () => {
+    const { error } = await connetti(accessToken({ aud: 'altro-servizio' }))
+    assert.strictEqual(error.data.code, 'audience_mismatch')
+})
+
+test('rifiuta un token firmato con un\'altra chiave', async () => {
+    const { privateKey: altraChiave } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+    const token = firma({ iss: ISSUER, aud: AUDIENCE, sub: 'utente-1', role: 'admin', iat: adesso(), exp: adesso() + 900 }, altraChiave)
+    const { error } = await connetti(token)
+    assert.strictEqual(error.data.code, 'invalid_signature')
+})
+
+test('accetta un ID token di Google: operatore solo se l\'email è tra quelle indicate', async () => {
+    const operatore = await connetti(idTokenGoogle())
+    assert.strictEqual(operatore.utente.id, 'google:1234567890')
+    assert.strictEqual(operatore.utente.email, 'operatore@example.com')
+    assert.strictEqual(operatore.utente.ruolo, 'staff')
+
+    const utente = await connetti(idTokenGoogle({ email: 'paziente@example.com' }))
+    assert.strictEqual(utente.utente.ruolo, 'user')
+})
+
+test('rifiuta un ID token di Google con l\'email non verificata', async () => {
+    const { error } = await connetti(idTokenGoogle({ email_verified: false }))
+    assert.strictEqual(error.data.code, 'email_not_verified')
+})
+
+test('rifiuta un ID token di Google per un altro client', async () => {
+    const { error } = await connetti(idTokenGoogle({ aud: 'altro-client' }))
+    assert.strictEqual(error.data.code, 'audience_mismatch')
+})
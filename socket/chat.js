@@ -0,0 +1,176 @@
+// stato della chat: stanze, messaggi privati e conferme di lettura
+// le stanze di Socket.IO decidono a chi arrivano gli eventi, qui teniamo i dati
+const crypto = require('crypto')
+
+// stanza in cui entrano tutti appena connessi
+const STANZA_GENERALE = 'generale'
+
+// errore con un codice, così il client può capire cosa è andato storto
+class ChatError extends Error {
+    constructor(code, message) {
+        super(message)
+        this.name = 'ChatError'
+        this.code = code
+    }
+}
+
+// opzioni:
+// - messaggi / letture: dati salvati da ripristinare (es. dopo un riavvio del server)
+// - maxPerConversazione: quanti messaggi ricordare per ogni stanza o conversazione privata
+function createChat({ messaggi: salvati = [], letture = [], maxPerConversazione = 50 } = {}) {
+    // messaggi di ogni conversazione, dal più vecchio
+    const conversazioni = new Map()
+    // utenti visti almeno una volta: id -> nome (si possono contattare anche se offline)
+    const conosciuti = new Map()
+
+    // chiave della conversazione: la stanza, oppure la coppia di utenti per i privati
+    function chiaveDi(messaggio) {
+        return messaggio.stanza
+            ? `stanza:${messaggio.stanza}`
+            : `privato:${JSON.stringify([messaggio.mittente.id, messaggio.destinatario].sort())}`
+    }
+
+    function conserva(messaggio) {
+        const chiave = chiaveDi(messaggio)
+        if (!conversazioni.has(chiave)) conversazioni.set(chiave, [])
+        const lista = conversazioni.get(chiave)
+        lista.push(messaggio)
+        if (lista.length > maxPerConversazione) lista.shift()
+    }
+
+    function trovaMessaggio(messaggioId) {
+        for (const lista of conversazioni.values()) {
+            const messaggio = lista.find((m) => m.id === messaggioId)
+            if (messaggio) return messaggio
+        }
+        throw new ChatError('messaggio-sconosciuto', `messaggio sconosciuto: ${messaggioId}`)
+    }
+
+    // aggiunge un messaggio creato altrove: salvato prima di un riavvio o arrivato da un'altra istanza.
+    // I messaggi salvati prima delle stanze non avevano id né stanza: finiscono nella generale.
+    // Un messaggio che c'è già non viene duplicato: si aggiungono solo le conferme di lettura mancanti
+    function importaMessaggio(m) {
+        if (m.mittente && m.mittente.id) conosciuti.set(m.mittente.id, m.mittente.nome)
+        const esistente = m.id && [...conversazioni.values()].flat().find((x) => x.id === m.id)
+        if (esistente) {
+            (m.lettoDa || []).forEach((lettura) => applicaLettura(m.id, lettura))
+            return
+        }
+        conserva({
+            id: m.id || crypto.randomUUID(),
+            stanza: m.destinatario ? null : m.stanza || STANZA_GENERALE,
+            destinatario: m.destinatario || null,
+            mittente: m.mittente || { id: null, nome: m.nome },
+            nome: m.nome,
+            testo: m.testo,
+            ora: m.ora,
+            lettoDa: m.lettoDa || [],
+        })
+    }
+
+    // conferma di lettura registrata altrove (come importaMessaggio)
+    function applicaLettura(messaggioId, lettura) {
+        try {
+            const messaggio = trovaMessaggio(messaggioId)
+            if (messaggio.lettoDa.some((l) => l.id === lettura.id)) return
+            messaggio.lettoDa.push(lettura)
+        } catch (error) {
+            // messaggio già uscito dallo storico: la conferma non serve più
+        }
+    }
+
+    salvati.forEach(importaMessaggio)
+    letture.forEach(({ messaggioId, lettura }) => applicaLettura(messaggioId, lettura))
+
+    function controllaNomeStanza(stanza) {
+        if (typeof stanza !== 'string' || !stanza.trim()) {
+            throw new ChatError('stanza-non-valida', 'nome della stanza non valido')
+        }
+        return stanza.trim()
+    }
+
+    // crea un messaggio per una stanza o per un utente (privato).
+    // id e ora li decide il server, così tutti i client vedono gli stessi
+    function aggiungiMessaggio({ mittente, testo, stanza, destinatario }) {
+        if (typeof testo !== 'string' || !testo.trim()) {
+            throw new ChatError('messaggio-vuoto', 'il messaggio è vuoto')
+        }
+        if (destinatario !== undefined && destinatario !== null) {
+            if (destinatario === mittente.id) {
+                throw new ChatError('destinatario-non-valido', 'non puoi scrivere a te stesso')
+            }
+            if (!conosciuti.has(destinatario)) {
+                throw new ChatError('utente-sconosciuto', `utente sconosciuto: ${destinatario}`)
+            }
+        }
+        const messaggio = {
+            id: crypto.randomUUID(),
+            stanza: destinatario ? null : controllaNomeStanza(stanza || STANZA_GENERALE),
+            destinatario: destinatario || null,
+            mittente: { id: mittente.id, nome: mittente.nome },
+            nome: mittente.nome,
+            testo,
+            ora: new Date().toISOString(),
+            lettoDa: [],
+        }
+        conserva(messaggio)
+        return messaggio
+    }
+
+    // conferma di lettura di tutta la conversazione fino al messaggio indicato (compreso):
+    // il client manda solo l'ultimo messaggio letto, non uno per messaggio.
+    // Restituisce { messaggio, letture }, con una { messaggio, lettura } per ogni messaggio
+    // segnato adesso (non quelli già letti o scritti dall'utente).
+    // puoiLeggere(messaggio) dice se l'utente poteva vedere quel messaggio
+    function segnaLettiFinoA(messaggioId, utente, puoiLeggere) {
+        const messaggio = trovaMessaggio(messaggioId)
+        if (!puoiLeggere(messaggio)) {
+            throw new ChatError('messaggio-sconosciuto', `messaggio sconosciuto: ${messaggioId}`)
+        }
+        const lista = conversazioni.get(chiaveDi(messaggio))
+        const ora = new Date().toISOString()
+        const letture = lista
+            .slice(0, lista.indexOf(messaggio) + 1)
+            .filter((m) => m.mittente.id !== utente.id && !m.lettoDa.some((l) => l.id === utente.id))
+            .map((m) => {
+                const lettura = { id: utente.id, nome: utente.nome, ora }
+                m.lettoDa.push(lettura)
+                return { messaggio: m, lettura }
+            })
+        return { messaggio, letture }
+    }
+
+    function storicoStanza(stanza) {
+        return [...(conversazioni.get(`stanza:${stanza}`) || [])]
+    }
+
+    // tutti i messaggi privati di un utente, dal più vecchio
+    function storicoPrivati(utenteId) {
+        return [...conversazioni.values()]
+            .flat()
+            .filter((m) => !m.stanza && (m.mittente.id === utenteId || m.destinatario === utenteId))
+            .sort((a, b) => a.ora.localeCompare(b.ora))
+    }
+
+    // utente che si è connesso: da adesso gli si possono mandare messaggi privati
+    function registraUtente(utente) {
+        conosciuti.set(utente.id, utente.nome)
+    }
+
+    // utenti conosciuti, per chi si avvia dopo (deve poter mandare i privati anche a loro)
+    function esportaUtenti() {
+        return [...conosciuti].map(([id, nome]) => ({ id, nome }))
+    }
+
+    // tutti i messaggi ancora nello storico, dal più vecchio (per salvarli)
+    function esporta() {
+        return [...conversazioni.values()].flat().sort((a, b) => a.ora.localeCompare(b.ora))
+    }
+
+    return {
+        aggiungiMessaggio, segnaLettiFinoA, controllaNomeStanza, storicoStanza, storicoPrivati,
+        importaMessaggio, applicaLettura, registraUtente, esportaUtenti, esporta,
+    }
+}
+
+module.exports = { createChat, ChatError, STANZA_GENERALE }
@@ -0,0 +1,53 @@
+// avvia più istanze del server socket sulla stessa macchina, una per CPU
+// (o SOCKET_WORKERS), tutte sulla stessa porta: node cluster.js
+//
+// Il processo principale riceve le connessioni e le passa ai worker. Le passa
+// sempre allo stesso worker per lo stesso client (sticky session): senza, le
+// richieste di polling di un client finirebbero a worker diversi
+const cluster = require('cluster')
+const http = require('http')
+const os = require('os')
+const { setupMaster } = require('@socket.io/sticky')
+const { setupPrimary } = require('@socket.io/cluster-adapter')
+const { createContatori } = require('./adapter')
+const { apriStore, caricaStato } = require('./stato')
+
+const PORT = Number(process.env.SOCKET_PORT) || 3334
+const WORKERS = Number(process.env.SOCKET_WORKERS) || os.availableParallelism()
+
+if (cluster.isPrimary) {
+    const httpServer = http.createServer()
+    setupMaster(httpServer, { loadBalancingMethod: 'least-connection' })
+    // inoltra tra i worker i messaggi dell'adapter (broadcast, fetchSockets, serverSideEmit)
+    setupPrimary()
+    cluster.setupPrimary({ serialization: 'advanced' })
+
+    // il file di stato lo riscrive solo il processo principale, prima che i worker
+    // comincino ad aggiungere righe (vedi compatta in store.js)
+    const store = apriStore()
+    store.compatta(caricaStato(store.carica()).recordDelloStato())
+
+    httpServer.listen(PORT, () => console.log(`Cluster avviato sulla porta ${PORT} con ${WORKERS} worker`))
+
+    for (let i = 0; i < WORKERS; i++) {
+        cluster.fork({ SOCKET_ADAPTER: 'cluster' })
+    }
+
+    // numeri dei biglietti: li decide solo il processo principale, così due worker
+    // non danno lo stesso numero a due pazienti
+    const prossimoNumero = createContatori()
+    cluster.on('message', (worker, messaggio) => {
+        if (!messaggio || messaggio.tipo !== 'socket:numero') return
+        // almeno: l'ultimo numero che il worker conosce (es. ripreso dal file dopo un riavvio)
+        const numero = prossimoNumero(messaggio)
+        worker.send({ tipo: 'socket:numero', id: messaggio.id, numero })
+    })
+
+    // se un worker si ferma ne avvio un altro
+    cluster.on('exit', (worker, code) => {
+        console.error(`worker ${worker.process.pid} terminato (codice ${code}), ne avvio un altro`)
+        cluster.fork({ SOCKET_ADAPTER: 'cluster' })
+    })
+} else {
+    require('./server')
+}
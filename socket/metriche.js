@@ -0,0 +1,87 @@
+// metriche per /metrics, nel formato testuale di Prometheus
+// (https://prometheus.io/docs/instrumenting/exposition_formats/)
+// ogni istanza riporta solo i suoi numeri: Prometheus le distingue con l'etichetta instance
+
+// quanti secondi considerare per gli eventi al secondo
+const FINESTRA_SECONDI = 60
+
+// valore di un'etichetta: \, " e a capo vanno preceduti da \
+function etichetta(valore) {
+    return String(valore).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')
+}
+
+// una metrica: nome, tipo (gauge o counter), descrizione e valori { etichette, valore }
+function formattaMetrica({ nome, tipo, descrizione, valori }) {
+    const righe = [`# HELP ${nome} ${descrizione}`, `# TYPE ${nome} ${tipo}`]
+    valori.forEach(({ etichette = {}, valore }) => {
+        const coppie = Object.entries(etichette).map(([k, v]) => `${k}="${etichetta(v)}"`)
+        righe.push(`${nome}${coppie.length ? `{${coppie.join(',')}}` : ''} ${valore}`)
+    })
+    return righe.join('\n')
+}
+
+function createMetriche() {
+    // eventi ricevuti dall'avvio, per nome dell'evento
+    const eventiTotali = new Map()
+    // eventi ricevuti in ognuno degli ultimi secondi: secondo -> quanti
+    const eventiPerSecondo = new Map()
+
+    function contaEvento(evento) {
+        eventiTotali.set(evento, (eventiTotali.get(evento) || 0) + 1)
+        const secondo = Math.floor(Date.now() / 1000)
+        eventiPerSecondo.set(secondo, (eventiPerSecondo.get(secondo) || 0) + 1)
+        eventiPerSecondo.forEach((_, s) => {
+            if (s <= secondo - FINESTRA_SECONDI) eventiPerSecondo.delete(s)
+        })
+    }
+
+    // media degli eventi al secondo nell'ultimo minuto
+    function eventiAlSecondo() {
+        const daSecondo = Math.floor(Date.now() / 1000) - FINESTRA_SECONDI
+        let totale = 0
+        eventiPerSecondo.forEach((quanti, s) => {
+            if (s > daSecondo) totale += quanti
+        })
+        return totale / FINESTRA_SECONDI
+    }
+
+    // testo completo per /metrics; dati = { connessi, stanze: { nome: socket }, servizi: [{ id, inAttesa }] }
+    function formatta({ connessi, stanze, servizi }) {
+        return [
+            formattaMetrica({
+                nome: 'socket_connessi',
+                tipo: 'gauge',
+                descrizione: 'Socket connesse a questa istanza',
+                valori: [{ valore: connessi }],
+            }),
+            formattaMetrica({
+                nome: 'socket_stanza_connessi',
+                tipo: 'gauge',
+                descrizione: 'Socket connesse a questa istanza in ogni stanza',
+                valori: Object.entries(stanze).map(([stanza, valore]) => ({ etichette: { stanza }, valore })),
+            }),
+            formattaMetrica({
+                nome: 'socket_eventi_total',
+                tipo: 'counter',
+                descrizione: 'Eventi ricevuti dai client dall\'avvio',
+                valori: [...eventiTotali].map(([evento, valore]) => ({ etichette: { evento }, valore })),
+            }),
+            formattaMetrica({
+                nome: 'socket_eventi_al_secondo',
+                tipo: 'gauge',
+                descrizione: `Eventi ricevuti al secondo (media degli ultimi ${FINESTRA_SECONDI} secondi)`,
+                valori: [{ valore: eventiAlSecondo() }],
+            }),
+            formattaMetrica({
+                nome: 'coda_biglietti_in_attesa',
+                tipo: 'gauge',
+                descrizione: 'Biglietti in attesa per servizio',
+                valori: servizi.map((servizio) => ({ etichette: { servizio: servizio.id }, valore: servizio.inAttesa })),
+            }),
+        ].join('\n') + '\n'
+    }
+
+    return { contaEvento, eventiAlSecondo, formatta }
+}
+
+module.exports = { createMetriche }
@@ -0,0 +1,218 @@
+// gestione della coda dei biglietti (eliminacode)
+// lo stato vive sul server: tutti gli operatori e tutti i tabelloni vedono la stessa coda
+
+// servizi disponibili, ognuno con la sua lettera per i numeri dei biglietti (A001, C001, ...)
+// e il reparto i cui sportelli lo chiamano
+const SERVIZI_DEFAULT = [
+    { id: 'sangue', nome: 'Esami del sangue', prefisso: 'A', reparto: 'laboratorio' },
+    { id: 'cardiologia', nome: 'Visita cardiologica', prefisso: 'C', reparto: 'ambulatori' },
+    { id: 'ortopedia', nome: 'Visita ortopedica', prefisso: 'O', reparto: 'ambulatori' },
+    { id: 'dermatologia', nome: 'Visita dermatologica', prefisso: 'D', reparto: 'ambulatori' },
+]
+
+// stati possibili di un biglietto
+const STATI = {
+    IN_ATTESA: 'in-attesa', // in coda, non ancora chiamato
+    CHIAMATO: 'chiamato', // chiamato, il paziente sta arrivando
+    SERVITO: 'servito', // il paziente è stato servito
+    ASSENTE: 'assente', // chiamato ma non si è presentato
+    SALTATO: 'saltato', // messo da parte, si può richiamare dopo
+}
+
+// errore con un codice, così il client può capire cosa è andato storto
+class QueueError extends Error {
+    constructor(code, message) {
+        super(message)
+        this.name = 'QueueError'
+        this.code = code
+    }
+}
+
+// giorno (locale) di una data, es. '2024-03-15': la numerazione riparte ogni giorno
+function giornoDi(data) {
+    const d = new Date(data)
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`
+}
+
+// opzioni:
+// - biglietti: biglietti salvati da ripristinare (es. dopo un riavvio del server)
+// - resetGiornaliero: se true (default) ogni giorno la coda si svuota e i numeri ripartono da 001
+function createQueue(servizi = SERVIZI_DEFAULT, { biglietti: salvati = [], resetGiornaliero = true } = {}) {
+    // giorno a cui si riferiscono i biglietti in coda
+    let giorno = giornoDi(new Date())
+
+    // tutti i biglietti emessi, in ordine di emissione
+    // (dei biglietti salvati teniamo solo quelli di oggi)
+    const biglietti = salvati
+        .filter((b) => !resetGiornaliero || giornoDi(b.creatoIl) === giorno)
+        .map((b) => ({ ...b }))
+
+    // ultimo numero emesso per ogni servizio, ricalcolato dai biglietti ripristinati
+    const contatori = {}
+    function azzeraContatori() {
+        servizi.forEach((servizio) => contatori[servizio.id] = 0)
+        biglietti.forEach((b) => {
+            const progressivo = Number(b.id.slice(b.servizio.length + 1))
+            contatori[b.servizio] = Math.max(contatori[b.servizio] || 0, progressivo)
+        })
+    }
+    azzeraContatori()
+
+    // al primo utilizzo di un nuovo giorno la coda riparte da zero
+    function controllaGiorno() {
+        const adesso = giornoDi(new Date())
+        if (!resetGiornaliero || adesso === giorno) return
+        giorno = adesso
+        biglietti.length = 0
+        azzeraContatori()
+    }
+
+    function trovaServizio(servizioId) {
+        const servizio = servizi.find((s) => s.id === servizioId)
+        if (!servizio) {
+            throw new QueueError('servizio-sconosciuto', `servizio sconosciuto: ${servizioId}`)
+        }
+        return servizio
+    }
+
+    function trovaBiglietto(bigliettoId) {
+        controllaGiorno()
+        const biglietto = biglietti.find((b) => b.id === bigliettoId)
+        if (!biglietto) {
+            throw new QueueError('biglietto-sconosciuto', `biglietto sconosciuto: ${bigliettoId}`)
+        }
+        return biglietto
+    }
+
+    // controlla che il biglietto sia in uno degli stati permessi per l'operazione
+    function richiediStato(biglietto, statiPermessi) {
+        if (!statiPermessi.includes(biglietto.stato)) {
+            throw new QueueError('stato-non-valido',
+                `il biglietto ${biglietto.numero} è ${biglietto.stato}`)
+        }
+    }
+
+    function segnaChiamato(biglietto) {
+        biglietto.stato = STATI.CHIAMATO
+        biglietto.chiamatoIl = new Date().toISOString()
+        biglietto.chiamate++
+        return biglietto
+    }
+
+    // giorno e ultimo numero emesso da questa istanza per il servizio: da qui parte
+    // la numerazione condivisa con le altre istanze (vedi prossimoNumero in adapter.js)
+    function ultimoNumero(servizioId) {
+        controllaGiorno()
+        const servizio = trovaServizio(servizioId)
+        return { giorno, ultimo: contatori[servizio.id] }
+    }
+
+    // emette un nuovo biglietto con il numero progressivo del servizio.
+    // progressivo: il numero deciso dalla numerazione condivisa (senza, il prossimo di questa istanza)
+    function issueTicket(servizioId, nome, progressivo) {
+        controllaGiorno()
+        const servizio = trovaServizio(servizioId)
+        const numero = progressivo || contatori[servizio.id] + 1
+        contatori[servizio.id] = Math.max(contatori[servizio.id], numero)
+        const biglietto = {
+            id: `${servizio.id}-${numero}`,
+            numero: servizio.prefisso + String(numero).padStart(3, '0'),
+            servizio: servizio.id,
+            nome: nome || null,
+            stato: STATI.IN_ATTESA,
+            creatoIl: new Date().toISOString(),
+            chiamatoIl: null,
+            chiamate: 0,
+        }
+        biglietti.push(biglietto)
+        return biglietto
+    }
+
+    // chiama il primo biglietto in attesa del servizio
+    function callNext(servizioId) {
+        controllaGiorno()
+        trovaServizio(servizioId)
+        const biglietto = biglietti.find((b) => b.servizio === servizioId && b.stato === STATI.IN_ATTESA)
+        if (!biglietto) {
+            throw new QueueError('coda-vuota', 'nessun biglietto in attesa')
+        }
+        return segnaChiamato(biglietto)
+    }
+
+    // chiama un biglietto specifico, anche fuori ordine
+    function callTicket(bigliettoId) {
+        const biglietto = trovaBiglietto(bigliettoId)
+        richiediStato(biglietto, [STATI.IN_ATTESA])
+        return segnaChiamato(biglietto)
+    }
+
+    // richiama un biglietto già chiamato, saltato o assente
+    function recall(bigliettoId) {
+        const biglietto = trovaBiglietto(bigliettoId)
+        richiediStato(biglietto, [STATI.CHIAMATO, STATI.SALTATO, STATI.ASSENTE])
+        return segnaChiamato(biglietto)
+    }
+
+    function markServed(bigliettoId) {
+        const biglietto = trovaBiglietto(bigliettoId)
+        richiediStato(biglietto, [STATI.CHIAMATO])
+        biglietto.stato = STATI.SERVITO
+        return biglietto
+    }
+
+    function markNoShow(bigliettoId) {
+        const biglietto = trovaBiglietto(bigliettoId)
+        richiediStato(biglietto, [STATI.CHIAMATO])
+        biglietto.stato = STATI.ASSENTE
+        return biglietto
+    }
+
+    // mette da parte un biglietto: non verrà chiamato con "prossimo" ma si può richiamare
+    function skip(bigliettoId) {
+        const biglietto = trovaBiglietto(bigliettoId)
+        richiediStato(biglietto, [STATI.IN_ATTESA, STATI.CHIAMATO])
+        biglietto.stato = STATI.SALTATO
+        return biglietto
+    }
+
+    // aggiunge o aggiorna un biglietto modificato su un'altra istanza del server
+    // (i biglietti dei giorni passati vengono ignorati)
+    function applica(aggiornato) {
+        controllaGiorno()
+        if (resetGiornaliero && giornoDi(aggiornato.creatoIl) !== giorno) return
+        const esistente = biglietti.find((b) => b.id === aggiornato.id)
+        if (esistente) {
+            Object.assign(esistente, aggiornato)
+        } else {
+            biglietti.push({ ...aggiornato })
+            const progressivo = Number(aggiornato.id.slice(aggiornato.servizio.length + 1))
+            contatori[aggiornato.servizio] = Math.max(contatori[aggiornato.servizio] || 0, progressivo)
+        }
+    }
+
+    // servizio e biglietto, senza modificarli (per i controlli prima di un'operazione)
+    function getService(servizioId) {
+        return { ...trovaServizio(servizioId) }
+    }
+
+    function getTicket(bigliettoId) {
+        return { ...trovaBiglietto(bigliettoId) }
+    }
+
+    // stato completo della coda, da mandare ai client
+    function getState() {
+        controllaGiorno()
+        return {
+            giorno,
+            servizi: servizi.map((servizio) => ({
+                ...servizio,
+                inAttesa: biglietti.filter((b) => b.servizio === servizio.id && b.stato === STATI.IN_ATTESA).length,
+            })),
+            biglietti: biglietti.map((b) => ({ ...b })),
+        }
+    }
+
+    return { ultimoNumero, issueTicket, callNext, callTicket, recall, markServed, markNoShow, skip, applica, getService, getTicket, getState }
+}
+
+module.exports = { createQueue, QueueError, STATI, SERVIZI_DEFAULT, giornoDi }
@@ -0,0 +1,109 @@
+// reparti, sportelli e storico delle chiamate mostrate sui tabelloni
+const { QueueError, giornoDi } = require('./queue')
+
+// ogni reparto ha il suo tabellone (o più tabelloni)
+const REPARTI_DEFAULT = [
+    { id: 'laboratorio', nome: 'Laboratorio analisi' },
+    { id: 'ambulatori', nome: 'Ambulatori' },
+]
+
+// ogni sportello appartiene a un reparto e può chiamare solo i servizi di quel reparto
+const SPORTELLI_DEFAULT = [
+    { id: 'sportello-1', nome: 'Sportello 1', reparto: 'laboratorio' },
+    { id: 'sportello-2', nome: 'Sportello 2', reparto: 'laboratorio' },
+    { id: 'ambulatorio-1', nome: 'Ambulatorio 1', reparto: 'ambulatori' },
+    { id: 'ambulatorio-2', nome: 'Ambulatorio 2', reparto: 'ambulatori' },
+]
+
+// opzioni:
+// - chiamate: chiamate salvate da ripristinare, dalla più vecchia (es. dopo un riavvio del server)
+// - maxStorico: quante chiamate ricordare per ogni reparto
+function createReparti({ reparti = REPARTI_DEFAULT, sportelli = SPORTELLI_DEFAULT, chiamate = [], maxStorico = 10 } = {}) {
+    // ultime chiamate di ogni reparto, dalla più recente
+    const storico = {}
+    reparti.forEach((reparto) => storico[reparto.id] = [])
+    chiamate.forEach((chiamata) => aggiungiChiamata(chiamata))
+
+    // aggiunge allo storico una chiamata (anche salvata prima di un riavvio o fatta su un'altra istanza).
+    // Una chiamata già presente (stesso biglietto, stessa ora) non viene aggiunta di nuovo:
+    // un'istanza appena avviata riceve dalle altre anche chiamate che ha già
+    function aggiungiChiamata(chiamata) {
+        const lista = storico[chiamata.reparto.id]
+        if (!lista) return // reparto non più configurato
+        if (lista.some((c) => c.bigliettoId === chiamata.bigliettoId && c.ora === chiamata.ora)) return
+        // lo storico va dalla più recente: di solito la nuova chiamata va in cima
+        const posizione = lista.findIndex((c) => c.ora < chiamata.ora)
+        lista.splice(posizione === -1 ? lista.length : posizione, 0, chiamata)
+        lista.length = Math.min(lista.length, maxStorico)
+    }
+
+    function trovaReparto(repartoId) {
+        const reparto = reparti.find((r) => r.id === repartoId)
+        if (!reparto) {
+            throw new QueueError('reparto-sconosciuto', `reparto sconosciuto: ${repartoId}`)
+        }
+        return reparto
+    }
+
+    function trovaSportello(sportelloId) {
+        const sportello = sportelli.find((s) => s.id === sportelloId)
+        if (!sportello) {
+            throw new QueueError('sportello-sconosciuto', `sportello sconosciuto: ${sportelloId}`)
+        }
+        return sportello
+    }
+
+    // lo sportello può chiamare solo i biglietti dei servizi del suo reparto
+    function verificaServizio(sportello, servizio) {
+        if (servizio.reparto !== sportello.reparto) {
+            throw new QueueError('reparto-non-valido',
+                `${sportello.nome} non può chiamare i biglietti di ${servizio.nome}`)
+        }
+    }
+
+    // registra una chiamata nello storico del reparto e la restituisce
+    // nel formato mostrato dai tabelloni
+    function registraChiamata(biglietto, sportello) {
+        const reparto = trovaReparto(sportello.reparto)
+        const chiamata = {
+            numero: biglietto.numero,
+            bigliettoId: biglietto.id,
+            servizio: biglietto.servizio,
+            sportello: { id: sportello.id, nome: sportello.nome },
+            reparto: { id: reparto.id, nome: reparto.nome },
+            ora: new Date().toISOString(),
+        }
+        aggiungiChiamata(chiamata)
+        return chiamata
+    }
+
+    // ultime chiamate di oggi dei reparti indicati, dalla più recente
+    function ultimeChiamate(repartiIds = reparti.map((reparto) => reparto.id)) {
+        const oggi = giornoDi(new Date())
+        return repartiIds
+            .flatMap((id) => storico[id] || [])
+            .filter((chiamata) => giornoDi(chiamata.ora) === oggi)
+            .sort((a, b) => b.ora.localeCompare(a.ora))
+            .slice(0, maxStorico)
+    }
+
+    // tutte le chiamate di oggi ancora nello storico, dalla più vecchia (per salvarle)
+    function esportaStorico() {
+        const oggi = giornoDi(new Date())
+        return Object.values(storico)
+            .flat()
+            .filter((chiamata) => giornoDi(chiamata.ora) === oggi)
+            .sort((a, b) => a.ora.localeCompare(b.ora))
+    }
+
+    function getConfig() {
+        return { reparti, sportelli }
+    }
+
+    return {
+        trovaReparto, trovaSportello, verificaServizio, registraChiamata, aggiungiChiamata,
+        ultimeChiamate, esportaStorico, getConfig,
+    }
+}
+
+module.exports = { createReparti, REPARTI_DEFAULT, SPORTELLI_DEFAULT }
@@ -2,28 +2,399 @@
 const http = require('http')
 // per creare il serer socket
 const { Server } = require("socket.io")
+// per gestire la coda dei biglietti
+const { QueueError } = require('./queue')
+// per salvare lo stato (coda, sportelli, chat) e ritrovarlo dopo un riavvio
+const { apriStore, caricaStato } = require('./stato')
+// per sapere chi si connette (token del server di login o di Google)
+const { createAuth, isOperatore } = require('./auth')
+// per la chat: stanze, messaggi privati, presenza
+const { ChatError, STANZA_GENERALE } = require('./chat')
+// per controllare i dati di ogni evento e limitare quanti eventi manda un client
+const { createControlloEventi, ValidationError, SCHEMI } = require('./validazione')
+// per far girare più istanze del server (SOCKET_ADAPTER=cluster o redis)
+const cluster = require('cluster')
+const { configuraAdapter } = require('./adapter')
+// per /metrics
+const { createMetriche } = require('./metriche')
 
-const httpServer = http.createServer()
+const PORT = Number(process.env.SOCKET_PORT) || 3334
+
+// le pagine che possono connettersi, separate da virgola (es. "https://sito.it,http://localhost:5500")
+const CORS_ORIGINS = (process.env.SOCKET_CORS_ORIGINS || 'http://localhost:5500,http://127.0.0.1:5500')
+    .split(',')
+    .map((origine) => origine.trim())
+    .filter(Boolean)
+
+// sullo stesso server HTTP del socket rispondiamo anche a /health e /metrics
+// (le richieste a /socket.io/ le gestisce Socket.IO e non arrivano qui)
+const httpServer = http.createServer(gestisciRichiesta)
 
 const io = new Server(httpServer, {
     cors: {
-        origin: ['http://localhost:5500', 'http://127.0.0.1:5500'],
+        origin: CORS_ORIGINS,
         methods: ['GET', 'POST']
+    },
+    // nessun evento legittimo si avvicina a questa dimensione (in byte)
+    maxHttpBufferSize: 16 * 1024,
+    // se un client si disconnette per poco (es. wifi che cade) alla riconnessione
+    // riceve gli eventi persi e ritrova le sue stanze, senza dover rifare tutto
+    connectionStateRecovery: {
+        maxDisconnectionDuration: 2 * 60 * 1000,
     }
 })
 
-try {
-    io.listen(3334) // avvio il server sulla porta 3334
-    console.log('Server socket avviato con successo')
-} catch (error) {
-    console.error('Impossibile avviare il server', error)
+// ogni connessione deve presentare un token valido: il nome mostrato in chat
+// e il ruolo (operatore o no) arrivano dal token, non da quello che scrive il client
+const LOGIN_SERVER_URL = process.env.LOGIN_SERVER_URL || 'http://localhost:3333'
+const auth = createAuth({
+    googleClientId: process.env.GOOGLE_CLIENT_ID || '48315565897-6i3403uof617avnel62iu3jhcqo70u81.apps.googleusercontent.com',
+    googleJwksUrl: process.env.GOOGLE_JWKS_URL, // per i test con chiavi firmate in locale
+    loginServerUrl: LOGIN_SERVER_URL,
+    tokenIssuer: process.env.TOKEN_ISSUER || LOGIN_SERVER_URL,
+    tokenAudience: process.env.TOKEN_AUDIENCE || 'lezioni-singole',
+    operatorEmails: (process.env.OPERATOR_EMAILS || '').split(',').map((e) => e.trim().toLowerCase()).filter(Boolean),
+})
+io.use(auth.middleware)
+
+// rileggo quello che era stato salvato prima del riavvio (vedi stato.js):
+// coda dei biglietti, sportelli e reparti con lo storico delle chiamate, messaggi della chat
+const store = apriStore()
+const { queue, reparti, chat, recordDelloStato } = caricaStato(store.carica())
+
+// riscrivo il file con i soli dati ancora utili (i biglietti dei giorni passati non servono più).
+// Con cluster lo riscrive il processo principale prima di avviare i worker (vedi cluster.js):
+// un worker che lo riscrivesse perderebbe le righe aggiunte intanto dagli altri
+if (!cluster.isWorker) store.compatta(recordDelloStato())
+
+// quello che un client appena connesso deve vedere subito:
+// il numero chiamato per ultimo, le ultime chiamate, gli ultimi messaggi della stanza
+// generale e i suoi messaggi privati
+function snapshot(utente) {
+    const chiamate = reparti.ultimeChiamate()
+    return {
+        utente: { id: utente.id, nome: utente.nome },
+        numero: chiamate.length ? chiamate[0].numero : null,
+        chiamate,
+        messaggi: chat.storicoStanza(STANZA_GENERALE),
+        privati: chat.storicoPrivati(utente.id),
+    }
+}
+
+// true quando ci sono altre istanze del server (lo decide l'adapter all'avvio)
+let statoCondiviso = false
+
+// ogni modifica dello stato è un record: lo salvo e lo mando alle altre istanze,
+// che lo applicano alla loro copia dello stato (vedi applicaRecord)
+function registra(record) {
+    store.aggiungi(record)
+    condividi(record)
+}
+
+function condividi(record) {
+    if (statoCondiviso) io.serverSideEmit('stato:record', record)
+}
+
+// applica un record arrivato da un'altra istanza
+function applicaRecord(record) {
+    switch (record.tipo) {
+        case 'biglietto': return queue.applica(record.biglietto)
+        case 'chiamata': return reparti.aggiungiChiamata(record.chiamata)
+        case 'messaggio': return chat.importaMessaggio(record.messaggio)
+        case 'letto': return chat.applicaLettura(record.messaggioId, record.lettura)
+        case 'utente': return chat.registraUtente(record.utente)
+        default: console.error('record sconosciuto da un\'altra istanza', record.tipo)
+    }
+}
+
+io.on('stato:record', applicaRecord)
+
+// un'istanza appena avviata chiede alle altre tutto lo stato: il file (o la memoria)
+// non ha quello che è successo sulle altre istanze mentre era ferma
+io.on('stato:richiesta', (rispondi) => {
+    rispondi([
+        ...recordDelloStato(),
+        ...chat.esportaUtenti().map((utente) => ({ tipo: 'utente', utente })),
+    ])
+})
+
+// le altre istanze si fanno conoscere con un heartbeat poco dopo l'avvio dell'adapter:
+// prima di chiedere lo stato aspetto che arrivino
+const ATTESA_ALTRE_ISTANZE = 1000
+
+async function sincronizzaStato() {
+    await new Promise((resolve) => setTimeout(resolve, ATTESA_ALTRE_ISTANZE))
+    let risposte
+    try {
+        // il tempo massimo per le risposte lo decide l'adapter (5 secondi)
+        risposte = await io.serverSideEmitWithAck('stato:richiesta')
+    } catch (error) {
+        // qualche istanza non ha risposto in tempo: uso lo stato di quelle che hanno risposto
+        console.error('stato non ricevuto da tutte le istanze', error.message)
+        risposte = error.responses || []
+    }
+    // applicaRecord non duplica quello che c'è già (biglietti, chiamate e messaggi hanno un id)
+    risposte.flat().forEach(applicaRecord)
+    console.log(`stato ricevuto da ${risposte.length} istanze`)
+    aggiornaCoda()
+}
+
+// utenti online su tutte le istanze (un utente può avere più schede aperte)
+async function aggiornaPresenza() {
+    try {
+        const utenti = new Map()
+        const sockets = await io.fetchSockets()
+        sockets.forEach((s) => utenti.set(s.data.utente.id, { id: s.data.utente.id, nome: s.data.utente.nome }))
+        io.emit('chat:presence', [...utenti.values()])
+    } catch (error) {
+        // un'istanza non ha risposto in tempo: la lista arriverà al prossimo cambio
+        console.error('impossibile aggiornare la lista degli utenti online', error.message)
+    }
+}
+
+// stato della coda insieme a reparti e sportelli, da mandare ai client
+function statoCompleto() {
+    return { ...queue.getState(), ...reparti.getConfig() }
+}
+
+// i nomi dei pazienti li vedono solo gli operatori (che sono tutti in questa stanza);
+// gli altri utenti ricevono la coda senza nomi
+const STANZA_OPERATORI = 'operatori'
+
+function statoSenzaNomi() {
+    const stato = statoCompleto()
+    return { ...stato, biglietti: stato.biglietti.map(({ nome, ...biglietto }) => biglietto) }
+}
+
+function statoPer(utente) {
+    return isOperatore(utente) ? statoCompleto() : statoSenzaNomi()
+}
+
+// manda a tutti la coda aggiornata, con i nomi solo agli operatori
+function aggiornaCoda() {
+    io.to(STANZA_OPERATORI).emit('queue:updated', statoCompleto())
+    io.except(STANZA_OPERATORI).emit('queue:updated', statoSenzaNomi())
+}
+
+// ogni reparto ha la sua stanza: i tabelloni ricevono solo le chiamate dei loro reparti
+function stanzaTabellone(repartoId) {
+    return `tabellone:${repartoId}`
+}
+
+// stanza di una chat, e stanza personale di un utente (tutte le sue schede aperte)
+// a cui arrivano i messaggi privati
+function stanzaChat(nome) {
+    return `chat:${nome}`
+}
+
+function stanzaUtente(utenteId) {
+    return `utente:${utenteId}`
+}
+
+// mostra sui tabelloni del reparto il numero chiamato e lo sportello a cui andare
+function annuncia(biglietto, sportello) {
+    const chiamata = reparti.registraChiamata(biglietto, sportello)
+    registra({ tipo: 'chiamata', chiamata })
+    io.to(stanzaTabellone(chiamata.reparto.id)).emit('mostra-numero', chiamata)
+}
+
+// le operazioni sulla coda (chiamare, segnare servito, ...) sono solo per gli operatori
+function richiediOperatore(socket) {
+    if (!isOperatore(socket.data.utente)) {
+        throw new QueueError('non-autorizzato', 'operazione riservata agli operatori')
+    }
+}
+
+// solo un operatore registrato come sportello può chiamare,
+// e solo i servizi del reparto dello sportello
+function sportelloPerServizio(socket, servizioId) {
+    richiediOperatore(socket)
+    const sportello = socket.data.sportello
+    if (!sportello) {
+        throw new QueueError('sportello-mancante', 'scegli prima uno sportello')
+    }
+    reparti.verificaServizio(sportello, queue.getService(servizioId))
+    return sportello
+}
+
+// numero del prossimo biglietto del servizio, unico fra tutte le istanze (vedi adapter.js).
+// Ogni istanza ha la sua copia della coda: se contasse da sola due pazienti
+// potrebbero ricevere lo stesso numero
+async function prossimoProgressivo(servizioId) {
+    const { giorno, ultimo } = queue.ultimoNumero(servizioId)
+    try {
+        return await adapter.prossimoNumero({ giorno, servizio: servizioId, almeno: ultimo })
+    } catch (error) {
+        console.error('impossibile assegnare il numero del biglietto', error.message)
+        throw new QueueError('numerazione-non-disponibile', 'impossibile assegnare il numero, riprova')
+    }
+}
+
+// risposta di errore da mandare nella callback di ack
+function rispostaErrore(error) {
+    // gli errori della coda (es. coda vuota), della chat e dei dati non validi vanno
+    // al client così come sono, gli altri sono errori inattesi: li registriamo senza far cadere il server
+    if (error instanceof ValidationError) {
+        return { ok: false, error: { code: error.code, message: error.message, dettagli: error.dettagli } }
+    }
+    if (error instanceof QueueError || error instanceof ChatError) {
+        return { ok: false, error: { code: error.code, message: error.message } }
+    }
+    console.error('errore durante l\'operazione sulla coda', error)
+    return { ok: false, error: { code: 'errore-interno', message: 'errore interno' } }
+}
+
+// esegue un'operazione sulla coda, manda a tutti lo stato aggiornato
+// e risponde al client che l'ha richiesta tramite la callback di ack
+function eseguiOperazione(operazione, ack, dopo) {
+    const rispondi = typeof ack === 'function' ? ack : () => { }
+    try {
+        const biglietto = operazione()
+        registra({ tipo: 'biglietto', biglietto })
+        if (dopo) dopo(biglietto)
+        aggiornaCoda()
+        rispondi({ ok: true, biglietto })
+    } catch (error) {
+        rispondi(rispostaErrore(error))
+    }
+}
+
+// esegue un comando che non modifica la coda (es. entrare in una stanza)
+// e risponde con { ok: true, ...risultato } oppure con l'errore
+function eseguiComando(comando, ack) {
+    const rispondi = typeof ack === 'function' ? ack : () => { }
+    try {
+        rispondi({ ok: true, ...comando() })
+    } catch (error) {
+        rispondi(rispostaErrore(error))
+    }
+}
+
+// manda un evento della chat a chi può vedere il messaggio:
+// la stanza, oppure mittente e destinatario (tutte le loro schede) per i privati
+function destinatariDi(messaggio) {
+    return messaggio.stanza
+        ? io.to(stanzaChat(messaggio.stanza))
+        : io.to(stanzaUtente(messaggio.mittente.id)).to(stanzaUtente(messaggio.destinatario))
+}
+
+// registra la socket come sportello (operatore:join o ?sportello= nella connessione)
+function entraComeSportello(socket, sportelloId) {
+    richiediOperatore(socket)
+    socket.data.sportello = reparti.trovaSportello(sportelloId)
+    return socket.data.sportello
+}
+
+// iscrive la socket ai tabelloni dei reparti indicati (tutti se non ne indica nessuno)
+// e le manda le ultime chiamate di quei reparti
+function entraComeTabellone(socket, repartiIds) {
+    const ids = repartiIds && repartiIds.length
+        ? repartiIds
+        : reparti.getConfig().reparti.map((reparto) => reparto.id)
+    ids.forEach((id) => reparti.trovaReparto(id))
+
+    // un tabellone può cambiare reparti: esce da quelli di prima
+    socket.rooms.forEach((stanza) => {
+        if (stanza.startsWith('tabellone:')) socket.leave(stanza)
+    })
+    ids.forEach((id) => socket.join(stanzaTabellone(id)))
+
+    socket.emit('tabellone:storico', reparti.ultimeChiamate(ids))
+    return ids
+}
+
+// legge un elenco separato da virgole dalla query della connessione (es. ?reparti=a,b)
+function elencoDaQuery(valore) {
+    return typeof valore === 'string' ? valore.split(',').map((v) => v.trim()).filter(Boolean) : []
+}
+
+// ogni socket ha il suo limite di eventi
+const controlloEventi = createControlloEventi()
+const metriche = createMetriche()
+// adapter configurato all'avvio (vedi avvia)
+let adapter = null
+
+function sendJSON(res, statusCode, data) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' })
+    res.end(JSON.stringify(data))
+}
+
+// socket connesse a questa istanza nelle stanze dei tabelloni e della chat
+// (le stanze personali e quelle di ogni singola socket non interessano)
+function socketPerStanza() {
+    const stanze = {}
+    io.of('/').adapter.rooms.forEach((sockets, stanza) => {
+        if (stanza.startsWith('tabellone:') || stanza.startsWith('chat:')) stanze[stanza] = sockets.size
+    })
+    return stanze
+}
+
+// route HTTP per il load balancer e per Prometheus
+function gestisciRichiesta(req, res) {
+    const pathname = new URL(req.url, 'http://localhost').pathname
+
+    if (req.method === 'GET' && pathname === '/health') {
+        const pronto = Boolean(adapter) && adapter.pronto()
+        return sendJSON(res, pronto ? 200 : 503, {
+            status: pronto ? 'ok' : 'unavailable',
+            adapter: adapter ? adapter.tipo : null,
+            connessi: io.engine.clientsCount,
+            pid: process.pid,
+            uptime: Math.round(process.uptime()),
+        })
+    }
+
+    if (req.method === 'GET' && pathname === '/metrics') {
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' })
+        return res.end(metriche.formatta({
+            connessi: io.engine.clientsCount,
+            stanze: socketPerStanza(),
+            servizi: queue.getState().servizi,
+        }))
+    }
+
+    sendJSON(res, 404, { error: 'not_found' })
 }
 
 io.on('connection', (socket) => {
-    console.log('nuova connessione', socket.id)
+    console.log('nuova connessione', socket.id, socket.data.utente.id)
+
+    // conto gli eventi per /metrics (quelli sconosciuti tutti insieme)
+    socket.use(([evento], next) => {
+        metriche.contaEvento(Object.hasOwn(SCHEMI, evento) ? evento : 'sconosciuto')
+        next()
+    })
+    // prima di arrivare ai gestori qui sotto ogni evento viene controllato (schema e limite)
+    socket.use(controlloEventi(socket))
+
+    // se la connessione è stata recuperata il client ha già le sue stanze e riceve
+    // da solo gli eventi persi: non serve rifare l'iscrizione né mandare lo snapshot
+    if (!socket.recovered) {
+        // sportelli e tabelloni possono presentarsi già nella connessione:
+        // io('...', { query: { sportello: 'sportello-1' } }) oppure { query: { reparti: 'laboratorio' } }
+        const { sportello, reparti: repartiQuery } = socket.handshake.query
+        try {
+            if (sportello) entraComeSportello(socket, sportello)
+            if (repartiQuery !== undefined) entraComeTabellone(socket, elencoDaQuery(repartiQuery))
+        } catch (error) {
+            socket.emit('queue:error', rispostaErrore(error).error)
+        }
+
+        // ogni utente ha la sua stanza (per i privati) ed entra nella chat generale,
+        // gli operatori anche nella loro (ricevono la coda con i nomi)
+        socket.join(stanzaUtente(socket.data.utente.id))
+        socket.join(stanzaChat(STANZA_GENERALE))
+        if (isOperatore(socket.data.utente)) socket.join(STANZA_OPERATORI)
+
+        socket.emit('snapshot', snapshot(socket.data.utente))
+    }
+
+    // da adesso gli altri possono mandargli messaggi privati, anche dalle altre istanze
+    chat.registraUtente(socket.data.utente)
+    condividi({ tipo: 'utente', utente: { id: socket.data.utente.id, nome: socket.data.utente.nome } })
 
-    // inserisco il client appena connesso in una stanza
-    socket.join('tabellone')
+    // presenza: tutti ricevono la lista aggiornata quando qualcuno entra o esce
+    aggiornaPresenza()
 
     // socket.on('evento-di-test', (data) => console.log('ho ricevuto un evento di test', data))
 
@@ -31,25 +402,181 @@ io.on('connection', (socket) => {
     //     socket.emit('evento-di-prova')
     // }, 2500)
 
-    socket.on('chiama', (numero) => {
-        console.log('è stato chiamato il numero ', numero)
-        // socket rappresenta la singola connessione
-        // socket.emit('mostra-numero', numero)
-        // mando l'evento a tutte le socket presenti sul server (compreso il 'chiamante')
-        // io.emit('mostra-numero', numero)
-        // mando l'evento a tutti, tranne il chiamante
-        // socket.broadcast.emit('mostra-numero', numero)
-        // mando un messaggio solamente a chi è dentro la stanza 'tabellone'
-        socket.to('tabellone').emit('mostra-numero', numero)
+    // appena connesso il client riceve lo stato attuale della coda
+    socket.emit('queue:updated', statoPer(socket.data.utente))
 
+    // il client può richiedere lo stato in qualsiasi momento
+    socket.on('queue:state', (ack) => {
+        if (typeof ack === 'function') ack(statoPer(socket.data.utente))
     })
 
-    socket.on('disconnect', (socket) => {
-        console.log('socket disconnessa', socket.id)
+    // l'operatore sceglie lo sportello da cui chiama
+    socket.on('operatore:join', (data, ack) => {
+        eseguiComando(() => ({ sportello: entraComeSportello(socket, data.sportello) }), ack)
     })
 
+    // il tabellone sceglie i reparti di cui mostrare le chiamate
+    socket.on('tabellone:join', (data, ack) => {
+        eseguiComando(() => ({ reparti: entraComeTabellone(socket, data ? data.reparti : []) }), ack)
+    })
 
-    socket.on('invia-messaggio', (data) => {
-        io.emit('messaggio-ricevuto', data)
+    // emette un nuovo biglietto per un servizio
+    // il numero lo decide la numerazione condivisa, poi il biglietto si emette come le altre operazioni
+    socket.on('queue:issue', async (data, ack) => {
+        let progressivo
+        try {
+            progressivo = await prossimoProgressivo(data.servizio)
+        } catch (error) {
+            if (typeof ack === 'function') ack(rispostaErrore(error))
+            return
+        }
+        eseguiOperazione(() => queue.issueTicket(data.servizio, data.nome, progressivo), ack)
     })
+
+    // chiama il prossimo biglietto in attesa del servizio
+    socket.on('queue:call-next', (data, ack) => {
+        eseguiOperazione(() => {
+            sportelloPerServizio(socket, data.servizio)
+            return queue.callNext(data.servizio)
+        }, ack, (biglietto) => {
+            console.log('è stato chiamato il numero ', biglietto.numero)
+            annuncia(biglietto, socket.data.sportello)
+        })
+    })
+
+    // chiama un biglietto specifico (anche fuori ordine)
+    socket.on('chiama', (bigliettoId, ack) => {
+        eseguiOperazione(() => {
+            sportelloPerServizio(socket, queue.getTicket(bigliettoId).servizio)
+            return queue.callTicket(bigliettoId)
+        }, ack, (biglietto) => {
+            console.log('è stato chiamato il numero ', biglietto.numero)
+            // socket rappresenta la singola connessione
+            // socket.emit('mostra-numero', numero)
+            // mando l'evento a tutte le socket presenti sul server (compreso il 'chiamante')
+            // io.emit('mostra-numero', numero)
+            // mando l'evento a tutti, tranne il chiamante
+            // socket.broadcast.emit('mostra-numero', numero)
+            // mando un messaggio solamente a chi è dentro la stanza del tabellone del reparto
+            annuncia(biglietto, socket.data.sportello)
+        })
+    })
+
+    // richiama un biglietto già chiamato, saltato o assente
+    socket.on('queue:recall', (bigliettoId, ack) => {
+        eseguiOperazione(() => {
+            sportelloPerServizio(socket, queue.getTicket(bigliettoId).servizio)
+            return queue.recall(bigliettoId)
+        }, ack, (biglietto) => annuncia(biglietto, socket.data.sportello))
+    })
+
+    socket.on('queue:served', (bigliettoId, ack) => {
+        eseguiOperazione(() => {
+            richiediOperatore(socket)
+            return queue.markServed(bigliettoId)
+        }, ack)
+    })
+
+    socket.on('queue:no-show', (bigliettoId, ack) => {
+        eseguiOperazione(() => {
+            richiediOperatore(socket)
+            return queue.markNoShow(bigliettoId)
+        }, ack)
+    })
+
+    socket.on('queue:skip', (bigliettoId, ack) => {
+        eseguiOperazione(() => {
+            richiediOperatore(socket)
+            return queue.skip(bigliettoId)
+        }, ack)
+    })
+
+    socket.on('disconnect', (motivo) => {
+        console.log('socket disconnessa', socket.id, motivo)
+        aggiornaPresenza()
+    })
+
+    // entra in una stanza della chat e riceve i suoi ultimi messaggi
+    socket.on('chat:join', (stanza, ack) => {
+        eseguiComando(() => {
+            const nome = chat.controllaNomeStanza(stanza)
+            socket.join(stanzaChat(nome))
+            return { stanza: nome, messaggi: chat.storicoStanza(nome) }
+        }, ack)
+    })
+
+    socket.on('chat:leave', (stanza, ack) => {
+        eseguiComando(() => {
+            const nome = chat.controllaNomeStanza(stanza)
+            socket.leave(stanzaChat(nome))
+            return { stanza: nome }
+        }, ack)
+    })
+
+    // messaggio per una stanza ({ testo, stanza }) o privato ({ testo, destinatario: idUtente }).
+    // Senza stanza né destinatario va nella stanza generale
+    socket.on('invia-messaggio', (data, ack) => {
+        eseguiComando(() => {
+            const { testo, stanza, destinatario } = data
+            if (!destinatario && stanza && !socket.rooms.has(stanzaChat(stanza))) {
+                throw new ChatError('fuori-stanza', `entra prima nella stanza ${stanza}`)
+            }
+            // il nome è quello verificato dal token, non quello scritto dal client
+            const messaggio = chat.aggiungiMessaggio({ mittente: socket.data.utente, testo, stanza, destinatario })
+            registra({ tipo: 'messaggio', messaggio })
+            destinatariDi(messaggio).emit('messaggio-ricevuto', messaggio)
+            return { messaggio }
+        }, ack)
+    })
+
+    // "sta scrivendo...": lo ricevono gli altri della stanza, o il destinatario del privato
+    socket.on('chat:typing', (data) => {
+        const { stanza, destinatario, staScrivendo } = data
+        const evento = { utente: { id: socket.data.utente.id, nome: socket.data.utente.nome }, staScrivendo }
+        if (destinatario) {
+            socket.to(stanzaUtente(destinatario)).emit('chat:typing', { ...evento, destinatario })
+        } else if (stanza && socket.rooms.has(stanzaChat(stanza))) {
+            socket.to(stanzaChat(stanza)).emit('chat:typing', { ...evento, stanza })
+        }
+    })
+
+    // conferma di lettura: il client manda l'ultimo messaggio letto e vengono segnati
+    // anche quelli prima; ogni conferma la ricevono tutti quelli che vedono il messaggio
+    socket.on('chat:read', (messaggioId, ack) => {
+        eseguiComando(() => {
+            const utente = socket.data.utente
+            // si può confermare solo un messaggio che si poteva leggere
+            const { letture } = chat.segnaLettiFinoA(messaggioId, utente, (m) => m.stanza
+                ? socket.rooms.has(stanzaChat(m.stanza))
+                : m.destinatario === utente.id || m.mittente.id === utente.id)
+            letture.forEach(({ messaggio, lettura }) => {
+                registra({ tipo: 'letto', messaggioId: messaggio.id, lettura })
+                destinatariDi(messaggio).emit('chat:read', { messaggioId: messaggio.id, lettura })
+            })
+            return {}
+        }, ack)
+    })
+})
+
+// configura l'adapter e avvia il server
+// (con cluster le connessioni arrivano dal processo principale, vedi cluster.js)
+async function avvia() {
+    adapter = await configuraAdapter(io, {
+        tipo: process.env.SOCKET_ADAPTER || 'memory',
+        redisUrl: process.env.SOCKET_REDIS_URL || 'redis://localhost:6379',
+    })
+    statoCondiviso = adapter.condiviso
+    if (statoCondiviso) {
+        sincronizzaStato().catch((error) => console.error('impossibile ricevere lo stato dalle altre istanze', error))
+    }
+    if (adapter.ascolta) {
+        httpServer.listen(PORT, () => console.log(`Server socket avviato con successo sulla porta ${PORT}`))
+    } else {
+        console.log(`Worker ${process.pid} pronto (adapter ${adapter.tipo})`)
+    }
+}
+
+avvia().catch((error) => {
+    console.error('Impossibile avviare il server', error)
+    process.exit(1)
 })
@@ -0,0 +1,53 @@
+// stato del server socket (coda, sportelli, chat) ricostruito dai record salvati.
+// Lo usano server.js all'avvio e cluster.js, che compatta il file prima di avviare i worker
+const path = require('path')
+const { createQueue } = require('./queue')
+const { createReparti } = require('./reparti')
+const { createChat } = require('./chat')
+const { createMemoryStore, createFileStore } = require('./store')
+
+// dove salvare lo stato: SOCKET_STORE=memory per non salvare niente (es. per le prove)
+function apriStore() {
+    return process.env.SOCKET_STORE === 'memory'
+        ? createMemoryStore()
+        : createFileStore(process.env.SOCKET_STORE_FILE || path.join(__dirname, 'data', 'stato.jsonl'))
+}
+
+// ogni record è { tipo: 'biglietto' | 'chiamata' | 'messaggio' | 'letto', ... }
+// restituisce { queue, reparti, chat, recordDelloStato }
+function caricaStato(salvati) {
+    // di ogni biglietto conta solo l'ultima versione salvata
+    const ultimiBiglietti = new Map()
+    salvati.filter((r) => r.tipo === 'biglietto').forEach((r) => {
+        ultimiBiglietti.set(`${r.biglietto.id}@${r.biglietto.creatoIl}`, r.biglietto)
+    })
+
+    // stato della coda, condiviso da tutti gli operatori e i tabelloni
+    const queue = createQueue(undefined, {
+        biglietti: [...ultimiBiglietti.values()].sort((a, b) => a.creatoIl.localeCompare(b.creatoIl)),
+    })
+    // sportelli e reparti, con lo storico delle chiamate di ogni reparto
+    const reparti = createReparti({
+        chiamate: salvati.filter((r) => r.tipo === 'chiamata').map((r) => r.chiamata),
+    })
+    // messaggi della chat con le loro conferme di lettura
+    const chat = createChat({
+        messaggi: salvati.filter((r) => r.tipo === 'messaggio').map((r) => r.messaggio),
+        letture: salvati.filter((r) => r.tipo === 'letto'),
+    })
+
+    // tutto lo stato attuale come record: per riscrivere il file
+    // e per le istanze che si avviano dopo
+    function recordDelloStato() {
+        return [
+            ...queue.getState().biglietti.map((biglietto) => ({ tipo: 'biglietto', biglietto })),
+            ...reparti.esportaStorico().map((chiamata) => ({ tipo: 'chiamata', chiamata })),
+            // le conferme di lettura sono già dentro i messaggi (lettoDa)
+            ...chat.esporta().map((messaggio) => ({ tipo: 'messaggio', messaggio })),
+        ]
+    }
+
+    return { queue, reparti, chat, recordDelloStato }
+}
+
+module.exports = { apriStore, caricaStato }
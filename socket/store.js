@@ -0,0 +1,65 @@
+// salvataggio dello stato del server socket (biglietti, chiamate, messaggi della chat)
+// così un riavvio del server non fa perdere niente
+//
+// uno store deve solo saper fare due cose:
+// - carica(): restituisce tutti i record salvati, nell'ordine in cui sono stati aggiunti
+// - aggiungi(record): salva un nuovo record in fondo
+// e può avere compatta(records) per riscrivere solo i record ancora utili.
+// Per usare un database (es. SQLite) basta scrivere un altro store con gli stessi metodi.
+const fs = require('fs')
+const path = require('path')
+
+// tutto in memoria: si perde al riavvio, utile per le prove
+function createMemoryStore() {
+    let records = []
+    return {
+        carica: () => [...records],
+        aggiungi: (record) => { records.push(record) },
+        compatta: (daTenere) => { records = [...daTenere] },
+    }
+}
+
+// file "append-only": un record JSON per riga, aggiunto sempre in fondo.
+// Scrivere solo in fondo è veloce e se il server si interrompe a metà
+// al massimo si perde l'ultima riga
+function createFileStore(filePath) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true })
+
+    function carica() {
+        let contenuto
+        try {
+            contenuto = fs.readFileSync(filePath, 'utf8')
+        } catch (error) {
+            if (error.code === 'ENOENT') return [] // il file non esiste ancora
+            throw error
+        }
+        const records = []
+        contenuto.split('\n').filter(Boolean).forEach((riga) => {
+            try {
+                records.push(JSON.parse(riga))
+            } catch (error) {
+                // riga troncata da un'interruzione: la saltiamo
+                console.error('riga non valida nel file di stato, ignorata')
+            }
+        })
+        return records
+    }
+
+    // sincrono: le righe restano nello stesso ordine delle operazioni
+    function aggiungi(record) {
+        fs.appendFileSync(filePath, JSON.stringify(record) + '\n')
+    }
+
+    // il file crescerebbe all'infinito: all'avvio lo riscriviamo con i soli record utili,
+    // quando nessun altro processo ci sta aggiungendo righe (con cluster prima di avviare i worker).
+    // Prima su un file temporaneo e poi lo rinominiamo, così l'originale resta integro
+    function compatta(daTenere) {
+        const tempFile = `${filePath}.tmp`
+        fs.writeFileSync(tempFile, daTenere.map((record) => JSON.stringify(record) + '\n').join(''))
+        fs.renameSync(tempFile, filePath)
+    }
+
+    return { carica, aggiungi, compatta }
+}
+
+module.exports = { createMemoryStore, createFileStore }
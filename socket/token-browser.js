@@ -0,0 +1,108 @@
+// token delle pagine che si connettono al socket server (lista, tabellone, chat)
+// questo file gira nel browser, non nel server: <script src="token-browser.js"></script>
+//
+// i token li emette il server di login (cartella login-google):
+// - dopo il login con GSI la pagina di login salva accessToken e refreshToken nel localStorage
+// - dopo il login con redirect (/auth/start) c'è solo il cookie di sessione:
+//   i token si chiedono a /token/session
+// l'access token dura pochi minuti: prima di ogni (ri)connessione lo rinnoviamo se è scaduto
+
+const LOGIN_SERVER_URL = 'http://localhost:3333'
+
+// secondi di margine: un token che sta per scadere viene già rinnovato
+const MARGINE_SCADENZA = 30
+
+// scadenza (exp, in secondi) scritta nel token; la verifica vera la fa il server
+function scadenzaToken(token) {
+    try {
+        const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')
+        return JSON.parse(atob(payload)).exp || 0
+    } catch (error) {
+        return 0
+    }
+}
+
+// chiede dei token nuovi al server di login e li salva; null se non li dà
+async function richiediToken(percorso, body) {
+    try {
+        const risposta = await fetch(LOGIN_SERVER_URL + percorso, {
+            method: 'POST',
+            // il cookie di sessione serve a /token/session
+            credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body || {}),
+        })
+        const data = await risposta.json()
+        if (!data.success) return null
+        localStorage.setItem('accessToken', data.tokens.accessToken)
+        localStorage.setItem('refreshToken', data.tokens.refreshToken)
+        return data.tokens.accessToken
+    } catch (error) {
+        console.error('impossibile contattare il server di login', error)
+        return null
+    }
+}
+
+function tokenValido(token) {
+    return Boolean(token) && scadenzaToken(token) - MARGINE_SCADENZA > Date.now() / 1000
+}
+
+// lista, tabellone e chat aperte insieme leggono lo stesso refreshToken: se lo usassero
+// tutte insieme il server di login vedrebbe un refresh token riusato e revocherebbe
+// tutta la famiglia. Il lock (condiviso fra le schede della stessa origine) fa
+// rinnovare una scheda alla volta
+function conLockRinnovo(rinnova) {
+    return navigator.locks ? navigator.locks.request('token-refresh', rinnova) : rinnova()
+}
+
+// restituisce un access token valido, rinnovandolo se serve (null = bisogna rifare il login)
+// con forza: true lo rinnova anche se non è scaduto (es. il server l'ha appena rifiutato)
+async function ottieniToken({ forza = false } = {}) {
+    const token = localStorage.getItem('accessToken')
+    if (!forza && tokenValido(token)) return token
+
+    return conLockRinnovo(async () => {
+        // mentre aspettavo il lock un'altra scheda può aver già rinnovato il token
+        const attuale = localStorage.getItem('accessToken')
+        if (tokenValido(attuale) && (!forza || attuale !== token)) return attuale
+
+        const refreshToken = localStorage.getItem('refreshToken')
+        if (refreshToken) {
+            const nuovo = await richiediToken('/token/refresh', { refreshToken })
+            if (nuovo) return nuovo
+            // usato, scaduto o revocato: non serve più
+            localStorage.removeItem('refreshToken')
+        }
+        localStorage.removeItem('accessToken')
+        return richiediToken('/token/session')
+    })
+}
+
+// si connette al socket server con un token sempre valido:
+// - auth è una funzione, richiamata a ogni (ri)connessione, che rinnova il token scaduto
+// - se il server rifiuta il token (connect_error) ne chiede uno nuovo e riprova
+function connettiConToken(url, opzioni) {
+    const socket = io(url, {
+        ...opzioni,
+        auth: (cb) => ottieniToken().then((token) => cb({ token })),
+    })
+
+    // un solo tentativo di rinnovo per volta: se anche il token nuovo viene
+    // rifiutato non riproviamo all'infinito
+    let rinnovato = false
+    socket.on('connect', () => { rinnovato = false })
+    socket.on('connect_error', async (error) => {
+        // senza error.data è un problema di rete: socket.io si riconnette da solo
+        if (!error.data) return
+        console.error('connessione rifiutata:', error.data.code)
+        if (rinnovato) {
+            console.error('rifai il login')
+            return
+        }
+        rinnovato = true
+        // dopo un rifiuto del server socket.io non si riconnette da solo
+        if (await ottieniToken({ forza: true })) socket.connect()
+        else console.error('rifai il login')
+    })
+    return socket
+}
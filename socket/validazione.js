@@ -0,0 +1,142 @@
+// controllo di tutti gli eventi che arrivano dai client, prima che li veda server.js:
+// - ogni evento ha uno schema (zod): dati mancanti, del tipo sbagliato o troppo lunghi vengono rifiutati
+// - i testi scritti dagli utenti vengono ripuliti dai caratteri di controllo
+// - ogni socket ha un limite di eventi al secondo (token bucket): chi insiste viene disconnesso
+const { z } = require('zod')
+
+// errore con un codice, come QueueError e ChatError, più l'elenco dei campi non validi
+class ValidationError extends Error {
+    constructor(code, message, dettagli = []) {
+        super(message)
+        this.name = 'ValidationError'
+        this.code = code
+        this.dettagli = dettagli
+    }
+}
+
+// toglie i caratteri di controllo (tranne a capo e tab).
+// < e > restano come sono ("3 < 5 e 6 > 2"): i client mostrano i testi con textContent,
+// chi li inserisce in una pagina come HTML deve fare l'escape
+function sanifica(testo) {
+    return testo.replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g, '')
+}
+
+// testo scritto da un utente: ripulito e poi controllato
+function testoUtente(max) {
+    return z.string().transform(sanifica).pipe(z.string().trim().min(1).max(max))
+}
+
+// id di biglietti, servizi, sportelli, utenti, messaggi (es. 'sangue-1', 'google:1234', uuid)
+const id = z.string().trim().min(1).max(100).regex(/^[\w:@.-]+$/, 'identificativo non valido')
+// nome di una stanza della chat
+const nomeStanza = z.string().trim().min(1).max(50).regex(/^[\w-]+$/, 'usa solo lettere, numeri, - e _')
+
+// schema dei dati di ogni evento; null = l'evento non ha dati (solo la callback di ack)
+const SCHEMI = {
+    'queue:state': null,
+    'operatore:join': z.object({ sportello: id }),
+    'tabellone:join': z.object({ reparti: z.array(id).max(20).optional() }).optional(),
+    'queue:issue': z.object({
+        servizio: id,
+        // il nome del paziente è facoltativo: può essere vuoto
+        nome: z.string().transform(sanifica).pipe(z.string().trim().max(100)).optional().nullable(),
+    }),
+    'queue:call-next': z.object({ servizio: id }),
+    'chiama': id,
+    'queue:recall': id,
+    'queue:served': id,
+    'queue:no-show': id,
+    'queue:skip': id,
+    'chat:join': nomeStanza,
+    'chat:leave': nomeStanza,
+    'invia-messaggio': z.object({
+        testo: testoUtente(1000),
+        stanza: nomeStanza.optional(),
+        destinatario: id.optional(),
+    }).refine((data) => !(data.stanza && data.destinatario), 'indica una stanza oppure un destinatario, non entrambi'),
+    'chat:typing': z.object({
+        stanza: nomeStanza.optional(),
+        destinatario: id.optional(),
+        staScrivendo: z.boolean(),
+    }),
+    'chat:read': id,
+}
+
+// token bucket: ogni evento consuma un gettone, i gettoni si ricaricano nel tempo.
+// Permette brevi raffiche (fino a capacita) ma non un flusso continuo oltre ricaricaAlSecondo
+function createTokenBucket({ capacita, ricaricaAlSecondo }) {
+    let gettoni = capacita
+    let ultimaRicarica = Date.now()
+
+    function consuma() {
+        const adesso = Date.now()
+        gettoni = Math.min(capacita, gettoni + (adesso - ultimaRicarica) / 1000 * ricaricaAlSecondo)
+        ultimaRicarica = adesso
+        if (gettoni < 1) return false
+        gettoni--
+        return true
+    }
+
+    return { consuma }
+}
+
+// middleware per socket.use: controlla limite e schema di ogni evento.
+// Se l'evento non va bene risponde nella callback di ack (se c'è) con
+// { ok: false, error: { code, message, dettagli } } e l'evento non arriva ai gestori.
+// opzioni:
+// - capacita / ricaricaAlSecondo: limite di eventi del token bucket
+// - maxRifiuti: eventi rifiutati di fila per il limite dopo i quali la socket viene disconnessa
+function createControlloEventi({ schemi = SCHEMI, capacita = 20, ricaricaAlSecondo = 5, maxRifiuti = 30 } = {}) {
+    return function controlloEventi(socket) {
+        const bucket = createTokenBucket({ capacita, ricaricaAlSecondo })
+        let rifiutiDiFila = 0
+
+        return (pacchetto, next) => {
+            const [evento, ...argomenti] = pacchetto
+            const ack = typeof argomenti[argomenti.length - 1] === 'function' ? argomenti.pop() : null
+            const rifiuta = (error) => {
+                if (ack) ack({ ok: false, error: { code: error.code, message: error.message, dettagli: error.dettagli } })
+            }
+
+            if (!bucket.consuma()) {
+                rifiutiDiFila++
+                if (rifiutiDiFila > maxRifiuti) {
+                    console.log('troppi eventi, disconnetto la socket', socket.id)
+                    return socket.disconnect(true)
+                }
+                return rifiuta(new ValidationError('troppe-richieste', 'troppe richieste, rallenta'))
+            }
+            rifiutiDiFila = 0
+
+            if (!Object.hasOwn(schemi, evento)) {
+                return rifiuta(new ValidationError('evento-sconosciuto', `evento sconosciuto: ${evento}`))
+            }
+            const schema = schemi[evento]
+            if (schema === null) {
+                return argomenti.length === 0
+                    ? next()
+                    : rifiuta(new ValidationError('dati-non-validi', `${evento} non accetta dati`))
+            }
+            if (argomenti.length > 1) {
+                return rifiuta(new ValidationError('dati-non-validi', `${evento} accetta un solo argomento`))
+            }
+
+            const risultato = schema.safeParse(argomenti[0])
+            if (!risultato.success) {
+                const dettagli = risultato.error.issues.map((issue) => ({
+                    campo: issue.path.join('.'),
+                    messaggio: issue.message,
+                }))
+                return rifiuta(new ValidationError('dati-non-validi', `dati non validi per ${evento}`, dettagli))
+            }
+
+            // i gestori ricevono i dati già controllati e ripuliti
+            pacchetto[1] = risultato.data
+            if (ack) pacchetto[2] = ack
+            pacchetto.length = ack ? 3 : 2
+            next()
+        }
+    }
+}
+
+module.exports = { createControlloEventi, createTokenBucket, sanifica, ValidationError, SCHEMI }